@@ -0,0 +1,184 @@
+// dataLayerHook.js - Wraps window.dataLayer.push at document_start (MAIN world), and the push of
+// every renamed layer GTM or gtag.js reads as soon as it shows up, and reports every push with
+// its layer, a timestamp, a sanitized copy and the call-site stack. Registered only while
+// "Record dataLayer pushes" is enabled in the popup; dataLayerRelay.js forwards the reports.
+
+(() => {
+  if (window.__mcpDataLayerHook) return;
+  window.__mcpDataLayerHook = true;
+
+  const EVENT_NAME = '__mcp_datalayer_push';
+  const MAX_DEPTH = 10;
+  const MAX_STRING_LENGTH = 2000;
+  const MAX_STACK_FRAMES = 5;
+  const DEFAULT_NAME = 'dataLayer';
+  const TAG_ID = /^(GTM|G|AW|DC|GT)-[A-Z0-9]+$/i;
+  const VARIABLE_NAME = /^[A-Za-z_$][\w$]*$/;
+
+  // Copy that survives JSON: no functions, DOM nodes or cycles (same descriptors as extractDataLayer)
+  function sanitize(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'function') return '[Function]';
+    if (typeof value === 'string') {
+      return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+    }
+    if (!value || typeof value !== 'object') return value;
+    if (value.nodeType) {
+      const id = value.id ? `#${value.id}` : '';
+      const classes = typeof value.className === 'string' && value.className ? `.${value.className.trim().replace(/\s+/g, '.')}` : '';
+      return `[DOMNode:${value.nodeName}${id}${classes}]`;
+    }
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[MaxDepth]';
+    seen.add(value);
+
+    let copy;
+    if (Array.isArray(value) || Object.prototype.toString.call(value) === '[object Arguments]') {
+      copy = Array.from(value, (item) => sanitize(item, depth + 1, seen));
+    } else {
+      copy = {};
+      for (const key of Object.keys(value)) {
+        try {
+          copy[key] = sanitize(value[key], depth + 1, seen);
+        } catch {
+          copy[key] = '[Unreadable]';
+        }
+      }
+    }
+    seen.delete(value);
+    return copy;
+  }
+
+  // Frames of the code that called push, without this hook's own frames
+  function callSite() {
+    const frames = (new Error().stack || '')
+      .split('\n')
+      .slice(1)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.includes('chrome-extension://'));
+    const trimmed = frames.slice(0, MAX_STACK_FRAMES);
+    const source = trimmed.map((line) => /(https?:\/\/[^\s)]+?):\d+:\d+/.exec(line)?.[1]).find(Boolean) || null;
+    return { stack: trimmed, source };
+  }
+
+  function report(layer, entries, startIndex, initial) {
+    const { stack, source } = initial ? { stack: [], source: null } : callSite();
+    const timestamp = Date.now();
+    const pushes = entries.map((entry, offset) => {
+      const isGtagCommand = Object.prototype.toString.call(entry) === '[object Arguments]';
+      return {
+        layer,
+        index: startIndex + offset,
+        timestamp,
+        pageUrl: window.location.href,
+        push: sanitize(entry),
+        isGtagCommand,
+        initial,
+        stack,
+        source
+      };
+    });
+    try {
+      document.dispatchEvent(new CustomEvent(EVENT_NAME, { detail: JSON.stringify(pushes) }));
+    } catch {
+      // Never break the page's own tracking
+    }
+  }
+
+  // GTM and gtag.js replace dataLayer.push with a function that calls the push they read before
+  // (`var o = dl.push; dl.push = function () { …; return o.apply(dl, arguments) }`), so push is
+  // an accessor: every assigned function gets its own reporting wrapper, and a wrapper reached
+  // by such a chain forwards the same entries without reporting them again.
+  function instrument(name, dataLayer) {
+    if (!Array.isArray(dataLayer) || dataLayer.__mcpHooked) return;
+    Object.defineProperty(dataLayer, '__mcpHooked', { value: true });
+    if (dataLayer.length) report(name, Array.from(dataLayer), 0, true);
+
+    const wrappers = new WeakSet();
+    const forwarding = []; // entries of the push calls in progress, innermost last
+    const isForwarded = (entries) => {
+      const outer = forwarding[forwarding.length - 1];
+      return !!outer && outer.length === entries.length && outer.every((entry, i) => entry === entries[i]);
+    };
+    const wrap = (fn) => {
+      if (typeof fn !== 'function' || wrappers.has(fn)) return fn;
+      const wrapper = function (...entries) {
+        if (!isForwarded(entries)) report(name, entries, dataLayer.length, false);
+        forwarding.push(entries);
+        try {
+          return fn.apply(this, entries);
+        } finally {
+          forwarding.pop();
+          // A container that loaded since the last push may read a layer not watched yet
+          if (!forwarding.length) watchGtmLayers();
+        }
+      };
+      wrappers.add(wrapper);
+      return wrapper;
+    };
+
+    let push = wrap(dataLayer.push);
+    Object.defineProperty(dataLayer, 'push', {
+      configurable: true,
+      get: () => push,
+      set: (fn) => { push = wrap(fn); }
+    });
+  }
+
+  // A layer is instrumented as it is now and again whenever the page assigns a new array to it
+  const watched = new Set();
+  function watchLayer(name) {
+    if (watched.has(name) || !VARIABLE_NAME.test(name)) return;
+    watched.add(name);
+    let current = window[name];
+    instrument(name, current);
+    try {
+      Object.defineProperty(window, name, {
+        configurable: true,
+        enumerable: true,
+        get: () => current,
+        set: (value) => {
+          current = value;
+          instrument(name, value);
+        }
+      });
+    } catch {
+      // The layer was defined non-configurable before us; the existing array is still wrapped
+    }
+  }
+
+  // gtm.js?id=GTM-XXXX&l=dataLayerGTM and gtag/js?id=G-XXXX&l=myLayer; the snippet creates the
+  // layer before it inserts the script
+  function watchScriptLayer(node) {
+    if (node.nodeName !== 'SCRIPT' || !node.src) return;
+    try {
+      const url = new URL(node.src, window.location.href);
+      const tagId = url.searchParams.get('id');
+      if (tagId && TAG_ID.test(tagId)) watchLayer(url.searchParams.get('l') || DEFAULT_NAME);
+    } catch {
+      // Not a URL we can read
+    }
+  }
+
+  // Every container records the layer it reads as google_tag_manager[id].dataLayer.name
+  function watchGtmLayers() {
+    try {
+      const gtm = window.google_tag_manager;
+      if (!gtm || typeof gtm !== 'object') return;
+      for (const container of Object.values(gtm)) {
+        const name = container?.dataLayer?.name;
+        if (typeof name === 'string' && name) watchLayer(name);
+      }
+    } catch {
+      // Never break the page's own tracking
+    }
+  }
+
+  watchLayer(DEFAULT_NAME);
+  if (typeof MutationObserver === 'function') {
+    new MutationObserver((mutations) => {
+      for (const mutation of mutations) mutation.addedNodes.forEach(watchScriptLayer);
+    }).observe(document, { childList: true, subtree: true });
+  }
+  document.addEventListener('DOMContentLoaded', watchGtmLayers);
+  window.addEventListener('load', watchGtmLayers);
+})();
@@ -0,0 +1,26 @@
+// dataLayerRelay.js - Forwards pushes reported by dataLayerHook.js (MAIN world) to the service worker
+
+(() => {
+  const EVENT_NAME = '__mcp_datalayer_push';
+  let batch = [];
+
+  document.addEventListener(EVENT_NAME, (event) => {
+    let pushes;
+    try {
+      pushes = JSON.parse(event.detail);
+    } catch {
+      return;
+    }
+    if (!Array.isArray(pushes)) return;
+
+    // Pushes made in the same task travel together
+    if (!batch.length) {
+      setTimeout(() => {
+        const pending = batch;
+        batch = [];
+        chrome.runtime.sendMessage({ type: 'DATALAYER_PUSHES', pushes: pending }).catch(() => {});
+      }, 0);
+    }
+    batch.push(...pushes);
+  });
+})();
@@ -17,6 +17,7 @@ export const connectionState = {
   reconnectAttempts: 0,
   lastConnectionTime: null,
   lastError: null,
+  pairingState: "unknown", // unknown | unpaired | paired
 };
 
 // Global variables
@@ -108,6 +109,7 @@ export function broadcastConnectionStatus() {
     reconnectAttempts: connectionState.reconnectAttempts,
     lastConnectionTime: connectionState.lastConnectionTime,
     lastError: connectionState.lastError,
+    pairingState: connectionState.pairingState,
   };
   
   // Try to send to popup if it's listening
@@ -175,6 +177,7 @@ export async function connectWebSocket(messageHandler) {
       connectionState.isConnecting = false;
       connectionState.isConnected = false;
       connectionState.lastError = `Connection closed: ${code} ${reason}`;
+      connectionState.pairingState = "unknown";
       
       stopKeepAlive();
       broadcastConnectionStatus();
@@ -0,0 +1,104 @@
+// dataLayerPushes.js - Opt-in live dataLayer.push recording: content script registration and
+// per-tab buffer of pushes reported by content/dataLayerHook.js
+
+import { STORAGE_KEYS } from './utils/storage.js';
+import { logInfo, logWarn } from './utils/logging.js';
+
+const HOOK_SCRIPTS = [
+  {
+    id: 'datalayer-hook',
+    js: ['content/dataLayerHook.js'],
+    matches: ['<all_urls>'],
+    runAt: 'document_start',
+    world: 'MAIN'
+  },
+  {
+    id: 'datalayer-relay',
+    js: ['content/dataLayerRelay.js'],
+    matches: ['<all_urls>'],
+    runAt: 'document_start',
+    world: 'ISOLATED'
+  }
+];
+
+const MAX_PUSHES_PER_TAB = 1000;
+
+// tabId -> { pushes: [], dropped }
+const tabPushes = new Map();
+
+// Cursors increase across tabs for the life of this worker; the last one handed out by
+// getNewPushes is remembered so callers without a cursor only see what is new
+let lastCursor = 0;
+let lastReturnedCursor = 0;
+
+export async function isHookEnabled() {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.DATALAYER_HOOK);
+  return stored[STORAGE_KEYS.DATALAYER_HOOK] === true;
+}
+
+// Make the registered content scripts match the stored setting (they persist across restarts)
+export async function syncHookRegistration() {
+  const enabled = await isHookEnabled();
+  const ids = HOOK_SCRIPTS.map((script) => script.id);
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids });
+
+  if (registered.length) {
+    await chrome.scripting.unregisterContentScripts({ ids: registered.map((script) => script.id) });
+  }
+  if (enabled) {
+    await chrome.scripting.registerContentScripts(HOOK_SCRIPTS);
+  }
+  return enabled;
+}
+
+export async function setHookEnabled(enabled) {
+  await chrome.storage.local.set({ [STORAGE_KEYS.DATALAYER_HOOK]: Boolean(enabled) });
+  try {
+    await syncHookRegistration();
+  } catch (error) {
+    logWarn("Failed to update dataLayer hook registration:", error);
+    throw error;
+  }
+  logInfo(`dataLayer push recording ${enabled ? 'enabled (takes effect on the next page load)' : 'disabled'}`);
+  return Boolean(enabled);
+}
+
+// Store pushes reported by a tab; returns the stored records (with cursors)
+export function addPushes(tabId, pushes) {
+  if (!tabPushes.has(tabId)) tabPushes.set(tabId, { pushes: [], dropped: 0 });
+  const buffer = tabPushes.get(tabId);
+  const records = pushes.map((push) => ({ ...push, cursor: ++lastCursor, tabId }));
+  buffer.pushes.push(...records);
+
+  if (buffer.pushes.length > MAX_PUSHES_PER_TAB) {
+    const removed = buffer.pushes.length - MAX_PUSHES_PER_TAB;
+    buffer.pushes.splice(0, removed);
+    buffer.dropped += removed;
+  }
+  return records;
+}
+
+// Pushes of a tab after `since`, or after the last call when no cursor is given
+export function getNewPushes(tabId, since) {
+  const buffer = tabPushes.get(tabId) || { pushes: [], dropped: 0 };
+  let after = Number.isInteger(since) ? since : lastReturnedCursor;
+  // A cursor from before a worker restart is ahead of everything we have
+  const reset = after > lastCursor;
+  if (reset) after = 0;
+
+  const pushes = buffer.pushes.filter((push) => push.cursor > after);
+  const nextCursor = pushes.length ? pushes[pushes.length - 1].cursor : Math.max(after, 0);
+  lastReturnedCursor = Math.max(lastReturnedCursor, nextCursor);
+  return {
+    pushes,
+    nextCursor,
+    latestCursor: lastCursor,
+    oldestCursor: buffer.pushes[0]?.cursor ?? null,
+    droppedPushes: buffer.dropped,
+    cursorReset: reset
+  };
+}
+
+export function clearPushes(tabId) {
+  tabPushes.delete(tabId);
+}
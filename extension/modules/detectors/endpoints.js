@@ -0,0 +1,84 @@
+// endpoints.js - User-managed first-party / server-side tagging endpoints
+//
+// An endpoint maps a URL to the detector that parses it:
+//   url      prefix of the request URL without query string, e.g. "https://metrics.example.com/g/collect",
+//            or a pattern with * wildcards, e.g. "https://*.example.com/t/*"
+//   vendor   detector vendor id, e.g. 'ga4' or 'metaPixel'
+// Requests to a listed endpoint are always parsed by that vendor's detector. Requests to other
+// first-party URLs are only guessed from their payload while detectUnlisted is on.
+
+import { STORAGE_KEYS } from '../utils/storage.js';
+import { detectors } from './index.js';
+
+export const DEFAULT_ENDPOINT_SETTINGS = {
+  endpoints: [],
+  detectUnlisted: true
+};
+
+let settings = { ...DEFAULT_ENDPOINT_SETTINGS };
+let compiled = [];
+
+function compile(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}`);
+}
+
+// Validate user input; invalid entries are reported and left out
+export function normalizeEndpointSettings(value = {}) {
+  const errors = [];
+  const endpoints = [];
+  for (const entry of Array.isArray(value.endpoints) ? value.endpoints : []) {
+    const url = String(entry?.url || '').trim();
+    const vendor = String(entry?.vendor || '').trim();
+    let parsed = null;
+    try {
+      parsed = new URL(url.replace(/\*/g, 'x'));
+    } catch {
+      // reported below
+    }
+    if (!parsed || !/^https?:$/.test(parsed.protocol)) {
+      errors.push(`Not an http(s) URL: ${url || '(empty)'}`);
+    } else if (!detectors.some((d) => d.vendor === vendor)) {
+      errors.push(`Unknown vendor "${vendor}" for ${url}`);
+    } else if (!endpoints.some((e) => e.url === url)) {
+      endpoints.push({ url, vendor });
+    }
+  }
+  return {
+    settings: { endpoints, detectUnlisted: value.detectUnlisted !== false },
+    errors
+  };
+}
+
+export function getEndpointSettings() {
+  return { endpoints: settings.endpoints.map((e) => ({ ...e })), detectUnlisted: settings.detectUnlisted };
+}
+
+export function setEndpointSettings(value) {
+  const result = normalizeEndpointSettings(value);
+  settings = result.settings;
+  compiled = settings.endpoints.map((endpoint) => ({ ...endpoint, pattern: compile(endpoint.url) }));
+  return { settings: getEndpointSettings(), errors: result.errors };
+}
+
+export async function loadEndpointSettings() {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.TAGGING_ENDPOINTS);
+  return setEndpointSettings(stored[STORAGE_KEYS.TAGGING_ENDPOINTS] || DEFAULT_ENDPOINT_SETTINGS);
+}
+
+export function hasEndpoints() {
+  return compiled.length > 0;
+}
+
+export function shouldDetectUnlisted() {
+  return settings.detectUnlisted;
+}
+
+// The configured endpoint a request URL belongs to, with its detector
+export function findEndpoint(url) {
+  const bare = url.split(/[?#]/)[0];
+  const endpoint = compiled.find((e) => e.pattern.test(bare));
+  if (!endpoint) return null;
+  const detector = detectors.find((d) => d.vendor === endpoint.vendor);
+  return detector ? { url: endpoint.url, vendor: endpoint.vendor, detector } : null;
+}
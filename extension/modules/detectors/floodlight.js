@@ -0,0 +1,31 @@
+// floodlight.js - Campaign Manager 360 / Floodlight detector
+
+// Floodlight keeps its parameters in the path: /activity;src=123;type=sales;cat=purch0;ord=1?
+function parsePathParams(pathname) {
+  const params = {};
+  for (const part of pathname.split(';').slice(1)) {
+    const [key, ...rest] = part.split('=');
+    if (key) params[decodeURIComponent(key)] = decodeURIComponent(rest.join('=').replace(/\?$/, ''));
+  }
+  return params;
+}
+
+export default {
+  vendor: 'floodlight',
+  name: 'Floodlight',
+  urlPatterns: [
+    "https://ad.doubleclick.net/activity*",
+    "https://ad.doubleclick.net/ddm/activity/*",
+    "https://*.fls.doubleclick.net/activity*"
+  ],
+
+  parse({ url, params }) {
+    const pathParams = parsePathParams(url.pathname);
+    const merged = { ...params, ...pathParams };
+    return [{
+      eventName: [merged.type, merged.cat].filter(Boolean).join('/') || 'activity',
+      accountId: merged.src ? `DC-${merged.src}` : 'unknown',
+      parameters: merged
+    }];
+  }
+};
@@ -0,0 +1,58 @@
+// ga4.js - GA4 Measurement Protocol (/g/collect) detector
+
+import { decodeRawBody, formDataToParams } from '../utils/requestBody.js';
+
+// Same heuristic the server-side listener has always used
+export function isGa4Params(params) {
+  return Boolean(params && ((params.tid && params.tid.startsWith('G-')) || params.en || params.ep || params.ea));
+}
+
+// Split one /g/collect request into its events. gtag.js batches several events into a POST whose
+// body has one urlencoded event per line; the query string holds the params shared by all of them.
+// Returns an array of flat param objects (shared params overlaid with the event's own), in batch order.
+export function parseGa4Events(url, requestBody) {
+  const urlParams = Object.fromEntries(new URL(url).searchParams.entries());
+
+  let lines = [];
+  if (requestBody?.formData) {
+    lines = [formDataToParams(requestBody.formData)];
+  } else {
+    const body = decodeRawBody(requestBody);
+    if (body) {
+      lines = body
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .map((line) => Object.fromEntries(new URLSearchParams(line).entries()));
+    }
+  }
+
+  if (lines.length === 0) return [urlParams];
+  return lines.map((lineParams) => ({ ...urlParams, ...lineParams }));
+}
+
+export default {
+  vendor: 'ga4',
+  name: 'Google Analytics 4',
+  urlPatterns: [
+    "https://www.google-analytics.com/g/collect*",
+    "https://*.google-analytics.com/g/collect*",
+    "https://analytics.google.com/g/collect*",
+    "https://*.analytics.google.com/*"
+  ],
+
+  // Batched POSTs become one hit per event, numbered by batchIndex so counts line up with DebugView
+  parse({ details }, { serverSide }) {
+    return parseGa4Events(details.url, details.requestBody).map((params) => ({
+      eventName: params.en || (serverSide ? 'server_side_event' : 'page_view'),
+      accountId: params.tid || 'unknown',
+      parameters: params,
+      measurementId: params.tid || 'unknown'
+    }));
+  },
+
+  // First-party / server-side GTM endpoints on arbitrary domains
+  detectServerSide({ details }) {
+    return parseGa4Events(details.url, details.requestBody).some(isGa4Params);
+  }
+};
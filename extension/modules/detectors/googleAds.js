@@ -0,0 +1,91 @@
+// googleAds.js - Google Ads conversion, remarketing and Enhanced Conversions detector
+
+// /pagead/conversion/123456789/, /pagead/viewthroughconversion/123456789/, /pagead/1p-conversion/123456789/
+const CONVERSION_PATH = /\/pagead\/(conversion|viewthroughconversion|1p-conversion|1p-user-list)\/(\d+)/;
+
+// Enhanced Conversions user data fields (all sha256-hashed by gtag before sending)
+const USER_DATA_FIELDS = {
+  em: 'email',
+  pn: 'phone_number',
+  fn: 'first_name',
+  ln: 'last_name',
+  sa: 'street',
+  ct: 'city',
+  rg: 'region',
+  pc: 'postal_code',
+  co: 'country'
+};
+
+// Remarketing custom params arrive as data=event=purchase;ecomm_prodid=SKU1
+function parseDataParam(value) {
+  if (!value) return null;
+  const data = {};
+  for (const pair of value.split(';')) {
+    const [key, ...rest] = pair.split('=');
+    if (key) data[key] = rest.join('=');
+  }
+  return data;
+}
+
+// em=tv.1~em.<hash>~pn.<hash>: which user data fields were attached, never the values
+function parseEnhancedConversions(params) {
+  const fields = [];
+  for (const part of (params.em || '').split('~')) {
+    const key = part.split('.')[0];
+    if (USER_DATA_FIELDS[key]) fields.push(USER_DATA_FIELDS[key]);
+  }
+  return {
+    present: fields.length > 0,
+    fields,
+    mode: params.ec_mode || null // a = automatic, c = code, m = manual
+  };
+}
+
+// The conversion tag fires /pagead/conversion (or the 1p-conversion copy) plus a
+// viewthroughconversion request with the same label; calls without a label are remarketing
+function hitType(endpoint, params) {
+  if (!params.label || endpoint === '1p-user-list') return 'remarketing';
+  return endpoint === 'viewthroughconversion' ? 'view_through_conversion' : 'conversion';
+}
+
+function toNumber(value) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+export default {
+  vendor: 'googleAds',
+  name: 'Google Ads',
+  urlPatterns: [
+    "https://www.googleadservices.com/pagead/conversion/*",
+    "https://googleads.g.doubleclick.net/pagead/viewthroughconversion/*",
+    "https://www.google.com/pagead/1p-conversion/*",
+    "https://www.google.com/pagead/1p-user-list/*"
+  ],
+
+  matches(url) {
+    return CONVERSION_PATH.test(url.pathname);
+  },
+
+  parse({ url, params }) {
+    const [, endpoint, conversionId] = CONVERSION_PATH.exec(url.pathname) || [];
+    const remarketingData = parseDataParam(params.data);
+    const type = hitType(endpoint, params);
+
+    return [{
+      eventName: type === 'remarketing' ? remarketingData?.event || 'remarketing' : type,
+      accountId: conversionId ? `AW-${conversionId}` : 'unknown',
+      parameters: params,
+      endpoint: endpoint || null,
+      type,
+      conversionId: conversionId || null,
+      conversionLabel: params.label || null,
+      value: toNumber(params.value),
+      currency: params.currency_code || params.currency || null,
+      transactionId: params.oid || params.transaction_id || null,
+      remarketingData,
+      enhancedConversions: parseEnhancedConversions(params)
+    }];
+  }
+};
@@ -0,0 +1,103 @@
+// index.js - Registry of tracking-pixel detectors
+//
+// A detector is a plain object:
+//   vendor           stable id used in hits and tool filters, e.g. 'tiktok'
+//   name             human-readable name
+//   urlPatterns      webRequest match patterns for the vendor's own endpoints
+//   matches(url)     optional finer check on the parsed URL
+//   parse(request, { serverSide })
+//                    returns an array of { eventName, accountId, parameters, ...vendor fields },
+//                    one per event in the request (see readRequest for the request shape)
+//   detectServerSide(request)
+//                    optional; recognizes the vendor's payload on first-party endpoints
+//
+// Adding a pixel means adding one module here; the service worker listens on every
+// registered pattern and turns parsed events into standard hits. First-party endpoints the
+// user mapped to a vendor are in endpoints.js.
+
+import { readRequest } from '../utils/requestBody.js';
+import ga4 from './ga4.js';
+import metaPixel from './metaPixel.js';
+import googleAds from './googleAds.js';
+import floodlight from './floodlight.js';
+import tiktok from './tiktok.js';
+import linkedin from './linkedin.js';
+import pinterest from './pinterest.js';
+import microsoftUet from './microsoftUet.js';
+import snap from './snap.js';
+import reddit from './reddit.js';
+
+export const detectors = [];
+
+// Chrome match pattern -> RegExp over the full URL ("*." hosts also match the bare domain)
+function matchPatternToRegExp(pattern) {
+  const [, scheme, host, path] = /^(\*|https?):\/\/([^/]+)(\/.*)$/.exec(pattern);
+  const escape = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const schemeRe = scheme === '*' ? 'https?' : scheme;
+  const hostRe = host === '*' ? '[^/]+' : host.startsWith('*.') ? `([^/]+\\.)?${escape(host.slice(2))}` : escape(host);
+  const pathRe = escape(path).replace(/\*/g, '.*');
+  return new RegExp(`^${schemeRe}://${hostRe}${pathRe}$`);
+}
+
+export function registerDetector(detector) {
+  if (!detector?.vendor || !Array.isArray(detector.urlPatterns) || typeof detector.parse !== 'function') {
+    throw new Error(`Invalid tracking detector: ${detector?.vendor || '(no vendor)'}`);
+  }
+  if (detectors.some((d) => d.vendor === detector.vendor)) {
+    throw new Error(`Tracking detector already registered: ${detector.vendor}`);
+  }
+  detectors.push({ ...detector, patterns: detector.urlPatterns.map(matchPatternToRegExp) });
+}
+
+[ga4, metaPixel, googleAds, floodlight, tiktok, linkedin, pinterest, microsoftUet, snap, reddit].forEach(registerDetector);
+
+export function getDetectorUrlPatterns() {
+  return detectors.flatMap((d) => d.urlPatterns);
+}
+
+export function listVendors() {
+  return detectors.map((d) => ({ vendor: d.vendor, name: d.name }));
+}
+
+// The detector owning a vendor endpoint URL, if any
+export function findDetector(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  return detectors.find((d) => d.patterns.some((re) => re.test(url)) && (!d.matches || d.matches(parsed))) || null;
+}
+
+// Turn one request into standard hits. Without a detector, tries every detector that can
+// recognize its payload on a first-party (server-side tagging) endpoint. A configured endpoint
+// (see endpoints.js) passes its own detector and is labelled server-side too.
+export function detectHits(details, detector = findDetector(details.url), endpoint = null) {
+  const request = readRequest(details);
+  const serverSide = !detector || Boolean(endpoint);
+  const matched = detector ? [detector] : detectors.filter((d) => d.detectServerSide?.(request));
+
+  const timestamp = Date.now();
+  const hits = [];
+  for (const d of matched) {
+    const events = d.parse(request, { serverSide });
+    events.forEach((event, index) => {
+      hits.push({
+        ...event,
+        vendor: d.vendor,
+        timestamp,
+        tabId: details.tabId,
+        pageUrl: details.documentUrl || null,
+        method: details.method,
+        domain: request.url.hostname,
+        batchId: details.requestId,
+        batchIndex: index,
+        batchSize: events.length,
+        transport: serverSide ? 'server-side' : 'direct',
+        ...(serverSide ? { serverSide: true, endpoint: endpoint?.url || null, endpointSource: endpoint ? 'configured' : 'detected' } : {})
+      });
+    });
+  }
+  return hits;
+}
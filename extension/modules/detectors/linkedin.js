@@ -0,0 +1,22 @@
+// linkedin.js - LinkedIn Insight Tag detector
+
+export default {
+  vendor: 'linkedin',
+  name: 'LinkedIn Insight Tag',
+  urlPatterns: [
+    "https://px.ads.linkedin.com/*",
+    "https://*.ads.linkedin.com/*"
+  ],
+
+  // GET /collect?pid=..&conversionId=.. or POST /wa/ with a JSON body listing the partner ids
+  parse({ params, json }) {
+    const data = json && !Array.isArray(json) ? { ...params, ...json } : params;
+    const conversionId = data.conversionId || null;
+    return [{
+      eventName: conversionId ? 'conversion' : 'page_view',
+      accountId: data.pid || (Array.isArray(data.pids) ? data.pids.join(',') : 'unknown'),
+      parameters: data,
+      conversionId
+    }];
+  }
+};
@@ -0,0 +1,39 @@
+// metaPixel.js - Meta (Facebook) Pixel detector
+
+function extractMetaPixelCustomData(params) {
+  const customData = {};
+  
+  // Extract custom data parameters
+  for (const [key, value] of Object.entries(params)) {
+    if (key.startsWith('cd[') || key.startsWith('ud[') || key.startsWith('cs[')) {
+      customData[key] = value;
+    }
+  }
+  
+  return Object.keys(customData).length > 0 ? customData : null;
+}
+
+export default {
+  vendor: 'metaPixel',
+  name: 'Meta Pixel',
+  urlPatterns: [
+    "https://www.facebook.com/tr*",
+    "https://facebook.com/tr*"
+  ],
+
+  parse({ params }, { serverSide }) {
+    const pixelId = params.id || params.pixel_id || 'unknown';
+    return [{
+      eventName: params.ev || params.event || (serverSide ? 'server_side_event' : 'PageView'),
+      accountId: pixelId,
+      parameters: params,
+      pixelId,
+      customData: extractMetaPixelCustomData(params)
+    }];
+  },
+
+  // Numeric pixel id or pixel event params on a first-party endpoint
+  detectServerSide({ params }) {
+    return Boolean((params.id && /^\d+$/.test(params.id)) || params.ev || params.event || params.pixel_id);
+  }
+};
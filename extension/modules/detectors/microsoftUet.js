@@ -0,0 +1,20 @@
+// microsoftUet.js - Microsoft Advertising UET tag detector
+
+export default {
+  vendor: 'microsoftUet',
+  name: 'Microsoft UET',
+  urlPatterns: [
+    "https://bat.bing.com/action/*"
+  ],
+
+  // evt is pageLoad or custom; custom events carry the action in ea and revenue in gv / gc
+  parse({ params }) {
+    return [{
+      eventName: params.ea || params.evt || 'pageLoad',
+      accountId: params.ti || 'unknown',
+      parameters: params,
+      value: params.gv ?? params.ev ?? null,
+      currency: params.gc || null
+    }];
+  }
+};
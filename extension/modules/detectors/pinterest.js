@@ -0,0 +1,22 @@
+// pinterest.js - Pinterest Tag detector
+
+import { parseJson } from '../utils/requestBody.js';
+
+export default {
+  vendor: 'pinterest',
+  name: 'Pinterest Tag',
+  urlPatterns: [
+    "https://ct.pinterest.com/*"
+  ],
+
+  // Event data (ed) and partner data (pd) are JSON strings inside the query string
+  parse({ params }) {
+    return [{
+      eventName: params.event || 'init',
+      accountId: params.tid || 'unknown',
+      parameters: params,
+      eventData: params.ed ? parseJson(params.ed) : null,
+      partnerData: params.pd ? parseJson(params.pd) : null
+    }];
+  }
+};
@@ -0,0 +1,23 @@
+// reddit.js - Reddit Pixel detector
+
+export default {
+  vendor: 'reddit',
+  name: 'Reddit Pixel',
+  urlPatterns: [
+    "https://alb.reddit.com/rp.gif*"
+  ],
+
+  // Custom events are sent as event=Custom with the real name in customEventName; metadata as m.*
+  parse({ params }) {
+    const metadata = {};
+    for (const [key, value] of Object.entries(params)) {
+      if (key.startsWith('m.')) metadata[key.slice(2)] = value;
+    }
+    return [{
+      eventName: params.event === 'Custom' ? params.customEventName || 'Custom' : params.event || 'PageVisit',
+      accountId: params.id || 'unknown',
+      parameters: params,
+      metadata
+    }];
+  }
+};
@@ -0,0 +1,21 @@
+// snap.js - Snap Pixel detector
+
+export default {
+  vendor: 'snap',
+  name: 'Snap Pixel',
+  urlPatterns: [
+    "https://tr.snapchat.com/p*",
+    "https://tr.snapchat.com/gateway/p*",
+    "https://tr-shadow.snapchat.com/p*"
+  ],
+
+  // Form-encoded or JSON body with the pixel id in pid and the event in ev
+  parse({ params, json }) {
+    const data = json && !Array.isArray(json) ? { ...params, ...json } : params;
+    return [{
+      eventName: data.ev || 'PAGE_VIEW',
+      accountId: data.pid || 'unknown',
+      parameters: data
+    }];
+  }
+};
@@ -0,0 +1,20 @@
+// tiktok.js - TikTok Pixel detector
+
+export default {
+  vendor: 'tiktok',
+  name: 'TikTok Pixel',
+  urlPatterns: [
+    "https://analytics.tiktok.com/api/v2/pixel*"
+  ],
+
+  // POST bodies are JSON; /pixel/batch wraps several events in { batch: [...] }
+  parse({ params, json }) {
+    const events = Array.isArray(json?.batch) ? json.batch : json ? [json] : [params];
+    return events.map((event) => ({
+      eventName: event.event || 'Pageview',
+      accountId: event.context?.pixel?.code || event.sdkid || params.sdkid || 'unknown',
+      parameters: event.properties || event,
+      dedupEventId: event.event_id || null
+    }));
+  }
+};
@@ -0,0 +1,106 @@
+// consent.js - Consent Mode and CMP (TCF / GPP) state extraction logic
+
+// Runs in the page (MAIN world). Must stay self-contained: executeScript serializes the function.
+export async function extractConsentState() {
+  const CMP_TIMEOUT_MS = 1000;
+
+  // Call a CMP API that answers through a callback, giving up after CMP_TIMEOUT_MS. `invoke` gets
+  // the callback and places it where that API expects it; a non-empty return value also answers.
+  function callCmp(command, invoke) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve({ error: `${command} timed out` }), CMP_TIMEOUT_MS);
+      const done = (data) => {
+        clearTimeout(timer);
+        resolve(data);
+      };
+      try {
+        const returned = invoke((data, success) => done(success === false ? { error: `${command} failed` } : data));
+        if (returned && typeof returned === 'object') done(returned);
+      } catch (e) {
+        done({ error: e.message });
+      }
+    });
+  }
+
+  function clone(value) {
+    try {
+      return JSON.parse(JSON.stringify(value));
+    } catch {
+      return null;
+    }
+  }
+
+  try {
+    // gtag('consent', 'default' | 'update', {...}) pushes an Arguments object onto the dataLayer
+    const commands = [];
+    const dataLayer = Array.isArray(window.dataLayer) ? window.dataLayer : [];
+    let gtmLoadedIndex = null;
+    dataLayer.forEach((entry, index) => {
+      if (!entry || typeof entry !== 'object') return;
+      if (entry.event === 'gtm.js' && gtmLoadedIndex === null) gtmLoadedIndex = index;
+      if (entry[0] === 'consent' && (entry[1] === 'default' || entry[1] === 'update')) {
+        commands.push({ index, command: entry[1], params: clone(entry[2]) || {} });
+      }
+    });
+
+    // Consent state as gtag.js currently sees it
+    let googleState = null;
+    const entries = window.google_tag_data?.ics?.entries;
+    if (entries && typeof entries === 'object') {
+      googleState = {};
+      for (const [type, entry] of Object.entries(entries)) {
+        googleState[type] = {
+          default: typeof entry?.default === 'boolean' ? (entry.default ? 'granted' : 'denied') : null,
+          update: typeof entry?.update === 'boolean' ? (entry.update ? 'granted' : 'denied') : null
+        };
+      }
+    }
+
+    let tcf = null;
+    if (typeof window.__tcfapi === 'function') {
+      const data = await callCmp('getTCData', (callback) => window.__tcfapi('getTCData', 2, callback));
+      tcf = data?.error ? data : {
+        cmpId: data?.cmpId ?? null,
+        cmpVersion: data?.cmpVersion ?? null,
+        gdprApplies: data?.gdprApplies ?? null,
+        cmpStatus: data?.cmpStatus ?? null,
+        eventStatus: data?.eventStatus ?? null,
+        tcString: data?.tcString ?? null,
+        purposeConsents: clone(data?.purpose?.consents) || {},
+        purposeLegitimateInterests: clone(data?.purpose?.legitimateInterests) || {},
+        googleVendorConsent: data?.vendor?.consents?.[755] ?? null // Google Advertising Products
+      };
+    }
+
+    let gpp = null;
+    if (typeof window.__gpp === 'function') {
+      // __gpp(command, callback, parameter, version); GPP 1.1 also returns the ping result directly
+      const data = await callCmp('ping', (callback) => window.__gpp('ping', callback));
+      gpp = data?.error ? data : {
+        gppVersion: data?.gppVersion ?? null,
+        cmpStatus: data?.cmpStatus ?? null,
+        cmpDisplayStatus: data?.cmpDisplayStatus ?? null,
+        signalStatus: data?.signalStatus ?? null,
+        applicableSections: clone(data?.applicableSections) || [],
+        gppString: data?.gppString ?? null
+      };
+    }
+
+    return {
+      url: window.location.href,
+      timestamp: Date.now(),
+      dataLayerFound: Array.isArray(window.dataLayer),
+      commands,
+      gtmLoadedIndex,
+      googleState,
+      tcf,
+      gpp
+    };
+  } catch (e) {
+    return {
+      error: `Failed to read consent state: ${e.message}`,
+      url: window.location.href,
+      timestamp: Date.now()
+    };
+  }
+}
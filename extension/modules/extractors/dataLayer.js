@@ -1,7 +1,12 @@
 // dataLayer.js - DataLayer extraction logic
 
-// Enhanced dataLayer extraction with better error handling
-export function extractDataLayer() {
+// Enhanced dataLayer extraction with better error handling. Without a variable name, returns
+// window.dataLayer (or the first layer found) plus every other data layer registered with
+// google_tag_manager / gtag, each labelled with the container(s) reading it.
+export function extractDataLayer(variableName = null) {
+  const DEFAULT_NAME = 'dataLayer';
+  const TAG_ID = /^(GTM|G|AW|DC|GT)-[A-Z0-9]+$/i;
+
   // Helper to safely serialize objects that may contain circular references, DOM nodes, or functions
   function getSafeReplacer() {
     const seen = new WeakSet();
@@ -30,41 +35,129 @@ export function extractDataLayer() {
     };
   }
 
+  // layer name -> Set of tag IDs reading it
+  function findDataLayers() {
+    const layers = new Map();
+    const addLayer = (name, tagId) => {
+      if (!name) return;
+      if (!layers.has(name)) layers.set(name, new Set());
+      if (tagId) layers.get(name).add(tagId);
+    };
+
+    // gtm.js?id=GTM-XXXX&l=dataLayerGTM and gtag/js?id=G-XXXX&l=myLayer (l defaults to dataLayer)
+    for (const script of document.querySelectorAll('script[src]')) {
+      let url;
+      try {
+        url = new URL(script.src, window.location.href);
+      } catch {
+        continue;
+      }
+      const tagId = url.searchParams.get('id');
+      if (tagId && TAG_ID.test(tagId)) addLayer(url.searchParams.get('l') || DEFAULT_NAME, tagId);
+    }
+
+    // GTM keeps one entry per container ID and one per data layer name it subscribed to
+    const gtm = window.google_tag_manager;
+    if (gtm && typeof gtm === 'object') {
+      for (const [key, value] of Object.entries(gtm)) {
+        if (!TAG_ID.test(key) && value && typeof value === 'object' && ('gtmLoad' in value || 'subscribers' in value)) {
+          addLayer(key, null);
+        }
+      }
+    }
+
+    addLayer(DEFAULT_NAME, null);
+
+    // gtag('config', 'G-XXXX') commands name the tags reading the layer they were pushed to
+    for (const [name, tagIds] of layers) {
+      const layer = window[name];
+      if (!Array.isArray(layer)) continue;
+      for (const entry of layer) {
+        if (entry && typeof entry === 'object' && entry[0] === 'config' && TAG_ID.test(String(entry[1]))) {
+          tagIds.add(String(entry[1]));
+        }
+      }
+    }
+
+    const found = Array.from(layers).filter(([name]) => Array.isArray(window[name]));
+
+    // Containers loaded without a recognizable script (e.g. injected by another tag) can only be
+    // attributed when there is a single layer
+    if (found.length === 1 && gtm && typeof gtm === 'object') {
+      const attributed = new Set(found[0][1]);
+      Object.keys(gtm).filter((key) => TAG_ID.test(key) && !attributed.has(key)).forEach((key) => found[0][1].add(key));
+    }
+
+    return found.map(([name, tagIds]) => ({ name, containers: Array.from(tagIds) }));
+  }
+
+  function serialize(name) {
+    return JSON.parse(JSON.stringify(window[name], getSafeReplacer()));
+  }
+
   try {
     const start = performance.now();
-    
-    if (!window.dataLayer) {
-      return { 
-        error: "dataLayer not found on this page. Make sure Google Tag Manager is installed.", 
+
+    if (variableName !== null && !/^[A-Za-z_$][\w$]*$/.test(variableName)) {
+      return {
+        error: `Invalid data layer variable name: ${variableName}`,
         url: window.location.href,
         timestamp: Date.now()
       };
     }
-    
-    if (!Array.isArray(window.dataLayer)) {
-      return { 
-        error: `dataLayer exists but is not an array (type: ${typeof window.dataLayer})`, 
+
+    const layers = findDataLayers();
+    const name = variableName || (layers.some((layer) => layer.name === DEFAULT_NAME) ? DEFAULT_NAME : layers[0]?.name);
+
+    if (!name || window[name] === undefined) {
+      return {
+        error: `${variableName ? `window.${variableName}` : 'dataLayer'} not found on this page. Make sure Google Tag Manager is installed.`,
+        url: window.location.href,
+        referrer: document.referrer,
+        timestamp: Date.now(),
+        dataLayers: layers.map((layer) => layer.name)
+      };
+    }
+
+    if (!Array.isArray(window[name])) {
+      return {
+        error: `${name} exists but is not an array (type: ${typeof window[name]})`,
         url: window.location.href,
+        referrer: document.referrer,
         timestamp: Date.now()
       };
     }
-    
-    const json = JSON.stringify(window.dataLayer, getSafeReplacer());
+
+    const dataLayer = serialize(name);
+    const selected = layers.find((layer) => layer.name === name);
+    const otherLayers = variableName ? [] : layers.filter((layer) => layer.name !== name);
+    const dataLayers = [
+      { name, containers: selected?.containers || [], itemCount: window[name].length, primary: true },
+      ...otherLayers.map((layer) => ({
+        ...layer,
+        itemCount: window[layer.name].length,
+        primary: false,
+        dataLayer: serialize(layer.name)
+      }))
+    ];
     const end = performance.now();
-    
+
     return {
-      dataLayer: JSON.parse(json),
+      name,
+      containers: selected?.containers || [],
+      dataLayer,
+      dataLayers,
       url: window.location.href,
+      referrer: document.referrer,
       timestamp: Date.now(),
       processingTime: Math.round(end - start),
-      itemCount: window.dataLayer.length
+      itemCount: window[name].length
     };
   } catch (e) {
-    return { 
-      error: `Failed to clone dataLayer: ${e.message}`, 
+    return {
+      error: `Failed to clone dataLayer: ${e.message}`,
       url: window.location.href,
       timestamp: Date.now()
     };
   }
 }
-
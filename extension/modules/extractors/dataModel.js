@@ -0,0 +1,195 @@
+// dataModel.js - GTM computed data model extraction logic
+
+// Reads the merged data model GTM variables see. Live values come from each container's
+// google_tag_manager[id].dataLayer.get(key); the model at an earlier push index is rebuilt by
+// replaying the pushes with GTM's merge rules (dotted keys expand, plain objects and arrays
+// merge recursively, _clear replaces).
+export function extractDataModel(options = {}) {
+  const { variableName = null, containerId = null, keys = null, pushIndex = null } = options || {};
+  const name = variableName || 'dataLayer';
+
+  function getSafeReplacer() {
+    const seen = new WeakSet();
+    return function (_key, value) {
+      if (typeof value === "function") {
+        return "[Function]";
+      }
+      if (value && typeof value === "object" && value.nodeType) {
+        const id = value.id ? `#${value.id}` : "";
+        const classes = typeof value.className === "string" && value.className ? `.${value.className.replace(/\s+/g, '.')}` : "";
+        return `[DOMNode:${value.nodeName}${id}${classes}]`;
+      }
+      if (value && typeof value === "object") {
+        if (seen.has(value)) {
+          return "[Circular]";
+        }
+        seen.add(value);
+      }
+      return value;
+    };
+  }
+
+  function safeCopy(value) {
+    if (value === undefined) return null;
+    return JSON.parse(JSON.stringify(value, getSafeReplacer()));
+  }
+
+  const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+  const isCommand = (entry) => Array.isArray(entry) || Object.prototype.toString.call(entry) === '[object Arguments]';
+
+  // { "a.b": 1 } -> { a: { b: 1 } }
+  function expandKeyValue(key, value) {
+    const result = {};
+    let target = result;
+    const parts = key.split('.');
+    parts.forEach((part, i) => {
+      target = target[part] = i === parts.length - 1 ? value : {};
+    });
+    return result;
+  }
+
+  function merge(from, to) {
+    for (const key of Object.keys(from)) {
+      const value = from[key];
+      if (Array.isArray(value)) {
+        if (!Array.isArray(to[key])) to[key] = [];
+        merge(value, to[key]);
+      } else if (isPlainObject(value)) {
+        if (!isPlainObject(to[key])) to[key] = {};
+        merge(value, to[key]);
+      } else {
+        to[key] = value;
+      }
+    }
+  }
+
+  function replay(entries) {
+    const model = {};
+    for (const entry of entries) {
+      if (!isPlainObject(entry)) continue; // gtag() commands and functions do not change the model
+      for (const key of Object.keys(entry)) {
+        if (key === '_clear') continue;
+        const expanded = expandKeyValue(key, entry[key]);
+        if (entry._clear) {
+          const top = key.split('.')[0];
+          model[top] = expanded[top];
+        } else {
+          merge(expanded, model);
+        }
+      }
+    }
+    return model;
+  }
+
+  // The layer a container reads: GTM records it as dataLayer.name; older builds only show it in
+  // the loader's l= parameter, which defaults to dataLayer
+  function containerLayer(id, container) {
+    if (typeof container.dataLayer.name === 'string' && container.dataLayer.name) return container.dataLayer.name;
+    for (const script of document.querySelectorAll('script[src]')) {
+      try {
+        const url = new URL(script.src, window.location.href);
+        if (url.searchParams.get('id') === id) return url.searchParams.get('l') || 'dataLayer';
+      } catch {
+        // not a parseable script URL
+      }
+    }
+    return 'dataLayer';
+  }
+
+  function readPath(model, key) {
+    return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), model);
+  }
+
+  // Top-level keys ever pushed (dotted keys count by their first segment)
+  function pushedKeys(entries) {
+    const found = new Set();
+    for (const entry of entries) {
+      if (!isPlainObject(entry)) continue;
+      for (const key of Object.keys(entry)) {
+        if (key !== '_clear') found.add(key.split('.')[0]);
+      }
+    }
+    return Array.from(found);
+  }
+
+  try {
+    const layer = window[name];
+    if (!Array.isArray(layer)) {
+      return {
+        error: `window.${name} not found on this page or is not an array.`,
+        url: window.location.href,
+        timestamp: Date.now()
+      };
+    }
+
+    if (pushIndex !== null && (pushIndex < 0 || pushIndex >= layer.length)) {
+      return {
+        error: `pushIndex ${pushIndex} is out of range; ${name} has ${layer.length} entries.`,
+        url: window.location.href,
+        timestamp: Date.now()
+      };
+    }
+
+    // Only containers bound to this layer; another layer's container would answer for the wrong pushes
+    const gtm = window.google_tag_manager || {};
+    const liveContainers = Object.keys(gtm).filter((id) =>
+      /^GTM-/.test(id) && typeof gtm[id]?.dataLayer?.get === 'function' && containerLayer(id, gtm[id]) === name
+    );
+    if (containerId && !liveContainers.includes(containerId)) {
+      return {
+        error: `Container ${containerId} has no readable data model for window.${name} on this page.`,
+        url: window.location.href,
+        timestamp: Date.now(),
+        availableContainers: liveContainers
+      };
+    }
+
+    const base = {
+      variableName: name,
+      pushCount: layer.length,
+      url: window.location.href,
+      timestamp: Date.now()
+    };
+
+    // Replay when asked for an earlier point, or when no GTM container exposes its model
+    if (pushIndex !== null || !liveContainers.length) {
+      const entries = pushIndex !== null ? layer.slice(0, pushIndex + 1) : layer;
+      const model = replay(entries);
+      const at = pushIndex !== null ? layer[pushIndex] : layer[layer.length - 1];
+      return {
+        ...base,
+        source: 'replay',
+        pushIndex: pushIndex ?? layer.length - 1,
+        push: safeCopy(at),
+        isCommand: isCommand(at),
+        ...(keys?.length
+          ? { values: Object.fromEntries(keys.map((key) => [key, safeCopy(readPath(model, key))])) }
+          : { model: safeCopy(model) }),
+        ...(liveContainers.length ? {} : { note: `No GTM container reading window.${name} found; the model was rebuilt from the pushes.` })
+      };
+    }
+
+    const topKeys = pushedKeys(layer);
+    const containers = (containerId ? [containerId] : liveContainers).map((id) => {
+      const dataModel = gtm[id].dataLayer;
+      const read = (key) => {
+        try {
+          return safeCopy(dataModel.get(key));
+        } catch (e) {
+          return `[Error: ${e.message}]`;
+        }
+      };
+      return keys?.length
+        ? { containerId: id, values: Object.fromEntries(keys.map((key) => [key, read(key)])) }
+        : { containerId: id, model: Object.fromEntries(topKeys.map((key) => [key, read(key)])) };
+    });
+
+    return { ...base, source: 'live', containers };
+  } catch (e) {
+    return {
+      error: `Failed to read data model: ${e.message}`,
+      url: window.location.href,
+      timestamp: Date.now()
+    };
+  }
+}
@@ -0,0 +1,149 @@
+// gtmContainers.js - Google tag ID, loader and initialization extraction logic
+
+// Every Google tag ID on the page (GTM containers and gtag destinations), how it was loaded and
+// whether it initialized. IDs come from window.google_tag_manager (initialized tags), loader
+// script tags (gtm.js / gtag/js, including first-party and server-side loader domains) and
+// gtag('config', ...) commands in the data layers.
+export function extractGtmContainerIds() {
+  const TAG_ID = /^(GTM|G|AW|DC|GT|UA)-[A-Z0-9-]+$/i;
+  const TAG_TYPES = {
+    GTM: 'gtm_container',
+    G: 'ga4',
+    AW: 'google_ads',
+    DC: 'floodlight',
+    GT: 'google_tag',
+    UA: 'universal_analytics'
+  };
+  const GOOGLE_LOADER_HOSTS = ['www.googletagmanager.com', 'googletagmanager.com'];
+
+  function tagType(id) {
+    return TAG_TYPES[id.split('-')[0].toUpperCase()] || 'unknown';
+  }
+
+  // Good enough for "same site": compare the last two host labels
+  function siteOf(hostname) {
+    return hostname.split('.').slice(-2).join('.');
+  }
+
+  // Resource timing tells whether the loader was fetched and, in Chrome, with which status
+  function loadState(src) {
+    const entry = performance.getEntriesByName(src).find((e) => e.entryType === 'resource');
+    if (!entry) return { fetched: false, httpStatus: null };
+    return { fetched: true, httpStatus: entry.responseStatus || null };
+  }
+
+  function describeLoader(script, url) {
+    const params = url.searchParams;
+    const environment = params.has('gtm_auth') || params.has('gtm_preview')
+      ? { auth: params.get('gtm_auth'), preview: params.get('gtm_preview'), cookiesWin: params.get('gtm_cookies_win') }
+      : null;
+    const customDomain = !GOOGLE_LOADER_HOSTS.includes(url.hostname);
+    return {
+      src: url.href,
+      domain: url.hostname,
+      path: url.pathname,
+      customDomain,
+      firstParty: siteOf(url.hostname) === siteOf(window.location.hostname),
+      dataLayerName: params.get('l') || 'dataLayer',
+      environment,
+      async: script.async,
+      ...loadState(url.href)
+    };
+  }
+
+  try {
+    const gtm = window.google_tag_manager && typeof window.google_tag_manager === 'object' ? window.google_tag_manager : {};
+    const tags = new Map();
+    const getTag = (id) => {
+      if (!tags.has(id)) tags.set(id, { id, type: tagType(id), loaders: [], foundIn: [] });
+      return tags.get(id);
+    };
+    const foundIn = (tag, source) => {
+      if (!tag.foundIn.includes(source)) tag.foundIn.push(source);
+    };
+
+    for (const key of Object.keys(gtm)) {
+      if (TAG_ID.test(key)) foundIn(getTag(key), 'google_tag_manager');
+    }
+
+    const dataLayerNames = new Set(['dataLayer']);
+    const loaders = [];
+    for (const script of document.querySelectorAll('script[src]')) {
+      let url;
+      try {
+        url = new URL(script.src, window.location.href);
+      } catch {
+        continue;
+      }
+      const id = url.searchParams.get('id');
+      const isLoaderPath = /\/(gtm\.js|gtag\/js)$/.test(url.pathname);
+      if (!(id && TAG_ID.test(id)) && !isLoaderPath) continue;
+
+      const loader = { id: id || null, ...describeLoader(script, url) };
+      loaders.push(loader);
+      dataLayerNames.add(loader.dataLayerName);
+      if (id && TAG_ID.test(id)) {
+        const tag = getTag(id);
+        tag.loaders.push(loader);
+        foundIn(tag, 'script');
+      }
+    }
+
+    for (const name of dataLayerNames) {
+      const layer = window[name];
+      if (!Array.isArray(layer)) continue;
+      for (const entry of layer) {
+        if (entry && typeof entry === 'object' && entry[0] === 'config' && TAG_ID.test(String(entry[1]))) {
+          foundIn(getTag(String(entry[1])), 'gtag_config');
+        }
+      }
+    }
+
+    if (tags.size === 0) {
+      return {
+        error: "No Google tags found on this page. Neither window.google_tag_manager, a gtm.js / gtag.js loader script nor gtag('config') commands were found.",
+        url: window.location.href,
+        timestamp: Date.now(),
+        availableKeys: Object.keys(gtm)
+      };
+    }
+
+    const documentLoaded = document.readyState === 'complete';
+    const report = Array.from(tags.values()).map((tag) => {
+      const initialized = tag.id in gtm;
+      let status = 'initialized';
+      let reason = null;
+      if (!initialized) {
+        const failedLoad = tag.loaders.find((loader) => loader.httpStatus >= 400);
+        if (failedLoad) {
+          status = 'failed';
+          reason = `Loader returned HTTP ${failedLoad.httpStatus}`;
+        } else if (tag.loaders.some((loader) => loader.fetched) && documentLoaded) {
+          status = 'failed';
+          reason = 'Loader was fetched but the tag never registered with google_tag_manager';
+        } else if (tag.loaders.length) {
+          status = documentLoaded ? 'blocked' : 'pending';
+          reason = documentLoaded ? 'Loader script was never fetched (blocked or removed)' : 'Page is still loading';
+        } else {
+          status = 'not_initialized';
+          reason = 'Configured with gtag() but not registered with google_tag_manager';
+        }
+      }
+      return { ...tag, initialized, status, reason };
+    });
+
+    return {
+      containerIds: report.filter((tag) => tag.type === 'gtm_container' && tag.initialized).map((tag) => tag.id),
+      tags: report,
+      loaders,
+      url: window.location.href,
+      timestamp: Date.now()
+    };
+  } catch (e) {
+    return {
+      error: `Failed to extract GTM container IDs: ${e.message}`,
+      url: window.location.href,
+      timestamp: Date.now()
+    };
+  }
+}
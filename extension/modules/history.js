@@ -0,0 +1,274 @@
+// history.js - Per-tab tracking history, grouped by page view, kept across navigations
+// and across service worker restarts (persisted to chrome.storage.session)
+
+import { STORAGE_KEYS } from './utils/storage.js';
+import { logInfo, logWarn } from './utils/logging.js';
+
+export const DEFAULT_RETENTION = {
+  maxPageViews: 20, // page views kept per tab, oldest dropped first
+  maxHitsPerPage: 200 // hits of each vendor kept per page view
+};
+
+// tabId -> { pageViews: [{ id, url, navigationType, startedAt, hits: { [vendor]: [] }, dropped: { [vendor]: n } }] }
+export const tabHistories = new Map();
+
+let retention = { ...DEFAULT_RETENTION };
+
+// Changes are written in batches; the dirty marker is a tiny write that tells the next worker
+// instance whether it died with changes that never reached storage
+const SAVE_DELAY_MS = 1000;
+let saveTimer = null;
+let changeVersion = 0;
+let dirtyMarked = false;
+
+const persistence = {
+  workerStartedAt: Date.now(),
+  workerRestarted: false, // history was restored from a previous worker instance
+  restoredAt: null,
+  lostChangesSince: null, // the previous worker stopped before saving changes made after this time
+  persistenceError: null
+};
+
+// Ignore fragment changes so in-page anchors don't start a new page view
+function normalizeUrl(url) {
+  return url ? url.split('#')[0] : null;
+}
+
+function clampInt(value, fallback, min, max) {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+function getHistory(tabId) {
+  if (!tabHistories.has(tabId)) {
+    tabHistories.set(tabId, { pageViews: [] });
+  }
+  return tabHistories.get(tabId);
+}
+
+function trimPageViews(history) {
+  if (history.pageViews.length > retention.maxPageViews) {
+    history.pageViews.splice(0, history.pageViews.length - retention.maxPageViews);
+    return true;
+  }
+  return false;
+}
+
+export function getRetention() {
+  return { ...retention };
+}
+
+export function setRetention(value = {}) {
+  retention = {
+    maxPageViews: clampInt(value.maxPageViews, DEFAULT_RETENTION.maxPageViews, 1, 500),
+    maxHitsPerPage: clampInt(value.maxHitsPerPage, DEFAULT_RETENTION.maxHitsPerPage, 1, 5000)
+  };
+  let trimmed = false;
+  for (const history of tabHistories.values()) trimmed = trimPageViews(history) || trimmed;
+  if (trimmed) markChanged();
+  return getRetention();
+}
+
+export async function loadRetention() {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.HISTORY_RETENTION);
+  return setRetention(stored[STORAGE_KEYS.HISTORY_RETENTION] || DEFAULT_RETENTION);
+}
+
+async function saveHistory() {
+  saveTimer = null;
+  const savedVersion = changeVersion;
+  try {
+    await chrome.storage.session.set({
+      [STORAGE_KEYS.TRACKING_HISTORY]: { savedAt: Date.now(), tabs: Array.from(tabHistories.entries()) }
+    });
+    persistence.persistenceError = null;
+    if (savedVersion === changeVersion) {
+      dirtyMarked = false;
+      await chrome.storage.session.remove(STORAGE_KEYS.TRACKING_HISTORY_DIRTY);
+    }
+  } catch (error) {
+    // Most likely the session storage quota; the in-memory history is still intact
+    persistence.persistenceError = error?.message || String(error);
+    logWarn("Failed to persist tracking history:", error);
+  }
+}
+
+function markChanged() {
+  changeVersion++;
+  if (!dirtyMarked) {
+    dirtyMarked = true;
+    chrome.storage.session.set({ [STORAGE_KEYS.TRACKING_HISTORY_DIRTY]: Date.now() }).catch(() => {});
+  }
+  if (!saveTimer) {
+    saveTimer = setTimeout(saveHistory, SAVE_DELAY_MS);
+  }
+}
+
+async function restoreHistory() {
+  const stored = await chrome.storage.session.get([STORAGE_KEYS.TRACKING_HISTORY, STORAGE_KEYS.TRACKING_HISTORY_DIRTY]);
+  const snapshot = stored[STORAGE_KEYS.TRACKING_HISTORY];
+  const dirtySince = stored[STORAGE_KEYS.TRACKING_HISTORY_DIRTY] || null;
+  if (!snapshot && !dirtySince) return;
+
+  for (const [tabId, history] of snapshot?.tabs || []) {
+    tabHistories.set(tabId, history);
+  }
+  persistence.workerRestarted = true;
+  persistence.restoredAt = Date.now();
+  persistence.lostChangesSince = dirtySince;
+  if (dirtySince) dirtyMarked = true; // keep the marker until our own first save
+
+  const pageViews = Array.from(tabHistories.values()).reduce((sum, history) => sum + history.pageViews.length, 0);
+  logInfo(`Restored tracking history after service worker restart (${tabHistories.size} tabs, ${pageViews} page views)` +
+    (dirtySince ? `; changes after ${new Date(dirtySince).toISOString()} were lost` : ''));
+}
+
+// Load retention settings and the persisted history. Callers must wait for this before reading
+// or changing the history so hits that woke the worker are not overwritten by the restore.
+export async function initHistory() {
+  try {
+    await restoreHistory();
+  } catch (error) {
+    logWarn("Failed to restore tracking history:", error);
+  }
+  try {
+    await loadRetention();
+  } catch (error) {
+    logWarn("Failed to load history retention:", error);
+  }
+}
+
+// Whether the history returned to tools can be trusted to contain every captured hit
+export function getHistoryStatus() {
+  return {
+    complete: !persistence.lostChangesSince && !persistence.persistenceError,
+    workerRestarted: persistence.workerRestarted,
+    workerStartedAt: persistence.workerStartedAt,
+    restoredAt: persistence.restoredAt,
+    lostChangesSince: persistence.lostChangesSince,
+    persistenceError: persistence.persistenceError
+  };
+}
+
+export function getCurrentPageView(tabId) {
+  const pageViews = tabHistories.get(tabId)?.pageViews || [];
+  return pageViews[pageViews.length - 1] || null;
+}
+
+// Start a new page view for a full load ("load") or SPA route change ("route_change")
+export function startPageView(tabId, url, navigationType = 'load') {
+  const history = getHistory(tabId);
+  const current = getCurrentPageView(tabId);
+  // onUpdated can report the same navigation more than once; a reload after that is a new page view
+  if (current && normalizeUrl(current.url) === normalizeUrl(url) &&
+      (navigationType !== 'load' || Date.now() - current.startedAt < 1000)) {
+    return current;
+  }
+
+  const pageView = {
+    id: crypto.randomUUID(),
+    url,
+    navigationType,
+    startedAt: Date.now(),
+    hits: {},
+    dropped: {}
+  };
+  history.pageViews.push(pageView);
+  trimPageViews(history);
+  markChanged();
+  return pageView;
+}
+
+// Hits sent while leaving a page (e.g. purchase beacons before a redirect) belong to the page
+// that sent them, not the one being loaded, so match them by document URL first
+function pageViewForHit(tabId, hit) {
+  const pageViews = getHistory(tabId).pageViews;
+  const hitUrl = normalizeUrl(hit.pageUrl);
+  if (hitUrl) {
+    for (let i = pageViews.length - 1; i >= Math.max(0, pageViews.length - 3); i--) {
+      if (normalizeUrl(pageViews[i].url) === hitUrl) return pageViews[i];
+    }
+  }
+  return getCurrentPageView(tabId) || startPageView(tabId, hit.pageUrl || null, 'unknown');
+}
+
+export function addHitToHistory(tabId, vendor, hit) {
+  const pageView = pageViewForHit(tabId, hit);
+  if (!pageView.hits[vendor]) pageView.hits[vendor] = [];
+  const hits = pageView.hits[vendor];
+  hit.pageViewId = pageView.id;
+  hits.push(hit);
+
+  if (hits.length > retention.maxHitsPerPage) {
+    const removed = hits.length - retention.maxHitsPerPage;
+    hits.splice(0, removed);
+    pageView.dropped[vendor] = (pageView.dropped[vendor] || 0) + removed;
+  }
+  markChanged();
+  return pageView;
+}
+
+// Hits of the given vendors (all when empty) in capture order
+function pageViewHits(pageView, vendors) {
+  const selected = vendors.length ? vendors : Object.keys(pageView.hits);
+  const hits = selected.flatMap((vendor) => pageView.hits[vendor] || []);
+  return selected.length > 1 ? hits.sort((a, b) => a.timestamp - b.timestamp) : hits;
+}
+
+function summarizePageView(pageView, vendors, hits) {
+  const selected = vendors.length ? vendors : Object.keys(pageView.dropped);
+  return {
+    id: pageView.id,
+    url: pageView.url,
+    navigationType: pageView.navigationType,
+    startedAt: pageView.startedAt,
+    hitCount: hits.length,
+    droppedHits: selected.reduce((sum, vendor) => sum + (pageView.dropped[vendor] || 0), 0)
+  };
+}
+
+// Hits of one vendor, several vendors or (null) every vendor for a tab. scope "currentPage"
+// returns the latest page view only; "session" returns every retained page view with its
+// hits, oldest first.
+export function getHistoryHits(tabId, vendors, scope = 'currentPage') {
+  const pageViews = tabHistories.get(tabId)?.pageViews || [];
+  const vendorList = vendors ? [].concat(vendors) : [];
+
+  if (scope === 'session') {
+    const grouped = pageViews.map((pageView) => {
+      const hits = pageViewHits(pageView, vendorList);
+      return { ...summarizePageView(pageView, vendorList, hits), hits };
+    });
+    return {
+      scope,
+      pageViews: grouped,
+      totalHits: grouped.reduce((sum, pageView) => sum + pageView.hits.length, 0),
+      retention: getRetention(),
+      history: getHistoryStatus()
+    };
+  }
+
+  const current = pageViews[pageViews.length - 1];
+  const hits = current ? pageViewHits(current, vendorList) : [];
+  return {
+    scope: 'currentPage',
+    hits,
+    pageUrl: current?.url || (hits.length > 0 ? hits[0].pageUrl : null),
+    pageView: current ? summarizePageView(current, vendorList, hits) : null,
+    totalHits: hits.length,
+    history: getHistoryStatus()
+  };
+}
+
+// Forget captured hits for one tab, or for every tab when tabId is omitted
+export function clearHistory(tabId) {
+  if (tabId === undefined || tabId === null) {
+    tabHistories.clear();
+    markChanged();
+    logInfo('Cleared tracking history for all tabs');
+    return;
+  }
+  if (!tabHistories.delete(tabId)) return;
+  markChanged();
+  logInfo(`Cleared tracking history for tab ${tabId}`);
+}
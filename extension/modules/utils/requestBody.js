@@ -0,0 +1,63 @@
+// requestBody.js - Helpers for reading webRequest URLs and request bodies
+
+// Bodies larger than this are not tracking payloads; skip decoding them on the all-URLs listener
+const MAX_RAW_BODY_BYTES = 64 * 1024;
+
+const textDecoder = new TextDecoder("utf-8");
+
+// Decode webRequest requestBody.raw (array of { bytes: ArrayBuffer }) into a string
+export function decodeRawBody(requestBody) {
+  if (!requestBody || !Array.isArray(requestBody.raw)) return null;
+
+  let total = 0;
+  const parts = [];
+  for (const part of requestBody.raw) {
+    if (!part.bytes) continue; // file uploads only carry a path
+    total += part.bytes.byteLength;
+    if (total > MAX_RAW_BODY_BYTES) return null;
+    parts.push(textDecoder.decode(part.bytes, { stream: true }));
+  }
+  parts.push(textDecoder.decode());
+  return parts.join("");
+}
+
+// requestBody.formData maps every key to an array of values; keep the first
+export function formDataToParams(formData) {
+  const params = {};
+  for (const [key, value] of Object.entries(formData || {})) {
+    params[key] = Array.isArray(value) ? value[0] : value;
+  }
+  return params;
+}
+
+export function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// Everything a detector may need from a request: URL params, form / urlencoded body params
+// (merged over the URL params), the raw body text and the body parsed as JSON if it is JSON
+export function readRequest(details) {
+  const url = new URL(details.url);
+  const urlParams = Object.fromEntries(url.searchParams.entries());
+
+  let bodyParams = {};
+  let bodyText = null;
+  let json = null;
+  if (details.requestBody?.formData) {
+    bodyParams = formDataToParams(details.requestBody.formData);
+  } else {
+    bodyText = decodeRawBody(details.requestBody);
+    const trimmed = bodyText?.trim() || '';
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      json = parseJson(trimmed);
+    } else if (trimmed.includes('=') && !trimmed.includes('\n')) {
+      bodyParams = Object.fromEntries(new URLSearchParams(trimmed).entries());
+    }
+  }
+
+  return { details, url, urlParams, bodyParams, params: { ...urlParams, ...bodyParams }, bodyText, json };
+}
@@ -5,16 +5,20 @@ export const STORAGE_KEYS = {
   TAB_ID: "attachedTabId",
   TAB_TITLE: "attachedTabTitle",
   LAST_EVENT_NUMBER: "lastGtmEventNumber", // For tracking GTM event numbers
-  PREVIEW_SESSION: "gtmPreviewCb" // For tracking preview session callback ID
+  PREVIEW_SESSION: "gtmPreviewCb", // For tracking preview session callback ID
+  SESSION_NAME: "sessionName", // Label shown to the agent when several browsers are connected
+  CLIENT_ID: "clientId", // Stable id so the server can recognise this browser across reconnects
+  CLIENT_KEY: "pairingKey", // Key issued by the server when this browser was paired
+  REVOKED_CLIENT_KEY: "revokedPairingKey", // Forgotten key the server has not yet confirmed revoking
+  HISTORY_RETENTION: "historyRetention", // { maxPageViews, maxHitsPerPage } for the tracking history
+  TRACKING_HISTORY: "trackingHistory", // chrome.storage.session snapshot of the tracking history
+  TRACKING_HISTORY_DIRTY: "trackingHistoryDirtySince", // set while history changes are not yet saved
+  PENDING_TRACKING_EVENTS: "pendingTrackingEvents", // chrome.storage.session copy of events not yet sent to the server
+  DATALAYER_HOOK: "dataLayerHookEnabled", // record live dataLayer.push calls (content/dataLayerHook.js)
+  TAGGING_ENDPOINTS: "taggingEndpoints" // { endpoints: [{ url, vendor }], detectUnlisted } first-party endpoint mapping
 };
 
-// GA4 hits storage - per tab
-export const ga4HitsPerTab = new Map(); // tabId -> hits array
-export const MAX_HITS_PER_PAGE = 50;
-
-// Meta Pixel hits storage - per tab
-export const metaPixelHitsPerTab = new Map(); // tabId -> hits array
-export const MAX_META_PIXEL_HITS_PER_PAGE = 50;
+// Captured GA4 / Meta Pixel hits live in modules/history.js, grouped by page view
 
 // Storage helper functions
 export async function getStoredValue(key) {
@@ -1,6 +1,23 @@
 const log = (...args) => console.log('[MCP][Popup]', ...args);
 const statusEl = document.getElementById("status");
 const actionBtn = document.getElementById("actionButton");
+const sessionNameInput = document.getElementById("sessionName");
+const saveSessionNameBtn = document.getElementById("saveSessionName");
+const pairingStatusEl = document.getElementById("pairingStatus");
+const pairRow = document.getElementById("pairRow");
+const pairingTokenInput = document.getElementById("pairingToken");
+const pairBtn = document.getElementById("pairButton");
+const unpairBtn = document.getElementById("unpairButton");
+const maxPageViewsInput = document.getElementById("maxPageViews");
+const maxHitsPerPageInput = document.getElementById("maxHitsPerPage");
+const saveRetentionBtn = document.getElementById("saveRetention");
+const clearHistoryBtn = document.getElementById("clearHistory");
+const recordPushesInput = document.getElementById("recordPushes");
+const endpointListInput = document.getElementById("endpointList");
+const endpointVendorsEl = document.getElementById("endpointVendors");
+const detectUnlistedInput = document.getElementById("detectUnlisted");
+const endpointErrorsEl = document.getElementById("endpointErrors");
+const saveEndpointsBtn = document.getElementById("saveEndpoints");
 
 let attachedInfo = null; // {id, title} | null
 
@@ -18,14 +35,134 @@ function updateUI() {
   }
 }
 
+function updatePairingUI(pairingState, error) {
+  log('UI update: pairing', pairingState, error);
+  const paired = pairingState === "paired";
+  if (error) {
+    pairingStatusEl.textContent = `Pairing failed: ${error}`;
+  } else if (paired) {
+    pairingStatusEl.textContent = "Paired with MCP server";
+  } else if (pairingState === "unpaired") {
+    pairingStatusEl.textContent = "Not paired – enter the token printed by the MCP server";
+  } else {
+    pairingStatusEl.textContent = "Pairing: not connected to server";
+  }
+  pairingStatusEl.className = paired ? "paired" : "unpaired";
+  pairRow.hidden = paired;
+  unpairBtn.hidden = !paired;
+}
+
+function pairWithToken() {
+  const token = pairingTokenInput.value.trim();
+  log('PAIR_WITH_TOKEN');
+  pairBtn.disabled = true;
+  pairingStatusEl.textContent = "Pairing…";
+  chrome.runtime.sendMessage({ type: "PAIR_WITH_TOKEN", token }, (resp) => {
+    pairBtn.disabled = false;
+    if (resp?.success) {
+      pairingTokenInput.value = "";
+      updatePairingUI("paired");
+    } else {
+      updatePairingUI("unpaired", resp?.error || "no response");
+    }
+  });
+}
+
+function unpair() {
+  log('UNPAIR click');
+  chrome.runtime.sendMessage({ type: "UNPAIR" }, () => updatePairingUI("unpaired"));
+}
+
 function fetchStatus() {
   chrome.runtime.sendMessage({ type: "GET_ATTACHMENT_STATUS" }, (resp) => {
     log('GET_ATTACHMENT_STATUS resp', resp);
     attachedInfo = resp?.attachedTabInfo ?? null;
+    sessionNameInput.value = resp?.sessionName ?? "";
     updateUI();
+    updatePairingUI(resp?.connectionState?.pairingState);
+  });
+}
+
+function saveSessionName() {
+  const sessionName = sessionNameInput.value.trim();
+  log('SET_SESSION_NAME', sessionName);
+  chrome.runtime.sendMessage({ type: "SET_SESSION_NAME", sessionName }, (resp) => {
+    sessionNameInput.value = resp?.sessionName ?? "";
   });
 }
 
+function showRetention(retention) {
+  maxPageViewsInput.value = retention?.maxPageViews ?? "";
+  maxHitsPerPageInput.value = retention?.maxHitsPerPage ?? "";
+}
+
+function fetchRetention() {
+  chrome.runtime.sendMessage({ type: "GET_HISTORY_RETENTION" }, (resp) => showRetention(resp?.retention));
+}
+
+function saveRetention() {
+  const retention = {
+    maxPageViews: maxPageViewsInput.value,
+    maxHitsPerPage: maxHitsPerPageInput.value,
+  };
+  log('SET_HISTORY_RETENTION', retention);
+  chrome.runtime.sendMessage({ type: "SET_HISTORY_RETENTION", retention }, (resp) => showRetention(resp?.retention));
+}
+
+function clearHistory() {
+  log('CLEAR_HISTORY click');
+  clearHistoryBtn.disabled = true;
+  chrome.runtime.sendMessage({ type: "CLEAR_HISTORY" }, () => {
+    clearHistoryBtn.disabled = false;
+  });
+}
+
+function fetchDataLayerHook() {
+  chrome.runtime.sendMessage({ type: "GET_DATALAYER_HOOK" }, (resp) => {
+    recordPushesInput.checked = Boolean(resp?.enabled);
+  });
+}
+
+function setDataLayerHook() {
+  const enabled = recordPushesInput.checked;
+  log('SET_DATALAYER_HOOK', enabled);
+  chrome.runtime.sendMessage({ type: "SET_DATALAYER_HOOK", enabled }, (resp) => {
+    recordPushesInput.checked = Boolean(resp?.enabled);
+  });
+}
+
+function showEndpoints(resp) {
+  if (!resp) return;
+  // A failed save answers with errors only; keep what the user typed
+  if (resp.endpoints) {
+    endpointListInput.value = resp.endpoints.map((e) => `${e.url} ${e.vendor}`).join("\n");
+    detectUnlistedInput.checked = resp.detectUnlisted !== false;
+  }
+  if (resp.vendors) {
+    endpointVendorsEl.textContent = `One per line: URL (prefix or * pattern) and vendor (${resp.vendors.map((v) => v.vendor).join(", ")})`;
+  }
+  endpointErrorsEl.textContent = (resp.errors || []).join("; ");
+}
+
+function fetchEndpoints() {
+  chrome.runtime.sendMessage({ type: "GET_TAGGING_ENDPOINTS" }, showEndpoints);
+}
+
+// "https://metrics.example.com/g/collect ga4" -> { url, vendor }
+function saveEndpoints() {
+  const endpoints = endpointListInput.value
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [url, vendor] = line.split(/\s+/);
+      return { url, vendor };
+    });
+  const settings = { endpoints, detectUnlisted: detectUnlistedInput.checked };
+  log('SET_TAGGING_ENDPOINTS', settings);
+  chrome.runtime.sendMessage({ type: "SET_TAGGING_ENDPOINTS", settings }, showEndpoints);
+}
+
 async function attachCurrentTab() {
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     log('Attach flow: tabs', tabs);
@@ -60,8 +197,25 @@ actionBtn.addEventListener("click", () => {
   }
 });
 
+saveSessionNameBtn.addEventListener("click", saveSessionName);
+pairBtn.addEventListener("click", pairWithToken);
+unpairBtn.addEventListener("click", unpair);
+saveRetentionBtn.addEventListener("click", saveRetention);
+clearHistoryBtn.addEventListener("click", clearHistory);
+recordPushesInput.addEventListener("change", setDataLayerHook);
+saveEndpointsBtn.addEventListener("click", saveEndpoints);
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.type === "CONNECTION_STATUS_UPDATE") {
+    updatePairingUI(message.status?.pairingState);
+  }
+});
+
 // init
 log('Popup init');
 fetchStatus(); 
+fetchRetention();
+fetchDataLayerHook();
+fetchEndpoints();
 
 // Probe button removed per request
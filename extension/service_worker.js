@@ -5,24 +5,57 @@ import {
   connectionState, 
   forceReconnect, 
   cleanup,
-  getWebSocket 
+  getWebSocket,
+  broadcastConnectionStatus
 } from './modules/connection.js';
-import { 
-  STORAGE_KEYS, 
-  ga4HitsPerTab, 
-  metaPixelHitsPerTab, 
-  MAX_HITS_PER_PAGE, 
-  MAX_META_PIXEL_HITS_PER_PAGE 
-} from './modules/utils/storage.js';
+import { STORAGE_KEYS } from './modules/utils/storage.js';
+import {
+  addHitToHistory,
+  clearHistory,
+  getCurrentPageView,
+  getHistoryHits,
+  getRetention,
+  initHistory,
+  setRetention,
+  startPageView
+} from './modules/history.js';
+import {
+  addPushes,
+  clearPushes,
+  getNewPushes,
+  isHookEnabled,
+  setHookEnabled,
+  syncHookRegistration
+} from './modules/dataLayerPushes.js';
 import { logInfo, logWarn, logError } from './modules/utils/logging.js';
 import { extractDataLayer } from './modules/extractors/dataLayer.js';
+import { extractDataModel } from './modules/extractors/dataModel.js';
 import { extractSchemaMarkup } from './modules/extractors/schema.js';
 import { extractMetaTags } from './modules/extractors/metaTags.js';
+import { extractConsentState } from './modules/extractors/consent.js';
+import { extractGtmContainerIds } from './modules/extractors/gtmContainers.js';
+import { detectHits, findDetector, getDetectorUrlPatterns, listVendors } from './modules/detectors/index.js';
+import {
+  findEndpoint,
+  getEndpointSettings,
+  hasEndpoints,
+  loadEndpointSettings,
+  setEndpointSettings,
+  shouldDetectUnlisted
+} from './modules/detectors/endpoints.js';
 
 // Track the currently connected server identity
 let connectedServerId = null;
 let connectedServerStartedAt = null;
 
+// Captured hits survive worker suspension; everything touching the history waits for the restore
+const historyReady = initHistory();
+
+// First-party tagging endpoints configured in the popup
+const endpointsReady = loadEndpointSettings().catch((error) => {
+  logWarn("Failed to load tagging endpoints:", error);
+});
+
 // Helper function to send WebSocket message
 function sendWebSocketMessage(message) {
   const ws = getWebSocket();
@@ -39,6 +72,192 @@ function sendWebSocketMessage(message) {
   return false;
 }
 
+// Get (or create once) the id that identifies this browser profile to the server
+async function getClientId() {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.CLIENT_ID);
+  if (stored[STORAGE_KEYS.CLIENT_ID]) return stored[STORAGE_KEYS.CLIENT_ID];
+  const clientId = crypto.randomUUID();
+  await chrome.storage.local.set({ [STORAGE_KEYS.CLIENT_ID]: clientId });
+  return clientId;
+}
+
+// Tell the server who we are so it can track this browser as a named session
+async function sendSessionInfo() {
+  if (connectionState.pairingState !== "paired") return;
+  try {
+    const data = await chrome.storage.local.get([
+      STORAGE_KEYS.TAB_ID,
+      STORAGE_KEYS.TAB_TITLE,
+      STORAGE_KEYS.SESSION_NAME,
+    ]);
+    const message = {
+      type: "SESSION_INFO",
+      clientId: await getClientId(),
+      sessionName: data[STORAGE_KEYS.SESSION_NAME] || null,
+      userAgent: navigator.userAgent,
+      attachedTab: data[STORAGE_KEYS.TAB_ID] ? {
+        id: data[STORAGE_KEYS.TAB_ID],
+        title: data[STORAGE_KEYS.TAB_TITLE] || "",
+      } : null,
+      timestamp: Date.now(),
+    };
+    sendWebSocketMessage(message);
+  } catch (error) {
+    logError("Failed to send session info:", error);
+  }
+}
+
+// ---- Tracking event stream ----
+
+// Events captured while the socket is down or not yet authenticated wait here (oldest dropped first).
+// The queue is mirrored to chrome.storage.session so a suspended worker does not lose it.
+const MAX_PENDING_TRACKING_EVENTS = 500;
+const pendingTrackingEvents = [];
+
+let pendingTrackingEventsSaved = false; // whether chrome.storage.session holds a copy to update
+
+function savePendingTrackingEvents() {
+  if (!pendingTrackingEvents.length && !pendingTrackingEventsSaved) return;
+  pendingTrackingEventsSaved = pendingTrackingEvents.length > 0;
+  const write = pendingTrackingEventsSaved
+    ? chrome.storage.session.set({ [STORAGE_KEYS.PENDING_TRACKING_EVENTS]: pendingTrackingEvents })
+    : chrome.storage.session.remove(STORAGE_KEYS.PENDING_TRACKING_EVENTS);
+  write.catch((error) => logWarn("Failed to persist undelivered tracking events:", error));
+}
+
+// Events the previous worker had not delivered go ahead of anything captured since
+const pendingTrackingEventsReady = chrome.storage.session
+  .get(STORAGE_KEYS.PENDING_TRACKING_EVENTS)
+  .then((stored) => {
+    const restored = stored[STORAGE_KEYS.PENDING_TRACKING_EVENTS];
+    if (!Array.isArray(restored) || !restored.length) return;
+    pendingTrackingEvents.unshift(...restored);
+    if (pendingTrackingEvents.length > MAX_PENDING_TRACKING_EVENTS) {
+      pendingTrackingEvents.splice(0, pendingTrackingEvents.length - MAX_PENDING_TRACKING_EVENTS);
+    }
+    pendingTrackingEventsSaved = true;
+    logInfo(`Restored ${restored.length} undelivered tracking events after service worker restart`);
+  })
+  .catch((error) => logWarn("Failed to restore undelivered tracking events:", error));
+
+// Stream a captured event of the attached tab to the server timeline
+async function streamTrackingEvent(tabId, kind, data, pageUrl) {
+  try {
+    const { attachedTabId } = await chrome.storage.local.get(STORAGE_KEYS.TAB_ID);
+    if (attachedTabId !== tabId) return;
+
+    await pendingTrackingEventsReady;
+    pendingTrackingEvents.push({
+      kind,
+      eventId: data?.eventId || crypto.randomUUID(),
+      tabId,
+      pageUrl: pageUrl || null,
+      timestamp: data?.timestamp || Date.now(),
+      data,
+    });
+    if (pendingTrackingEvents.length > MAX_PENDING_TRACKING_EVENTS) {
+      pendingTrackingEvents.splice(0, pendingTrackingEvents.length - MAX_PENDING_TRACKING_EVENTS);
+    }
+    if (!(await flushTrackingEvents())) savePendingTrackingEvents();
+  } catch (error) {
+    logWarn("Failed to stream tracking event:", error);
+  }
+}
+
+// Send the queue to the server; returns whether it was delivered
+async function flushTrackingEvents() {
+  await pendingTrackingEventsReady;
+  if (!pendingTrackingEvents.length || connectionState.pairingState !== "paired") return false;
+  const events = pendingTrackingEvents.slice();
+  if (!sendWebSocketMessage({ type: "TRACKING_EVENTS", events, timestamp: Date.now() })) return false;
+  pendingTrackingEvents.splice(0, events.length);
+  savePendingTrackingEvents();
+  return true;
+}
+
+// ---- Pairing / authentication ----
+
+let pendingPairing = null; // { token, respond } while a pairing request is outstanding
+
+function setPairingState(state) {
+  connectionState.pairingState = state;
+  broadcastConnectionStatus();
+}
+
+// Present our stored client key, or wait for the human to pair if we have none
+async function authenticateWithServer() {
+  const clientId = await getClientId();
+
+  if (pendingPairing) {
+    sendWebSocketMessage({ type: "PAIR_REQUEST", clientId, token: pendingPairing.token, timestamp: Date.now() });
+    return;
+  }
+
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.CLIENT_KEY);
+  const clientKey = stored[STORAGE_KEYS.CLIENT_KEY];
+  if (!clientKey) {
+    logWarn("Not paired with the MCP server. Enter the pairing token in the extension popup.");
+    setPairingState("unpaired");
+    return;
+  }
+  sendWebSocketMessage({ type: "AUTH_REQUEST", clientId, clientKey, timestamp: Date.now() });
+}
+
+// Ask the server to drop a key we forgot while it was unreachable; retried on every connect until confirmed
+async function sendPendingRevocation() {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.REVOKED_CLIENT_KEY);
+  const clientKey = stored[STORAGE_KEYS.REVOKED_CLIENT_KEY];
+  if (!clientKey) return false;
+  return sendWebSocketMessage({ type: "UNPAIR_REQUEST", clientId: await getClientId(), clientKey, timestamp: Date.now() });
+}
+
+function finishPairing(result) {
+  if (!pendingPairing) return;
+  clearTimeout(pendingPairing.timeout);
+  pendingPairing.respond(result);
+  pendingPairing = null;
+}
+
+async function handleAuthResult(msg) {
+  if (msg.type === "UNPAIR_RESULT") {
+    if (msg.ok) {
+      logInfo("Server revoked the forgotten pairing key");
+      await chrome.storage.local.remove(STORAGE_KEYS.REVOKED_CLIENT_KEY);
+    } else {
+      logWarn("Server could not revoke the forgotten pairing key:", msg.error);
+    }
+    return;
+  }
+
+  if (msg.type === "PAIR_RESULT") {
+    if (msg.ok && msg.clientKey) {
+      await chrome.storage.local.set({ [STORAGE_KEYS.CLIENT_KEY]: msg.clientKey });
+      logInfo("Paired with MCP server");
+      setPairingState("paired");
+      finishPairing({ success: true });
+      await sendSessionInfo();
+      flushTrackingEvents();
+    } else {
+      logWarn("Pairing rejected by server:", msg.error);
+      setPairingState("unpaired");
+      finishPairing({ success: false, error: msg.error || "Pairing failed" });
+    }
+    return;
+  }
+
+  if (msg.ok) {
+    logInfo("Authenticated with MCP server");
+    setPairingState("paired");
+    await sendSessionInfo();
+    flushTrackingEvents();
+  } else {
+    // The server no longer knows our key (revoked or state wiped): forget it and re-pair
+    logWarn("Authentication rejected by server:", msg.error);
+    await chrome.storage.local.remove(STORAGE_KEYS.CLIENT_KEY);
+    setPairingState("unpaired");
+  }
+}
+
 // Message handler for WebSocket messages
 async function handleWebSocketMessage(event) {
   let msg;
@@ -49,18 +268,41 @@ async function handleWebSocketMessage(event) {
     return;
   }
 
+  // Page data only goes to a server this browser is paired with
+  if (typeof msg.type === "string" && msg.type.startsWith("REQUEST_") && connectionState.pairingState !== "paired") {
+    logWarn(`Ignoring ${msg.type}: not paired with this server`);
+    return;
+  }
+
   switch (msg.type) {
     case "REQUEST_DATALAYER":
-      await handleGetDataLayerRequest(msg.requestId);
+      await handleGetDataLayerRequest(msg.requestId, msg.variableName);
+      break;
+    case "REQUEST_DATA_MODEL":
+      await handleGetDataModelRequest(msg.requestId, {
+        variableName: msg.variableName ?? null,
+        containerId: msg.containerId ?? null,
+        keys: msg.keys ?? null,
+        pushIndex: msg.pushIndex ?? null
+      });
       break;
     case "REQUEST_GA4_HITS":
-      await handleGetGa4HitsRequest(msg.requestId);
+      await handleGetGa4HitsRequest(msg.requestId, msg.scope);
       break;
     case "REQUEST_META_PIXEL_HITS":
-      await handleGetMetaPixelHitsRequest(msg.requestId);
+      await handleGetMetaPixelHitsRequest(msg.requestId, msg.scope);
+      break;
+    case "REQUEST_TRACKING_HITS":
+      await handleGetTrackingHitsRequest(msg.requestId, msg.vendor, msg.scope);
+      break;
+    case "REQUEST_CLEAR_TRACKING_HISTORY":
+      await handleClearTrackingHistoryRequest(msg.requestId);
+      break;
+    case "REQUEST_NEW_DATALAYER_PUSHES":
+      await handleGetNewDataLayerPushesRequest(msg.requestId, msg.since);
       break;
     case "REQUEST_NEW_GTM_PREVIEW_EVENTS":
-      await handleGetNewGtmPreviewEventsRequest(msg.requestId);
+      await handleGetNewGtmPreviewEventsRequest(msg.requestId, msg.since);
       break;
     case "REQUEST_GTM_CONTAINER_IDS":
       await handleGetGtmContainerIdsRequest(msg.requestId);
@@ -68,6 +310,9 @@ async function handleWebSocketMessage(event) {
     case "REQUEST_SCHEMA_MARKUP":
       await handleGetSchemaMarkupRequest(msg.requestId);
       break;
+    case "REQUEST_CONSENT_STATE":
+      await handleGetConsentStateRequest(msg.requestId);
+      break;
     case "REQUEST_META_TAGS":
       await handleGetMetaTagsRequest(msg.requestId);
       break;
@@ -85,64 +330,167 @@ async function handleWebSocketMessage(event) {
       try {
         await chrome.storage.local.set({ __activeServerInstanceId: connectedServerId, __activeServerStartedAt: connectedServerStartedAt });
       } catch {}
+      if (msg.authRequired) {
+        await sendPendingRevocation();
+        await authenticateWithServer();
+      } else {
+        // Anything listening on the port could claim not to need pairing; share nothing with it
+        logWarn("Server did not ask for pairing; not sending it any page data");
+        setPairingState("unpaired");
+      }
+      break;
+    case "PAIR_RESULT":
+    case "AUTH_RESULT":
+    case "UNPAIR_RESULT":
+      await handleAuthResult(msg);
+      break;
+    case "AUTH_REQUIRED":
+      logWarn("Server ignored a message because this browser is not authenticated");
+      if (connectionState.pairingState === "paired") setPairingState("unpaired");
       break;
     default:
       logWarn("Unknown message type:", msg.type);
   }
 }
 
-// Enhanced GTM container ID extraction
-function extractGtmContainerIds() {
+// Request handlers
+async function handleGetDataLayerRequest(requestId, variableName) {
+  logInfo(`Handling dataLayer request: ${requestId}`);
+  
+  const { attachedTabId } = await chrome.storage.local.get(STORAGE_KEYS.TAB_ID);
+  
+  if (!attachedTabId) {
+    const errorResponse = {
+      type: "DATALAYER_RESPONSE",
+      requestId,
+      payload: { 
+        error: "No tab attached. Ask the human to attach a tab by opening the extension and clicking the attach button.",
+        timestamp: Date.now()
+      },
+    };
+    
+    if (!sendWebSocketMessage(errorResponse)) {
+      logError("Cannot send error response - WebSocket not connected");
+    }
+    return;
+  }
+
   try {
-    const start = performance.now();
+    // Check if tab still exists
+    const tab = await chrome.tabs.get(attachedTabId).catch(() => null);
+    if (!tab) {
+      throw new Error("Attached tab no longer exists");
+    }
     
-    // Check if Google Tag Manager is available
-    if (!window.google_tag_manager) {
-      return { 
-        error: "Google Tag Manager not found on this page. Make sure GTM is installed and loaded.", 
-        url: window.location.href,
-        timestamp: Date.now()
-      };
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId: attachedTabId },
+      func: extractDataLayer,
+      args: [variableName || null],
+      world: "MAIN",
+    });
+
+    const response = {
+      type: "DATALAYER_RESPONSE",
+      requestId,
+      payload: result.result,
+    };
+    
+    if (sendWebSocketMessage(response)) {
+      logInfo(`Successfully sent dataLayer response for request: ${requestId}`);
+    } else {
+      logError("Cannot send response - WebSocket not connected");
     }
     
-    // Extract container IDs from google_tag_manager object
-    const gtmIds = Object.keys(window.google_tag_manager)
-      .filter(id => id.startsWith('GTM-'));
+  } catch (e) {
+    logError(`Failed to execute dataLayer script:`, e);
     
-    const end = performance.now();
+    const errorResponse = {
+      type: "DATALAYER_RESPONSE",
+      requestId,
+      payload: { 
+        error: `Failed to execute script: ${e.message}`,
+        timestamp: Date.now()
+      },
+    };
     
-    if (gtmIds.length === 0) {
-      return {
-        error: "No GTM container IDs found. The google_tag_manager object exists but contains no GTM containers.",
-        url: window.location.href,
-        timestamp: Date.now(),
-        availableKeys: Object.keys(window.google_tag_manager)
-      };
+    if (!sendWebSocketMessage(errorResponse)) {
+      logError("Cannot send error response - WebSocket not connected");
     }
+  }
+}
+
+async function handleGetDataModelRequest(requestId, options) {
+  logInfo(`Handling data model request: ${requestId}`);
+  
+  const { attachedTabId } = await chrome.storage.local.get(STORAGE_KEYS.TAB_ID);
+  
+  if (!attachedTabId) {
+    const errorResponse = {
+      type: "DATA_MODEL_RESPONSE",
+      requestId,
+      payload: { 
+        error: "No tab attached. Ask the human to attach a tab by opening the extension and clicking the attach button.",
+        timestamp: Date.now()
+      },
+    };
     
-    return {
-      containerIds: gtmIds,
-      url: window.location.href,
-      timestamp: Date.now()
+    if (!sendWebSocketMessage(errorResponse)) {
+      logError("Cannot send error response - WebSocket not connected");
+    }
+    return;
+  }
+
+  try {
+    const tab = await chrome.tabs.get(attachedTabId).catch(() => null);
+    if (!tab) {
+      throw new Error("Attached tab no longer exists");
+    }
+    
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId: attachedTabId },
+      func: extractDataModel,
+      args: [options],
+      world: "MAIN",
+    });
+
+    const response = {
+      type: "DATA_MODEL_RESPONSE",
+      requestId,
+      payload: result.result,
     };
+    
+    if (sendWebSocketMessage(response)) {
+      logInfo(`Successfully sent data model response for request: ${requestId}`);
+    } else {
+      logError("Cannot send response - WebSocket not connected");
+    }
+    
   } catch (e) {
-    return { 
-      error: `Failed to extract GTM container IDs: ${e.message}`, 
-      url: window.location.href,
-      timestamp: Date.now()
+    logError(`Failed to execute data model script:`, e);
+    
+    const errorResponse = {
+      type: "DATA_MODEL_RESPONSE",
+      requestId,
+      payload: { 
+        error: `Failed to execute script: ${e.message}`,
+        timestamp: Date.now()
+      },
     };
+    
+    if (!sendWebSocketMessage(errorResponse)) {
+      logError("Cannot send error response - WebSocket not connected");
+    }
   }
 }
 
-// Request handlers
-async function handleGetDataLayerRequest(requestId) {
-  logInfo(`Handling dataLayer request: ${requestId}`);
+async function handleGetConsentStateRequest(requestId) {
+  logInfo(`Handling consent state request: ${requestId}`);
   
   const { attachedTabId } = await chrome.storage.local.get(STORAGE_KEYS.TAB_ID);
   
   if (!attachedTabId) {
     const errorResponse = {
-      type: "DATALAYER_RESPONSE",
+      type: "CONSENT_STATE_RESPONSE",
       requestId,
       payload: { 
         error: "No tab attached. Ask the human to attach a tab by opening the extension and clicking the attach button.",
@@ -157,7 +505,6 @@ async function handleGetDataLayerRequest(requestId) {
   }
 
   try {
-    // Check if tab still exists
     const tab = await chrome.tabs.get(attachedTabId).catch(() => null);
     if (!tab) {
       throw new Error("Attached tab no longer exists");
@@ -165,27 +512,27 @@ async function handleGetDataLayerRequest(requestId) {
     
     const [result] = await chrome.scripting.executeScript({
       target: { tabId: attachedTabId },
-      func: extractDataLayer,
+      func: extractConsentState,
       world: "MAIN",
     });
 
     const response = {
-      type: "DATALAYER_RESPONSE",
+      type: "CONSENT_STATE_RESPONSE",
       requestId,
       payload: result.result,
     };
     
     if (sendWebSocketMessage(response)) {
-      logInfo(`Successfully sent dataLayer response for request: ${requestId}`);
+      logInfo(`Successfully sent consent state response for request: ${requestId}`);
     } else {
       logError("Cannot send response - WebSocket not connected");
     }
     
   } catch (e) {
-    logError(`Failed to execute dataLayer script:`, e);
+    logError(`Failed to execute consent state script:`, e);
     
     const errorResponse = {
-      type: "DATALAYER_RESPONSE",
+      type: "CONSENT_STATE_RESPONSE",
       requestId,
       payload: { 
         error: `Failed to execute script: ${e.message}`,
@@ -629,7 +976,7 @@ async function handleGetGtmContainerIdsRequest(requestId) {
 }
 
 // Stub handlers for GA4, Meta Pixel, and GTM Preview (to be modularized)
-async function handleGetGa4HitsRequest(requestId) {
+async function handleGetGa4HitsRequest(requestId, scope) {
   logInfo(`Handling GA4 hits request: ${requestId}`);
   
   const { attachedTabId } = await chrome.storage.local.get(STORAGE_KEYS.TAB_ID);
@@ -648,15 +995,12 @@ async function handleGetGa4HitsRequest(requestId) {
     return;
   }
 
-  const hits = ga4HitsPerTab.get(attachedTabId) || [];
-  
+  await historyReady;
   const response = {
     type: "GA4_HITS_RESPONSE",
     requestId,
     payload: {
-      hits: hits,
-      pageUrl: hits.length > 0 ? hits[0].pageUrl : null,
-      totalHits: hits.length,
+      ...getHistoryHits(attachedTabId, 'ga4', scope),
       timestamp: Date.now()
     }
   };
@@ -666,7 +1010,7 @@ async function handleGetGa4HitsRequest(requestId) {
   }
 }
 
-async function handleGetMetaPixelHitsRequest(requestId) {
+async function handleGetMetaPixelHitsRequest(requestId, scope) {
   logInfo(`Handling Meta Pixel hits request: ${requestId}`);
   
   const { attachedTabId } = await chrome.storage.local.get(STORAGE_KEYS.TAB_ID);
@@ -685,15 +1029,12 @@ async function handleGetMetaPixelHitsRequest(requestId) {
     return;
   }
 
-  const hits = metaPixelHitsPerTab.get(attachedTabId) || [];
-  
+  await historyReady;
   const response = {
     type: "META_PIXEL_HITS_RESPONSE",
     requestId,
     payload: {
-      hits: hits,
-      pageUrl: hits.length > 0 ? hits[0].pageUrl : null,
-      totalHits: hits.length,
+      ...getHistoryHits(attachedTabId, 'metaPixel', scope),
       timestamp: Date.now()
     }
   };
@@ -703,7 +1044,110 @@ async function handleGetMetaPixelHitsRequest(requestId) {
   }
 }
 
-async function handleGetNewGtmPreviewEventsRequest(requestId) {
+async function handleGetTrackingHitsRequest(requestId, vendor, scope) {
+  logInfo(`Handling tracking hits request: ${requestId}`);
+  
+  const { attachedTabId } = await chrome.storage.local.get(STORAGE_KEYS.TAB_ID);
+  
+  if (!attachedTabId) {
+    sendWebSocketMessage({
+      type: "TRACKING_HITS_RESPONSE",
+      requestId,
+      payload: {
+        error: "No tab attached. Please attach a tab to monitor tracking hits.",
+        timestamp: Date.now()
+      },
+    });
+    return;
+  }
+
+  const vendors = vendor ? [].concat(vendor) : null;
+  const known = listVendors();
+  const unknown = (vendors || []).filter((v) => !known.some((k) => k.vendor === v));
+  if (unknown.length) {
+    sendWebSocketMessage({
+      type: "TRACKING_HITS_RESPONSE",
+      requestId,
+      payload: {
+        error: `Unknown vendor: ${unknown.join(", ")}. Known vendors: ${known.map((k) => k.vendor).join(", ")}`,
+        timestamp: Date.now()
+      },
+    });
+    return;
+  }
+
+  await historyReady;
+  const result = getHistoryHits(attachedTabId, vendors, scope);
+  const countsByVendor = {};
+  for (const hit of result.hits || result.pageViews.flatMap((pageView) => pageView.hits)) {
+    countsByVendor[hit.vendor] = (countsByVendor[hit.vendor] || 0) + 1;
+  }
+
+  const response = {
+    type: "TRACKING_HITS_RESPONSE",
+    requestId,
+    payload: {
+      ...result,
+      countsByVendor,
+      vendors: known,
+      timestamp: Date.now()
+    }
+  };
+  
+  if (sendWebSocketMessage(response)) {
+    logInfo(`Successfully sent tracking hits response for request: ${requestId}`);
+  }
+}
+
+async function handleClearTrackingHistoryRequest(requestId) {
+  logInfo(`Handling clear tracking history request: ${requestId}`);
+
+  const { attachedTabId } = await chrome.storage.local.get(STORAGE_KEYS.TAB_ID);
+  if (!attachedTabId) {
+    sendWebSocketMessage({
+      type: "CLEAR_TRACKING_HISTORY_RESPONSE",
+      requestId,
+      payload: { error: "No tab attached. Please attach a tab first.", timestamp: Date.now() },
+    });
+    return;
+  }
+
+  await historyReady;
+  clearHistory(attachedTabId);
+  sendWebSocketMessage({
+    type: "CLEAR_TRACKING_HISTORY_RESPONSE",
+    requestId,
+    payload: { cleared: true, tabId: attachedTabId, timestamp: Date.now() },
+  });
+}
+
+async function handleGetNewDataLayerPushesRequest(requestId, since) {
+  logInfo(`Handling new dataLayer pushes request: ${requestId}`);
+
+  const { attachedTabId } = await chrome.storage.local.get(STORAGE_KEYS.TAB_ID);
+  let payload;
+  if (!attachedTabId) {
+    payload = {
+      error: "No tab attached. Ask the human to attach a tab by opening the extension and clicking the attach button.",
+      timestamp: Date.now()
+    };
+  } else if (!(await isHookEnabled())) {
+    payload = {
+      error: "dataLayer push recording is off. Ask the human to enable \"Record dataLayer pushes\" in the extension popup and reload the page.",
+      timestamp: Date.now()
+    };
+  } else {
+    payload = { ...getNewPushes(attachedTabId, since), tabId: attachedTabId, timestamp: Date.now() };
+  }
+
+  if (!sendWebSocketMessage({ type: "NEW_DATALAYER_PUSHES_RESPONSE", requestId, payload })) {
+    logError("Cannot send dataLayer pushes response - WebSocket not connected");
+  }
+}
+
+// `since` reads events after that number without touching the stored "last reported" number,
+// so other callers (e.g. the tracking timeline) do not steal events from getNewGTMPreviewEvents
+async function handleGetNewGtmPreviewEventsRequest(requestId, since) {
   logInfo(`Handling new GTM preview events request: ${requestId}`);
   logInfo('Preview debug: starting lookup for Tag Assistant tab');
   
@@ -757,7 +1201,9 @@ async function handleGetNewGtmPreviewEventsRequest(requestId) {
     }
 
     // Get the last event number from storage
-    const { lastGtmEventNumber = 0 } = await chrome.storage.local.get(STORAGE_KEYS.LAST_EVENT_NUMBER);
+    const peek = Number.isInteger(since) && since >= 0;
+    const { lastGtmEventNumber: storedEventNumber = 0 } = await chrome.storage.local.get(STORAGE_KEYS.LAST_EVENT_NUMBER);
+    const lastGtmEventNumber = peek ? since : storedEventNumber;
 
     // Early host-permission/site-access check to surface clearer logging
     let hasAccess = false;
@@ -1133,7 +1579,7 @@ async function handleGetNewGtmPreviewEventsRequest(requestId) {
     }
 
     // Update the last event number in storage if we found new events
-    if (gtmData?.lastEventNumber > lastGtmEventNumber) {
+    if (!peek && gtmData?.lastEventNumber > lastGtmEventNumber) {
       await chrome.storage.local.set({
         [STORAGE_KEYS.LAST_EVENT_NUMBER]: gtmData.lastEventNumber
       });
@@ -1186,7 +1632,7 @@ async function handleGetNewGtmPreviewEventsRequest(requestId) {
 }
 
 // Enhanced message listener with better error handling
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   try {
     switch (message.type) {
       case "ATTACH_TAB": {
@@ -1196,7 +1642,7 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         chrome.storage.local.set({
           [STORAGE_KEYS.TAB_ID]: tabId,
           [STORAGE_KEYS.TAB_TITLE]: title,
-        });
+        }).then(sendSessionInfo);
         
         // Reset connection state and connect
         connectionState.reconnectAttempts = 0;
@@ -1214,13 +1660,24 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 
       case "DETACH_TAB": {
         logInfo("Detaching from current tab");
-        chrome.storage.local.remove([STORAGE_KEYS.TAB_ID, STORAGE_KEYS.TAB_TITLE]);
+        chrome.storage.local.remove([STORAGE_KEYS.TAB_ID, STORAGE_KEYS.TAB_TITLE]).then(sendSessionInfo);
         sendResponse({ attachedTabInfo: null });
         break;
       }
 
+      case "SET_SESSION_NAME": {
+        const sessionName = String(message.sessionName || "").trim();
+        logInfo(`Setting session name: ${sessionName || "(default)"}`);
+        const update = sessionName
+          ? chrome.storage.local.set({ [STORAGE_KEYS.SESSION_NAME]: sessionName })
+          : chrome.storage.local.remove(STORAGE_KEYS.SESSION_NAME);
+        update.then(sendSessionInfo);
+        sendResponse({ sessionName: sessionName || null });
+        break;
+      }
+
       case "GET_ATTACHMENT_STATUS": {
-        chrome.storage.local.get([STORAGE_KEYS.TAB_ID, STORAGE_KEYS.TAB_TITLE]).then((data) => {
+        chrome.storage.local.get([STORAGE_KEYS.TAB_ID, STORAGE_KEYS.TAB_TITLE, STORAGE_KEYS.SESSION_NAME]).then((data) => {
           const attachedTabInfo = data[STORAGE_KEYS.TAB_ID] ? {
             id: data[STORAGE_KEYS.TAB_ID],
             title: data[STORAGE_KEYS.TAB_TITLE],
@@ -1228,12 +1685,14 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
           
           sendResponse({
             attachedTabInfo,
+            sessionName: data[STORAGE_KEYS.SESSION_NAME] || null,
             connectionState: {
               isConnected: connectionState.isConnected,
               isConnecting: connectionState.isConnecting,
               reconnectAttempts: connectionState.reconnectAttempts,
               lastConnectionTime: connectionState.lastConnectionTime,
               lastError: connectionState.lastError,
+              pairingState: connectionState.pairingState,
             }
           });
         }).catch((error) => {
@@ -1250,6 +1709,119 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         return true;
       }
       
+      case "PAIR_WITH_TOKEN": {
+        const token = String(message.token || "").trim();
+        if (!token) {
+          sendResponse({ success: false, error: "Enter the pairing token printed by the MCP server" });
+          break;
+        }
+        finishPairing({ success: false, error: "Superseded by a newer pairing attempt" });
+        pendingPairing = {
+          token,
+          respond: sendResponse,
+          timeout: setTimeout(() => finishPairing({ success: false, error: "No answer from the MCP server" }), 10000),
+        };
+        if (connectionState.isConnected) {
+          authenticateWithServer();
+        } else {
+          connectionState.reconnectAttempts = 0;
+          connectWebSocket(handleWebSocketMessage);
+        }
+        return true;
+      }
+
+      case "UNPAIR": {
+        logInfo("Forgetting pairing key");
+        // Keep the key until the server confirms it revoked it, so it cannot stay valid there
+        chrome.storage.local.get(STORAGE_KEYS.CLIENT_KEY)
+          .then(async (stored) => {
+            const clientKey = stored[STORAGE_KEYS.CLIENT_KEY];
+            if (clientKey) await chrome.storage.local.set({ [STORAGE_KEYS.REVOKED_CLIENT_KEY]: clientKey });
+            await chrome.storage.local.remove(STORAGE_KEYS.CLIENT_KEY);
+            if (!(await sendPendingRevocation()) && clientKey) {
+              logWarn("MCP server unreachable; the key will be revoked on the next connection");
+            }
+            setPairingState("unpaired");
+            forceReconnect(handleWebSocketMessage);
+            sendResponse({ success: true });
+          })
+          .catch((error) => {
+            logError("Failed to unpair:", error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+      }
+
+      case "GET_HISTORY_RETENTION": {
+        historyReady.then(() => sendResponse({ retention: getRetention() }));
+        return true;
+      }
+
+      case "SET_HISTORY_RETENTION": {
+        historyReady.then(() => {
+          const retention = setRetention(message.retention);
+          logInfo(`History retention set to ${retention.maxPageViews} page views, ${retention.maxHitsPerPage} hits per page`);
+          chrome.storage.local.set({ [STORAGE_KEYS.HISTORY_RETENTION]: retention });
+          sendResponse({ retention });
+        });
+        return true;
+      }
+
+      case "CLEAR_HISTORY": {
+        Promise.all([chrome.storage.local.get(STORAGE_KEYS.TAB_ID), historyReady]).then(([{ attachedTabId }]) => {
+          clearHistory(attachedTabId);
+          sendResponse({ success: true });
+        });
+        return true;
+      }
+
+      case "GET_DATALAYER_HOOK": {
+        isHookEnabled().then((enabled) => sendResponse({ enabled }));
+        return true;
+      }
+
+      case "SET_DATALAYER_HOOK": {
+        setHookEnabled(message.enabled)
+          .then((enabled) => sendResponse({ enabled }))
+          .catch((error) => sendResponse({ enabled: false, error: error.message }));
+        return true;
+      }
+
+      case "DATALAYER_PUSHES": {
+        // Only the top frame's dataLayer is recorded
+        const tabId = sender.tab?.id;
+        if (tabId === undefined || sender.frameId !== 0 || !Array.isArray(message.pushes)) {
+          sendResponse({ success: false });
+          break;
+        }
+        for (const record of addPushes(tabId, message.pushes)) {
+          const data = { ...record, eventId: crypto.randomUUID() };
+          streamTrackingEvent(tabId, "datalayer_push", data, record.pageUrl);
+        }
+        sendResponse({ success: true });
+        break;
+      }
+
+      case "GET_TAGGING_ENDPOINTS": {
+        endpointsReady.then(() => sendResponse({ ...getEndpointSettings(), vendors: listVendors() }));
+        return true;
+      }
+
+      case "SET_TAGGING_ENDPOINTS": {
+        endpointsReady.then(async () => {
+          try {
+            const { settings, errors } = setEndpointSettings(message.settings);
+            await chrome.storage.local.set({ [STORAGE_KEYS.TAGGING_ENDPOINTS]: settings });
+            logInfo(`Tagging endpoints set: ${settings.endpoints.length} configured, unlisted detection ${settings.detectUnlisted ? 'on' : 'off'}`);
+            sendResponse({ ...settings, errors, vendors: listVendors() });
+          } catch (error) {
+            logError("Failed to save tagging endpoints:", error);
+            sendResponse({ errors: [`Failed to save tagging endpoints: ${error.message}`] });
+          }
+        });
+        return true;
+      }
+
       case "FORCE_RECONNECT": {
         logInfo("Force reconnect requested");
         forceReconnect(handleWebSocketMessage);
@@ -1283,321 +1855,112 @@ chrome.storage.local.get([STORAGE_KEYS.TAB_ID]).then((data) => {
   logError("Failed to check for attached tab on startup:", error);
 });
 
+// Registered content scripts outlive the worker; keep them in line with the popup setting
+syncHookRegistration().catch((error) => {
+  logWarn("Failed to sync dataLayer hook registration:", error);
+});
+
 // Monitor tab closure
 chrome.tabs.onRemoved.addListener(async (tabId) => {
   const { attachedTabId } = await chrome.storage.local.get(STORAGE_KEYS.TAB_ID);
   if (attachedTabId === tabId) {
     logInfo("Attached tab was closed, detaching");
     await chrome.storage.local.remove([STORAGE_KEYS.TAB_ID, STORAGE_KEYS.TAB_TITLE]);
+    await sendSessionInfo();
   }
+  clearPushes(tabId);
+  await historyReady;
+  clearHistory(tabId);
 });
 
-// Monitor page navigation to clear hits
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'loading' && changeInfo.url) {
-    ga4HitsPerTab.set(tabId, []); // Clear hits for new page
-    metaPixelHitsPerTab.set(tabId, []); // Clear Meta Pixel hits for new page
-    logInfo(`Cleared GA4 and Meta Pixel hits for tab ${tabId} - new page: ${changeInfo.url}`);
+// Monitor page navigation (full loads and SPA route changes) to start a new page view
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  const navigationType = changeInfo.status === 'loading' ? 'load' : changeInfo.url ? 'route_change' : null;
+  const url = changeInfo.url || tab?.url;
+  if (navigationType && url) {
+    await historyReady;
+    const previous = getCurrentPageView(tabId);
+    const pageView = startPageView(tabId, url, navigationType);
+    if (pageView === previous) return;
+    logInfo(`New page view for tab ${tabId} (${navigationType}): ${url}`);
+    streamTrackingEvent(tabId, "navigation", { url, navigationType, pageViewId: pageView.id, timestamp: Date.now() }, url);
   }
 });
 
 // ---- Network Request Monitoring ----
 
-// Monitor GA4 requests
+// Timeline event kinds for vendors the server has dedicated tools for; every other vendor
+// streams as a generic tracking_hit
+const TIMELINE_KINDS = { ga4: "ga4_hit", metaPixel: "meta_pixel_hit" };
+
+// Monitor every registered vendor endpoint (see modules/detectors)
 chrome.webRequest.onBeforeRequest.addListener(
-  handleGa4GetRequest,
-  {
-    urls: [
-      "https://www.google-analytics.com/g/collect*",
-      "https://analytics.google.com/g/collect*",
-      "https://*.analytics.google.com/*"
-    ]
-  },
+  handleVendorRequest,
+  { urls: getDetectorUrlPatterns() },
   ["requestBody"]
 );
 
-// Monitor ALL requests (GET and POST) for server-side GA4 tracking
+// Monitor ALL requests (GET and POST) for server-side tracking on first-party endpoints
 chrome.webRequest.onBeforeRequest.addListener(
   handlePotentialServerSideTracking,
   {
     urls: ["<all_urls>"],
-    types: ["xmlhttprequest", "other"]
+    // gtag.js sends batches with sendBeacon (type "ping"); pixels on configured endpoints may be images
+    types: ["xmlhttprequest", "ping", "other", "image"]
   },
   ["requestBody"]
 );
 
-// Monitor direct Meta Pixel requests
-chrome.webRequest.onBeforeRequest.addListener(
-  handleMetaPixelRequest,
-  {
-    urls: [
-      "https://www.facebook.com/tr*",
-      "https://facebook.com/tr*"
-    ]
-  },
-  ["requestBody"]
-);
+// Request types whose payload is guessed when the URL is not a configured endpoint
+const UNLISTED_REQUEST_TYPES = new Set(["xmlhttprequest", "ping", "other"]);
 
-function handleGa4GetRequest(details) {
+function handleVendorRequest(details) {
   try {
-    const hit = parseGa4HitFromUrl(details);
-    if (hit) {
-      addHitToTab(details.tabId, hit);
+    const detector = findDetector(details.url);
+    if (!detector) return; // pattern matched but the finer check did not
+    for (const hit of detectHits(details, detector)) {
+      recordHit(details.tabId, hit);
     }
   } catch (error) {
-    logError("Error handling GA4 GET request:", error);
+    logError("Error handling tracking request:", error);
   }
 }
 
-function parseGa4HitFromUrl(details) {
-  try {
-    const url = new URL(details.url);
-    const params = Object.fromEntries(url.searchParams.entries());
-    
-    return {
-      timestamp: Date.now(),
-      tabId: details.tabId, 
-      pageUrl: details.documentUrl,
-      method: 'GET',
-      eventName: params.en || 'page_view',
-      parameters: params,
-      measurementId: params.tid || 'unknown',
-      domain: url.hostname
-    };
-  } catch (error) {
-    logError("Error parsing GA4 URL hit:", error);
-    return null;
-  }
-}
-
-function addHitToTab(tabId, hit) {
-  if (!ga4HitsPerTab.has(tabId)) {
-    ga4HitsPerTab.set(tabId, []);
-  }
-  
-  const hits = ga4HitsPerTab.get(tabId);
-  hits.push(hit);
-  
-  // Keep only last MAX_HITS_PER_PAGE hits
-  if (hits.length > MAX_HITS_PER_PAGE) {
-    hits.splice(0, hits.length - MAX_HITS_PER_PAGE);
-  }
-  
-  logInfo(`Added GA4 hit to tab ${tabId}: ${hit.eventName}`);
-}
-
-function handlePotentialServerSideTracking(details) {
-  // Skip Google Analytics and Facebook domains (already handled by other listeners)
-  if (details.url.includes('google-analytics.com') || 
-      details.url.includes('analytics.google.com') ||
-      details.url.includes('facebook.com')) {
+async function handlePotentialServerSideTracking(details) {
+  // Vendor endpoints are already handled by handleVendorRequest
+  if (details.tabId < 0 || findDetector(details.url)) {
     return;
   }
+  await endpointsReady;
+  if (details.type === "image" && !hasEndpoints()) return;
   
   try {
-    let ga4Data = null;
-    let metaPixelData = null;
-    
-    // Handle GET requests - check URL parameters
-    if (details.method === 'GET') {
-      ga4Data = detectGA4InUrl(details.url);
-      metaPixelData = detectMetaPixelInUrl(details.url);
-    }
-    // Handle POST requests - check request body
-    else if (details.method === 'POST') {
-      ga4Data = detectGA4InRequestBody(details.requestBody);
-      metaPixelData = detectMetaPixelInRequestBody(details.requestBody);
-    }
-    
-    // Process GA4 data if found
-    if (ga4Data) {
-      const hit = {
-        timestamp: Date.now(),
-        tabId: details.tabId,
-        method: details.method,
-        eventName: ga4Data.en || 'server_side_event',
-        parameters: ga4Data,
-        measurementId: ga4Data.tid || 'unknown',
-        serverSide: true,
-        domain: new URL(details.url).hostname
-      };
-      
-      addHitToTab(details.tabId, hit);
-      logInfo(`Server-side GA4 hit detected: ${hit.eventName} on ${details.url}`);
-    }
-    
-    // Process Meta Pixel data if found
-    if (metaPixelData) {
-      const hit = {
-        timestamp: Date.now(),
-        tabId: details.tabId,
-        method: details.method,
-        eventName: metaPixelData.ev || metaPixelData.event || 'server_side_event',
-        pixelId: metaPixelData.id || metaPixelData.pixel_id || 'unknown',
-        parameters: metaPixelData,
-        serverSide: true,
-        domain: new URL(details.url).hostname,
-        customData: extractMetaPixelCustomData(metaPixelData),
-        pageUrl: details.documentUrl
-      };
-      
-      addMetaPixelHitToTab(details.tabId, hit);
-      logInfo(`Server-side Meta Pixel hit detected: ${hit.eventName} on ${details.url}`);
-    }
-  } catch (error) {
-    logError("Error handling potential server-side tracking:", error);
-  }
-}
-
-function handleMetaPixelRequest(details) {
-  try {
-    const hit = parseMetaPixelHitFromUrl(details);
-    if (hit) {
-      addMetaPixelHitToTab(details.tabId, hit);
-    }
-  } catch (error) {
-    logError("Error handling Meta Pixel request:", error);
-  }
-}
-
-function parseMetaPixelHitFromUrl(details) {
-  try {
-    const url = new URL(details.url);
-    const params = Object.fromEntries(url.searchParams.entries());
-    
-    return {
-      timestamp: Date.now(),
-      tabId: details.tabId,
-      pageUrl: details.documentUrl,
-      method: 'GET',
-      eventName: params.ev || params.event || 'PageView',
-      pixelId: params.id || 'unknown',
-      parameters: params,
-      customData: extractMetaPixelCustomData(params),
-      domain: url.hostname
-    };
-  } catch (error) {
-    logError("Error parsing Meta Pixel URL hit:", error);
-    return null;
-  }
-}
-
-function addMetaPixelHitToTab(tabId, hit) {
-  if (!metaPixelHitsPerTab.has(tabId)) {
-    metaPixelHitsPerTab.set(tabId, []);
-  }
-  
-  const hits = metaPixelHitsPerTab.get(tabId);
-  hits.push(hit);
-  
-  // Keep only last MAX_META_PIXEL_HITS_PER_PAGE hits
-  if (hits.length > MAX_META_PIXEL_HITS_PER_PAGE) {
-    hits.splice(0, hits.length - MAX_META_PIXEL_HITS_PER_PAGE);
-  }
-  
-  logInfo(`Added Meta Pixel hit to tab ${tabId}: ${hit.eventName}`);
-}
-
-// Detection functions
-function detectGA4InUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    const params = Object.fromEntries(urlObj.searchParams.entries());
-    
-    // Check for GA4 measurement ID pattern
-    if (params.tid && params.tid.startsWith('G-')) {
-      return params;
-    }
-    
-    // Check for GA4 event parameters
-    if (params.en || params.ep || params.ea) {
-      return params;
-    }
-    
-    return null;
-  } catch (error) {
-    return null;
-  }
-}
-
-function detectGA4InRequestBody(requestBody) {
-  try {
-    if (!requestBody || !requestBody.formData) {
-      return null;
-    }
-    
-    const formData = requestBody.formData;
-    
-    // Check for GA4 measurement ID
-    if (formData.tid && formData.tid[0] && formData.tid[0].startsWith('G-')) {
-      const params = {};
-      for (const [key, value] of Object.entries(formData)) {
-        params[key] = value[0];
+    // Configured endpoints always use their vendor's parser
+    const endpoint = findEndpoint(details.url);
+    if (endpoint) {
+      for (const hit of detectHits(details, endpoint.detector, endpoint)) {
+        recordHit(details.tabId, hit);
       }
-      return params;
+      return;
     }
-    
-    return null;
-  } catch (error) {
-    return null;
-  }
-}
+    if (!shouldDetectUnlisted() || !UNLISTED_REQUEST_TYPES.has(details.type)) return;
 
-function detectMetaPixelInUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    const params = Object.fromEntries(urlObj.searchParams.entries());
-    
-    // Check for Meta Pixel ID pattern
-    if (params.id && /^\d+$/.test(params.id)) {
-      return params;
+    for (const hit of detectHits(details, null)) {
+      recordHit(details.tabId, hit);
+      logInfo(`Server-side ${hit.vendor} hit detected: ${hit.eventName} on ${details.url}`);
     }
-    
-    // Check for Meta Pixel event parameters
-    if (params.ev || params.event || params.pixel_id) {
-      return params;
-    }
-    
-    return null;
   } catch (error) {
-    return null;
-  }
-}
-
-function detectMetaPixelInRequestBody(requestBody) {
-  try {
-    if (!requestBody || !requestBody.formData) {
-      return null;
-    }
-    
-    const formData = requestBody.formData;
-    
-    // Check for Meta Pixel ID
-    if (formData.id && formData.id[0] && /^\d+$/.test(formData.id[0])) {
-      const params = {};
-      for (const [key, value] of Object.entries(formData)) {
-        params[key] = value[0];
-      }
-      return params;
-    }
-    
-    return null;
-  } catch (error) {
-    return null;
+    logError("Error handling potential server-side tracking:", error);
   }
 }
 
-function extractMetaPixelCustomData(params) {
-  const customData = {};
-  
-  // Extract custom data parameters
-  for (const [key, value] of Object.entries(params)) {
-    if (key.startsWith('cd[') || key.startsWith('ud[') || key.startsWith('cs[')) {
-      customData[key] = value;
-    }
-  }
+async function recordHit(tabId, hit) {
+  hit.eventId = hit.eventId || crypto.randomUUID(); // same id as in the server timeline
+  await historyReady;
+  addHitToHistory(tabId, hit.vendor, hit);
   
-  return Object.keys(customData).length > 0 ? customData : null;
+  logInfo(`Added ${hit.vendor} hit to tab ${tabId}: ${hit.eventName}`);
+  streamTrackingEvent(tabId, TIMELINE_KINDS[hit.vendor] || "tracking_hit", hit, hit.pageUrl);
 }
 
 // Clean up on service worker shutdown
@@ -0,0 +1,186 @@
+// http.ts - Streamable HTTP transport so several MCP clients can share one server
+
+import { randomUUID } from "node:crypto";
+import http from "node:http";
+
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+import { logInfo, logWarn, logError } from "../utils/logging.js";
+
+// HTTP transport configuration
+export const HTTP_PORT = Number(process.env.MCP_HTTP_PORT) || 57322;
+export const HTTP_HOST = "127.0.0.1";
+export const HTTP_PATH = "/mcp";
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+type McpSession = {
+  transport: StreamableHTTPServerTransport;
+  server: any;
+};
+
+// One McpServer per MCP client session; they all share the same extension connections
+const mcpSessions = new Map<string, McpSession>();
+
+export function getHttpUrl(port: number = HTTP_PORT) {
+  return `http://${HTTP_HOST}:${port}${HTTP_PATH}`;
+}
+
+// JSON-RPC error codes: -32700 parse error, -32000 server-defined
+function sendJsonRpcError(res: http.ServerResponse, status: number, message: string, code: number = -32000) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+// A request body the client has to fix; answered with `status` instead of a 500
+class RequestBodyError extends Error {
+  constructor(
+    message: string,
+    readonly status: number,
+    readonly code: number,
+  ) {
+    super(message);
+    this.name = "RequestBodyError";
+  }
+}
+
+function readJsonBody(req: http.IncomingMessage): Promise<any> {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks: Buffer[] = [];
+    req.on("data", (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RequestBodyError("Request body too large", 413, -32000));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : undefined);
+      } catch (error) {
+        reject(new RequestBodyError(`Parse error: ${error instanceof Error ? error.message : error}`, 400, -32700));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Only local clients may talk to us; this also blocks DNS-rebinding from web pages
+function isAllowedRequest(req: http.IncomingMessage): boolean {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    const { hostname } = new URL(origin);
+    return hostname === "localhost" || hostname === "127.0.0.1" || hostname === "[::1]";
+  } catch {
+    return false;
+  }
+}
+
+async function handleMcpRequest(req: http.IncomingMessage, res: http.ServerResponse, createServer: () => any) {
+  const sessionId = req.headers["mcp-session-id"] as string | undefined;
+  const existing = sessionId ? mcpSessions.get(sessionId) : undefined;
+
+  if (req.method === "POST") {
+    let body: any;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      if (!(error instanceof RequestBodyError)) throw error;
+      sendJsonRpcError(res, error.status, error.message, error.code);
+      return;
+    }
+
+    if (existing) {
+      await existing.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (sessionId || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, sessionId ? 404 : 400, sessionId ? "Unknown MCP session" : "Missing MCP session id");
+      return;
+    }
+
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        mcpSessions.set(id, { transport, server });
+        logInfo(`MCP client session ${id} initialized; ${mcpSessions.size} client(s) connected`);
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && mcpSessions.delete(transport.sessionId)) {
+        logInfo(`MCP client session ${transport.sessionId} closed; ${mcpSessions.size} client(s) connected`);
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+    return;
+  }
+
+  if (req.method === "GET" || req.method === "DELETE") {
+    if (!existing) {
+      sendJsonRpcError(res, sessionId ? 404 : 400, sessionId ? "Unknown MCP session" : "Missing MCP session id");
+      return;
+    }
+    await existing.transport.handleRequest(req, res);
+    return;
+  }
+
+  res.writeHead(405, { Allow: "GET, POST, DELETE" }).end();
+}
+
+// Start the long-running HTTP endpoint. Resolves once listening; rejects if the port is taken.
+export function startHttpTransport(createServer: () => any, port: number = HTTP_PORT): Promise<http.Server> {
+  const httpServer = http.createServer((req, res) => {
+    const path = (req.url || "").split("?")[0];
+    if (path !== HTTP_PATH) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (!isAllowedRequest(req)) {
+      logWarn(`Rejected MCP HTTP request from origin ${req.headers.origin}`);
+      res.writeHead(403).end();
+      return;
+    }
+
+    handleMcpRequest(req, res, createServer).catch((error) => {
+      logError("Error handling MCP HTTP request:", error);
+      if (!res.headersSent) sendJsonRpcError(res, 500, "Internal server error");
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", (error: any) => {
+      if (error?.code === "EADDRINUSE") {
+        reject(
+          new Error(
+            `Port ${port} is already in use. Another HTTP-mode server is probably running; point your MCP clients at ${getHttpUrl(port)}.`,
+          ),
+        );
+      } else {
+        reject(error);
+      }
+    });
+    httpServer.listen(port, HTTP_HOST, () => {
+      logInfo(`MCP streamable HTTP transport listening on ${getHttpUrl(port)}`);
+      resolve(httpServer);
+    });
+  });
+}
+
+export async function closeHttpSessions() {
+  for (const { server } of Array.from(mcpSessions.values())) {
+    try {
+      await server.close();
+    } catch (error) {
+      logWarn("Failed to close MCP client session:", error);
+    }
+  }
+  mcpSessions.clear();
+}
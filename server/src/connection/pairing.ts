@@ -0,0 +1,136 @@
+// pairing.ts - Pairing tokens and client keys for authenticating extension connections
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { logInfo, logWarn } from "../utils/logging.js";
+
+// Pairing state lives in the user's home directory so pairings survive restarts
+export const PAIRING_DIR = process.env.DATALAYER_MCP_HOME || path.join(os.homedir(), ".dataLayerMCP");
+const CLIENTS_PATH = path.join(PAIRING_DIR, "paired-clients.json");
+export const PAIRING_TOKEN_PATH = path.join(PAIRING_DIR, "pairing-token.txt");
+
+const TOKEN_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O/1/I to keep it typeable
+const MAX_FAILED_PAIRING_ATTEMPTS = 10; // rotate the token after this many bad guesses
+
+type PairedClient = {
+  clientId: string;
+  keyHash: string; // sha256 of the client key; the key itself is only held by the extension
+  pairedAt: number;
+  lastSeenAt: number;
+};
+
+let currentToken: string | null = null;
+let failedPairingAttempts = 0;
+
+function hash(value: string): string {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function safeEqual(a: string, b: string): boolean {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function normalizeToken(token: string): string {
+  return token.toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function readClients(): PairedClient[] {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(CLIENTS_PATH, "utf8"));
+    if (Array.isArray(parsed?.clients)) return parsed.clients as PairedClient[];
+    logWarn(`Ignoring ${CLIENTS_PATH}: no "clients" list`);
+  } catch (error: any) {
+    // No file yet just means nothing has been paired
+    if (error?.code !== "ENOENT") logWarn(`Failed to read paired clients from ${CLIENTS_PATH}:`, error);
+  }
+  return [];
+}
+
+function writeClients(clients: PairedClient[]) {
+  try {
+    fs.mkdirSync(PAIRING_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(CLIENTS_PATH, JSON.stringify({ clients }, null, 2), { encoding: "utf8", mode: 0o600 });
+  } catch (error) {
+    logWarn(`Failed to write paired clients to ${CLIENTS_PATH}:`, error);
+  }
+}
+
+// Generate a fresh one-time pairing token, print it and store it for the user
+export function rotatePairingToken(): string {
+  const bytes = crypto.randomBytes(8);
+  let token = "";
+  for (const byte of bytes) token += TOKEN_ALPHABET[byte % TOKEN_ALPHABET.length];
+  currentToken = `${token.slice(0, 4)}-${token.slice(4)}`;
+  failedPairingAttempts = 0;
+
+  try {
+    fs.mkdirSync(PAIRING_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(PAIRING_TOKEN_PATH, `${currentToken}\n`, { encoding: "utf8", mode: 0o600 });
+  } catch (error) {
+    logWarn(`Failed to write pairing token to ${PAIRING_TOKEN_PATH}:`, error);
+  }
+
+  logInfo(`Pairing token: ${currentToken} (paste it into the extension popup; also saved to ${PAIRING_TOKEN_PATH})`);
+  return currentToken;
+}
+
+// What tools and errors tell the agent; the token itself only goes to the human via stderr and the file
+export const PAIRING_INSTRUCTIONS = `Ask the human to open the extension popup and enter the pairing token printed in this server's log (stderr) and saved to ${PAIRING_TOKEN_PATH}. Do not pair the browser yourself.`;
+
+export function getPairingToken(): string {
+  return currentToken || rotatePairingToken();
+}
+
+// Exchange the one-time token for a long-lived client key. Returns null if the token is wrong.
+export function pairClient(token: string, clientId: string): string | null {
+  const expected = getPairingToken();
+  if (!token || !clientId || !safeEqual(normalizeToken(token), normalizeToken(expected))) {
+    failedPairingAttempts++;
+    logWarn(`Rejected pairing attempt (${failedPairingAttempts}/${MAX_FAILED_PAIRING_ATTEMPTS})`);
+    if (failedPairingAttempts >= MAX_FAILED_PAIRING_ATTEMPTS) {
+      logWarn("Too many failed pairing attempts, rotating pairing token");
+      rotatePairingToken();
+    }
+    return null;
+  }
+
+  const clientKey = crypto.randomBytes(32).toString("hex");
+  const now = Date.now();
+  const clients = readClients().filter((c) => c.clientId !== clientId);
+  clients.push({ clientId, keyHash: hash(clientKey), pairedAt: now, lastSeenAt: now });
+  writeClients(clients);
+
+  logInfo(`Paired extension client ${clientId}`);
+  rotatePairingToken(); // the token is single-use
+  return clientKey;
+}
+
+// Check a client key presented by a reconnecting extension
+export function verifyClientKey(clientId: string, clientKey: string): boolean {
+  if (!clientId || !clientKey) return false;
+  const clients = readClients();
+  const client = clients.find((c) => c.clientId === clientId);
+  if (!client || !safeEqual(client.keyHash, hash(clientKey))) return false;
+
+  client.lastSeenAt = Date.now();
+  writeClients(clients);
+  return true;
+}
+
+// Forget a client whose extension unpaired. Only the holder of the key can revoke it; returns
+// false when nothing matched (already revoked, or replaced by a newer pairing).
+export function revokeClientKey(clientId: string, clientKey: string): boolean {
+  if (!clientId || !clientKey) return false;
+  const clients = readClients();
+  const remaining = clients.filter((c) => !(c.clientId === clientId && safeEqual(c.keyHash, hash(clientKey))));
+  if (remaining.length === clients.length) return false;
+
+  writeClients(remaining);
+  logInfo(`Revoked pairing of extension client ${clientId}`);
+  return true;
+}
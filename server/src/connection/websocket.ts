@@ -1,33 +1,112 @@
 // websocket.ts - WebSocket connection management for server
 
-import WebSocket, { WebSocketServer } from "ws";
+import { exec } from "node:child_process";
 import net from "node:net";
 import os from "node:os";
-import { exec } from "node:child_process";
+
+import { v4 as uuidv4 } from "uuid";
+import WebSocket, { WebSocketServer } from "ws";
+
+import { InstanceMode, amIActiveInstance, getInstanceInfo, initActiveInstance } from "../utils/instance.js";
 import { logInfo, logWarn, logError } from "../utils/logging.js";
-import { amIActiveInstance, getInstanceInfo, initActiveInstance } from "../utils/instance.js";
+
+import { PAIRING_INSTRUCTIONS, getPairingToken, pairClient, revokeClientKey, verifyClientKey } from "./pairing.js";
 
 // Connection configuration
 export const WS_PORT = 57321;
-export const EXTENSION_ORIGIN = process.env.EXTENSION_ORIGIN || "chrome-extension://<YOUR_EXTENSION_ID>";
+// Comma-separated list of allowed extension origins; when unset any chrome-extension:// origin may connect
+export const EXTENSION_ORIGIN = process.env.EXTENSION_ORIGIN || null;
+export const MAX_AUTH_FAILURES_PER_SOCKET = 5;
 export const CONNECTION_TIMEOUT = 15_000; // 15 seconds
 export const HEALTH_CHECK_INTERVAL = 30_000; // 30 seconds
 export const MAX_RECONNECT_ATTEMPTS = 10;
-
-// Connection State Management
-export interface ConnectionState {
-  socket: WebSocket | null;
-  isHealthy: boolean;
+export const DEFAULT_REQUEST_TIMEOUT = 15_000; // 15 seconds
+export const MAX_IN_FLIGHT_REQUESTS = 8;
+
+// Browser session management
+// Every connected extension instance is tracked as its own named session so several
+// browsers/profiles can be attached at once.
+export interface BrowserSession {
+  id: string;
+  name: string;
+  socket: WebSocket;
+  clientId: string | null; // stable id reported by the extension, survives reconnects
+  authenticated: boolean; // true once the extension proved it holds a paired client key
+  authFailures: number;
+  connectedAt: number;
   lastActivity: number;
-  reconnectAttempts: number;
+  isHealthy: boolean;
+  remoteAddress: string | null;
+  userAgent: string | null;
+  attachedTab: { id: number; title: string } | null;
+}
+
+export const sessions = new Map<string, BrowserSession>();
+let sessionCounter = 0;
+
+export function getSessions(): BrowserSession[] {
+  return Array.from(sessions.values()).sort((a, b) => a.connectedAt - b.connectedAt);
+}
+
+function findSessionBySocket(socket: WebSocket): BrowserSession | null {
+  for (const session of sessions.values()) {
+    if (session.socket === socket) return session;
+  }
+  return null;
+}
+
+function describeSessions(): string {
+  const list = getSessions().filter((s) => s.authenticated);
+  if (list.length === 0) return "none";
+  return list
+    .map((s) => `"${s.name}" (id=${s.id}${s.attachedTab ? `, tab: ${s.attachedTab.title}` : ", no tab attached"})`)
+    .join(", ");
 }
 
-export const connectionState: ConnectionState = {
-  socket: null,
-  isHealthy: false,
-  lastActivity: Date.now(),
-  reconnectAttempts: 0,
-};
+// Pick the session a request should go to. Without a selector, a lone session wins, then a
+// lone session with an attached tab; anything else is ambiguous and must be chosen explicitly.
+export function resolveSession(selector?: string): BrowserSession {
+  const list = getSessions().filter((s) => s.authenticated);
+
+  if (list.length === 0 && sessions.size > 0) {
+    throw new ExtensionRequestError(
+      `A browser is connected but not paired with this server. ${PAIRING_INSTRUCTIONS}`,
+      "unpaired",
+    );
+  }
+
+  if (list.length === 0) {
+    throw new ExtensionRequestError(
+      "Chrome extension is not connected. Please ensure the extension is installed and a tab is attached.",
+      "no_socket",
+    );
+  }
+
+  if (selector) {
+    const wanted = selector.trim().toLowerCase();
+    const match =
+      list.find((s) => s.id === selector) ||
+      list.find((s) => s.name.toLowerCase() === wanted) ||
+      list.find((s) => s.id.startsWith(selector));
+    if (!match) {
+      throw new ExtensionRequestError(
+        `No browser session matches "${selector}". Connected sessions: ${describeSessions()}.`,
+        "unknown_session",
+      );
+    }
+    return match;
+  }
+
+  if (list.length === 1) return list[0];
+
+  const withTab = list.filter((s) => s.attachedTab);
+  if (withTab.length === 1) return withTab[0];
+
+  throw new ExtensionRequestError(
+    `Several browser sessions are connected; pass the "session" argument to choose one. Connected sessions: ${describeSessions()}.`,
+    "ambiguous_session",
+  );
+}
 
 // WebSocket message sending utility
 export function wsSend(socket: WebSocket, payload: any): boolean {
@@ -47,7 +126,8 @@ export function wsSend(socket: WebSocket, payload: any): boolean {
     const ident = getInstanceInfo();
     const message = { ...payload, _serverInstanceId: ident.instanceId, _serverStartedAt: ident.startedAt };
     socket.send(JSON.stringify(message));
-    connectionState.lastActivity = Date.now();
+    const session = findSessionBySocket(socket);
+    if (session) session.lastActivity = Date.now();
     return true;
   } catch (error) {
     logError("Failed to send WebSocket message:", error);
@@ -55,6 +135,264 @@ export function wsSend(socket: WebSocket, payload: any): boolean {
   }
 }
 
+// --- Request broker ---
+// Every tool request to the extension goes through a single pending-request table keyed by
+// requestId. Responses are routed from the socket's one message listener, so tools never
+// attach listeners of their own.
+
+export type ExtensionRequestFailure =
+  | "inactive"
+  | "no_socket"
+  | "not_open"
+  | "send_failed"
+  | "timeout"
+  | "closed"
+  | "error"
+  | "aborted"
+  | "extension_error"
+  | "unknown_session"
+  | "ambiguous_session"
+  | "unpaired";
+
+export class ExtensionRequestError extends Error {
+  readonly reason: ExtensionRequestFailure;
+  readonly requestId?: string;
+  readonly payload?: any;
+
+  constructor(message: string, reason: ExtensionRequestFailure, requestId?: string, payload?: any) {
+    super(message);
+    this.name = "ExtensionRequestError";
+    this.reason = reason;
+    this.requestId = requestId;
+    this.payload = payload;
+  }
+}
+
+export interface ExtensionRequestOptions {
+  params?: Record<string, any>;
+  session?: string; // session id or name; see resolveSession()
+  responseType?: string; // defaults to REQUEST_X -> X_RESPONSE
+  timeoutMs?: number;
+  signal?: AbortSignal;
+}
+
+interface PendingRequest {
+  requestId: string;
+  type: string;
+  responseType: string;
+  socket: WebSocket;
+  timer: NodeJS.Timeout;
+  resolve: (payload: any) => void;
+  reject: (error: ExtensionRequestError) => void;
+}
+
+const pendingRequests = new Map<string, PendingRequest>();
+const slotWaiters: Array<() => void> = [];
+let inFlightCount = 0;
+
+export function responseTypeFor(requestType: string): string {
+  return `${requestType.replace(/^REQUEST_/, "")}_RESPONSE`;
+}
+
+export function getPendingRequestCount(): number {
+  return pendingRequests.size;
+}
+
+function abortError(requestId?: string) {
+  return new ExtensionRequestError("Request was cancelled by the MCP client.", "aborted", requestId);
+}
+
+// Wait for a free in-flight slot; queued callers are served in FIFO order
+function acquireSlot(signal?: AbortSignal): Promise<void> {
+  if (inFlightCount < MAX_IN_FLIGHT_REQUESTS) {
+    inFlightCount++;
+    return Promise.resolve();
+  }
+
+  return new Promise<void>((resolve, reject) => {
+    const grant = () => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    };
+    const onAbort = () => {
+      const index = slotWaiters.indexOf(grant);
+      if (index !== -1) slotWaiters.splice(index, 1);
+      reject(abortError());
+    };
+    slotWaiters.push(grant);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function releaseSlot() {
+  const next = slotWaiters.shift();
+  if (next) {
+    next(); // hand the slot over without decrementing
+  } else {
+    inFlightCount = Math.max(0, inFlightCount - 1);
+  }
+}
+
+function settlePending(requestId: string): PendingRequest | null {
+  const pending = pendingRequests.get(requestId);
+  if (!pending) return null;
+  pendingRequests.delete(requestId);
+  clearTimeout(pending.timer);
+  releaseSlot();
+  return pending;
+}
+
+// Send a request to the extension and resolve with the response payload
+export async function requestFromExtension(
+  type: string,
+  options: ExtensionRequestOptions = {},
+): Promise<any> {
+  const {
+    params = {},
+    responseType = responseTypeFor(type),
+    timeoutMs = DEFAULT_REQUEST_TIMEOUT,
+    signal,
+    session: selector,
+  } = options;
+
+  if (!amIActiveInstance()) {
+    const info = getInstanceInfo();
+    throw new ExtensionRequestError(
+      `Inactive server instance (instanceId=${info.instanceId}). A newer instance took over. Use the latest server.`,
+      "inactive",
+    );
+  }
+  if (signal?.aborted) throw abortError();
+
+  await acquireSlot(signal);
+  if (signal?.aborted) {
+    releaseSlot();
+    throw abortError();
+  }
+
+  let session: BrowserSession;
+  try {
+    session = resolveSession(selector);
+  } catch (error) {
+    releaseSlot();
+    throw error;
+  }
+
+  const socket = session.socket;
+  if (socket.readyState !== WebSocket.OPEN) {
+    releaseSlot();
+    throw new ExtensionRequestError(
+      `Chrome extension connection is not ready (state: ${socket.readyState}). Please try again in a moment.`,
+      "not_open",
+    );
+  }
+  if (!session.isHealthy) {
+    logWarn(`Sending ${type} to session "${session.name}" on potentially unhealthy connection`);
+  }
+
+  const requestId = uuidv4();
+
+  return new Promise<any>((resolve, reject) => {
+    const onAbort = () => {
+      if (settlePending(requestId)) {
+        logWarn(`Extension request ${type} ${requestId} cancelled by client`);
+        reject(abortError(requestId));
+      }
+    };
+
+    const timer = setTimeout(() => {
+      if (settlePending(requestId)) {
+        signal?.removeEventListener("abort", onAbort);
+        logWarn(`Extension request ${type} ${requestId} timed out after ${timeoutMs}ms`);
+        reject(
+          new ExtensionRequestError(
+            `Timed out after ${Math.round(timeoutMs / 1000)} seconds waiting for ${responseType}.`,
+            "timeout",
+            requestId,
+          ),
+        );
+      }
+    }, timeoutMs);
+
+    pendingRequests.set(requestId, {
+      requestId,
+      type,
+      responseType,
+      socket,
+      timer,
+      resolve: (payload) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(payload);
+      },
+      reject: (error) => {
+        signal?.removeEventListener("abort", onAbort);
+        reject(error);
+      },
+    });
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    if (!wsSend(socket, { ...params, type, requestId, timestamp: Date.now() })) {
+      const pending = settlePending(requestId);
+      pending?.reject(
+        new ExtensionRequestError(
+          "Failed to send request to extension. Connection may be unstable.",
+          "send_failed",
+          requestId,
+        ),
+      );
+    }
+  });
+}
+
+// Route a response frame to its pending request. Returns true if the frame was consumed.
+function resolvePendingRequest(socket: WebSocket, message: any): boolean {
+  if (!message || typeof message.requestId !== "string") return false;
+
+  const pending = pendingRequests.get(message.requestId);
+  if (!pending || pending.responseType !== message.type) return false;
+
+  if (pending.socket !== socket) {
+    logWarn(`Ignoring ${message.type} for ${message.requestId} from a different socket`);
+    return true;
+  }
+
+  settlePending(message.requestId);
+
+  if (message.payload?.error) {
+    logWarn(`Extension request ${pending.type} ${pending.requestId} returned error:`, message.payload.error);
+    pending.reject(
+      new ExtensionRequestError(String(message.payload.error), "extension_error", pending.requestId, message.payload),
+    );
+  } else {
+    logInfo(`Extension request ${pending.type} ${pending.requestId} completed successfully`);
+    const session = findSessionBySocket(socket);
+    pending.resolve(
+      session && message.payload && typeof message.payload === "object" && !Array.isArray(message.payload)
+        ? { ...message.payload, session: { id: session.id, name: session.name } }
+        : message.payload,
+    );
+  }
+  return true;
+}
+
+// Fail every request still waiting on a socket that went away
+function rejectPendingRequestsFor(socket: WebSocket, reason: "closed" | "error") {
+  for (const pending of Array.from(pendingRequests.values())) {
+    if (pending.socket !== socket) continue;
+    settlePending(pending.requestId);
+    logWarn(`WebSocket ${reason} while waiting for ${pending.type} ${pending.requestId}`);
+    pending.reject(
+      new ExtensionRequestError(
+        reason === "closed"
+          ? "Extension connection closed while processing request."
+          : "Extension connection error while processing request.",
+        reason,
+        pending.requestId,
+      ),
+    );
+  }
+}
+
 // Health check functionality
 let healthCheckInterval: NodeJS.Timeout | null = null;
 
@@ -65,17 +403,20 @@ export function startHealthCheck() {
 
   healthCheckInterval = setInterval(() => {
     const now = Date.now();
-    const timeSinceLastActivity = now - connectionState.lastActivity;
 
-    if (connectionState.socket && connectionState.socket.readyState === WebSocket.OPEN) {
-      if (timeSinceLastActivity > CONNECTION_TIMEOUT) {
-        logWarn("Connection appears stale, marking as unhealthy");
-        connectionState.isHealthy = false;
+    for (const session of sessions.values()) {
+      const timeSinceLastActivity = now - session.lastActivity;
+
+      if (session.socket.readyState === WebSocket.OPEN) {
+        if (timeSinceLastActivity > CONNECTION_TIMEOUT) {
+          if (session.isHealthy) logWarn(`Session "${session.name}" appears stale, marking as unhealthy`);
+          session.isHealthy = false;
+        } else {
+          session.isHealthy = true;
+        }
       } else {
-        connectionState.isHealthy = true;
+        session.isHealthy = false;
       }
-    } else {
-      connectionState.isHealthy = false;
     }
   }, HEALTH_CHECK_INTERVAL);
 }
@@ -155,14 +496,112 @@ async function ensurePortAvailable(port: number, maxWaitMs: number = 5000): Prom
   }
 }
 
+function removeSession(session: BrowserSession) {
+  if (sessions.delete(session.id)) {
+    logInfo(`Browser session "${session.name}" (${session.id}) disconnected; ${sessions.size} session(s) active`);
+  }
+}
+
+// Bind a verified client id to the session. A reconnecting extension replaces its own stale
+// session instead of adding a duplicate.
+function adoptClientId(session: BrowserSession, clientId: string) {
+  for (const other of Array.from(sessions.values())) {
+    if (other !== session && other.clientId === clientId) {
+      logInfo(`Session "${other.name}" reconnected on a new socket; dropping the stale one`);
+      rejectPendingRequestsFor(other.socket, "closed");
+      sessions.delete(other.id);
+      try {
+        other.socket.close(1000, "Replaced by a newer connection from the same browser");
+      } catch (error) {
+        logWarn(`Failed to close the stale socket of session ${other.id}:`, error);
+      }
+    }
+  }
+
+  session.clientId = clientId;
+  session.authenticated = true;
+}
+
+// Handle PAIR_REQUEST / AUTH_REQUEST frames from a not-yet-authenticated socket, and UNPAIR_REQUEST
+// from an extension that forgot its key (possibly on an earlier connection)
+function handleAuthMessage(session: BrowserSession, message: any) {
+  const clientId = typeof message.clientId === "string" ? message.clientId : "";
+
+  if (message.type === "UNPAIR_REQUEST") {
+    const revoked = revokeClientKey(clientId, String(message.clientKey || ""));
+    if (revoked) {
+      for (const other of sessions.values()) {
+        if (other.clientId === clientId) other.authenticated = false;
+      }
+    }
+    wsSend(session.socket, { type: "UNPAIR_RESULT", ok: true, revoked, timestamp: Date.now() });
+    return;
+  }
+
+  if (message.type === "PAIR_REQUEST") {
+    const clientKey = pairClient(String(message.token || ""), clientId);
+    if (clientKey) {
+      adoptClientId(session, clientId);
+      logInfo(`Browser session ${session.id} paired`);
+      wsSend(session.socket, { type: "PAIR_RESULT", ok: true, clientKey, timestamp: Date.now() });
+      return;
+    }
+    wsSend(session.socket, { type: "PAIR_RESULT", ok: false, error: "Invalid pairing token", timestamp: Date.now() });
+  } else {
+    if (verifyClientKey(clientId, String(message.clientKey || ""))) {
+      adoptClientId(session, clientId);
+      logInfo(`Browser session ${session.id} authenticated`);
+      wsSend(session.socket, { type: "AUTH_RESULT", ok: true, timestamp: Date.now() });
+      return;
+    }
+    wsSend(session.socket, {
+      type: "AUTH_RESULT",
+      ok: false,
+      error: "Unknown or revoked client key; pair again",
+      timestamp: Date.now(),
+    });
+  }
+
+  session.authFailures++;
+  if (session.authFailures >= MAX_AUTH_FAILURES_PER_SOCKET) {
+    logWarn(`Closing session ${session.id} after ${session.authFailures} failed authentication attempts`);
+    session.socket.close(1008, "Too many failed authentication attempts");
+  }
+}
+
+// Apply the name/tab details an extension reports about itself
+function updateSessionInfo(session: BrowserSession, message: any) {
+  if (typeof message.sessionName === "string" && message.sessionName.trim()) {
+    session.name = message.sessionName.trim();
+  }
+  if (typeof message.userAgent === "string") session.userAgent = message.userAgent;
+  session.attachedTab = message.attachedTab && typeof message.attachedTab.id === "number" ? message.attachedTab : null;
+  logInfo(`Browser session ${session.id} is now "${session.name}"`, session.attachedTab ? `(tab: ${session.attachedTab.title})` : "");
+}
+
+export interface WebSocketServerOptions {
+  mode?: InstanceMode;
+  httpUrl?: string;
+  takeOverPort?: boolean; // kill whatever holds the port (stdio default); otherwise fail if busy
+}
+
 export async function setupWebSocketServer(
-  messageHandler: (socket: WebSocket, message: any) => void,
+  messageHandler: (socket: WebSocket, message: any, session: BrowserSession) => void,
   port: number = WS_PORT,
+  options: WebSocketServerOptions = {},
 ) {
+  const { mode = "stdio", httpUrl, takeOverPort = true } = options;
+
+  if (!takeOverPort && (await isPortInUse(port))) {
+    throw new Error(`WebSocket port ${port} is already in use by another process; stop it and try again.`);
+  }
+
   // Establish leadership marker for this instance
-  initActiveInstance();
+  initActiveInstance(mode, httpUrl);
 
-  await ensurePortAvailable(port);
+  if (takeOverPort) {
+    await ensurePortAvailable(port);
+  }
 
   const wss = new WebSocketServer({
     port,
@@ -170,13 +609,13 @@ export async function setupWebSocketServer(
       const origin = info.origin;
       logInfo(`WebSocket connection attempt from origin: ${origin}`);
       
-      // Allow connections from Chrome extensions and localhost
-      return (
-        !origin || // Chrome extensions might not send origin
-        origin.startsWith("chrome-extension://") ||
-        origin === "http://localhost" ||
-        origin === "https://localhost"
-      );
+      // Web pages always send an Origin, so only extensions (or origin-less local clients) get
+      // through here. Either way the socket still has to pair/authenticate before it is used.
+      if (!origin) return true;
+      if (EXTENSION_ORIGIN) {
+        return EXTENSION_ORIGIN.split(",").map((o) => o.trim()).includes(origin);
+      }
+      return origin.startsWith("chrome-extension://");
     }
   });
 
@@ -184,11 +623,24 @@ export async function setupWebSocketServer(
     const clientIP = request.socket.remoteAddress;
     logInfo(`New WebSocket connection from ${clientIP}`);
 
-    // Update connection state
-    connectionState.socket = socket;
-    connectionState.isHealthy = true;
-    connectionState.lastActivity = Date.now();
-    connectionState.reconnectAttempts = 0;
+    // Register a new browser session for this socket
+    sessionCounter++;
+    const session: BrowserSession = {
+      id: uuidv4(),
+      name: `browser-${sessionCounter}`,
+      socket,
+      clientId: null,
+      authenticated: false,
+      authFailures: 0,
+      connectedAt: Date.now(),
+      lastActivity: Date.now(),
+      isHealthy: true,
+      remoteAddress: clientIP || null,
+      userAgent: request.headers["user-agent"] || null,
+      attachedTab: null,
+    };
+    sessions.set(session.id, session);
+    logInfo(`Browser session "${session.name}" (${session.id}) connected; ${sessions.size} session(s) active`);
 
     // Send connection acknowledgment with server identity
     const ident = getInstanceInfo();
@@ -197,6 +649,9 @@ export async function setupWebSocketServer(
       serverVersion: "0.1.0",
       serverInstanceId: ident.instanceId,
       serverStartedAt: ident.startedAt,
+      sessionId: session.id,
+      sessionName: session.name,
+      authRequired: true,
       timestamp: Date.now(),
     });
 
@@ -204,15 +659,35 @@ export async function setupWebSocketServer(
     socket.on("message", (data) => {
       try {
         const message = JSON.parse(data.toString());
-        connectionState.lastActivity = Date.now();
-        
+        session.lastActivity = Date.now();
+        session.isHealthy = true;
+
         if (message.type === "KEEPALIVE_PING") {
           logInfo("Received keepalive ping, sending pong");
           wsSend(socket, { type: "KEEPALIVE_PONG", ts: Date.now() });
           return;
         }
 
-        messageHandler(socket, message);
+        if (message.type === "PAIR_REQUEST" || message.type === "AUTH_REQUEST" || message.type === "UNPAIR_REQUEST") {
+          handleAuthMessage(session, message);
+          return;
+        }
+
+        // Nothing but pairing/authentication is accepted from an unauthenticated socket
+        if (!session.authenticated) {
+          logWarn(`Dropping ${message.type} from unauthenticated session ${session.id}`);
+          wsSend(socket, { type: "AUTH_REQUIRED", timestamp: Date.now() });
+          return;
+        }
+
+        if (message.type === "SESSION_INFO") {
+          updateSessionInfo(session, message);
+          return;
+        }
+
+        if (resolvePendingRequest(socket, message)) return;
+
+        messageHandler(socket, message, session);
       } catch (error) {
         logError("Error parsing WebSocket message:", error);
         wsSend(socket, {
@@ -225,14 +700,14 @@ export async function setupWebSocketServer(
 
     socket.on("close", (code, reason) => {
       logInfo(`WebSocket connection closed: ${code} ${reason}`);
-      connectionState.socket = null;
-      connectionState.isHealthy = false;
+      rejectPendingRequestsFor(socket, "closed");
+      removeSession(session);
     });
 
     socket.on("error", (error) => {
       logError("WebSocket error:", error);
-      connectionState.socket = null;
-      connectionState.isHealthy = false;
+      rejectPendingRequestsFor(socket, "error");
+      removeSession(session);
     });
   });
 
@@ -242,6 +717,7 @@ export async function setupWebSocketServer(
 
   startHealthCheck();
   logInfo(`WebSocket server listening on port ${port}`);
+  getPairingToken(); // prints the token so a new browser can be paired
 
   return wss;
 }
@@ -0,0 +1,63 @@
+// consent.ts - Decode Google Consent Mode signals (gcs / gcd) sent with Google tag hits
+
+export const CONSENT_SIGNALS = ["ad_storage", "analytics_storage", "ad_user_data", "ad_personalization"] as const;
+export type ConsentSignal = (typeof CONSENT_SIGNALS)[number];
+
+export type ConsentValue = "granted" | "denied" | null;
+
+export interface SignalState {
+  default: ConsentValue;
+  update: ConsentValue;
+  effective: ConsentValue; // update wins over default
+}
+
+// gcd letter -> [default, update]
+const GCD_LETTERS: Record<string, [ConsentValue, ConsentValue]> = {
+  l: [null, null],
+  p: ["denied", null],
+  q: ["denied", "denied"],
+  t: ["granted", null],
+  r: ["denied", "granted"],
+  m: [null, "denied"],
+  n: [null, "granted"],
+  u: ["granted", "denied"],
+  v: ["granted", "granted"],
+};
+
+function signalState(defaultValue: ConsentValue, update: ConsentValue): SignalState {
+  return { default: defaultValue, update, effective: update ?? defaultValue };
+}
+
+// "G1xy": x = ad_storage, y = analytics_storage; 1 granted, 0 denied, - not set
+export function decodeGcs(gcs: string | null | undefined): Partial<Record<ConsentSignal, ConsentValue>> | null {
+  const match = /^G1([01-])([01-])$/.exec(gcs || "");
+  if (!match) return null;
+  const value = (flag: string): ConsentValue => (flag === "1" ? "granted" : flag === "0" ? "denied" : null);
+  return { ad_storage: value(match[1]), analytics_storage: value(match[2]) };
+}
+
+// "11p1p1p1p5": the letters after the two-character prefix, every other character, are
+// ad_storage, analytics_storage, ad_user_data and ad_personalization
+export function decodeGcd(gcd: string | null | undefined): Partial<Record<ConsentSignal, SignalState>> | null {
+  if (!gcd || gcd.length < 9) return null;
+  const decoded: Partial<Record<ConsentSignal, SignalState>> = {};
+  CONSENT_SIGNALS.forEach((signal, index) => {
+    const states = GCD_LETTERS[gcd[2 + index * 2]];
+    if (states) decoded[signal] = signalState(states[0], states[1]);
+  });
+  return Object.keys(decoded).length ? decoded : null;
+}
+
+// Per-signal state of one hit; gcd carries default/update, gcs only the effective storage state
+export function decodeHitConsent(params: Record<string, string> | undefined): Record<ConsentSignal, SignalState> | null {
+  const gcs = decodeGcs(params?.gcs);
+  const gcd = decodeGcd(params?.gcd);
+  if (!gcs && !gcd) return null;
+
+  const consent = {} as Record<ConsentSignal, SignalState>;
+  for (const signal of CONSENT_SIGNALS) {
+    const state = gcd?.[signal] ?? signalState(null, null);
+    consent[signal] = { ...state, effective: gcs?.[signal] ?? state.effective };
+  }
+  return consent;
+}
@@ -0,0 +1,156 @@
+// ga4.ts - Decode GA4 Measurement Protocol wire params into a readable view
+
+// pr1..prN item fields: two-letter wire key -> GA4 item parameter
+const ITEM_FIELDS: Record<string, string> = {
+  id: "item_id",
+  nm: "item_name",
+  af: "affiliation",
+  cp: "coupon",
+  ds: "discount",
+  lp: "index",
+  br: "item_brand",
+  ca: "item_category",
+  c2: "item_category2",
+  c3: "item_category3",
+  c4: "item_category4",
+  c5: "item_category5",
+  li: "item_list_id",
+  ln: "item_list_name",
+  va: "item_variant",
+  lo: "location_id",
+  pr: "price",
+  qt: "quantity",
+  pi: "promotion_id",
+  pn: "promotion_name",
+  cn: "creative_name",
+  cs: "creative_slot",
+};
+const NUMERIC_ITEM_FIELDS = new Set(["price", "quantity", "discount", "index"]);
+
+// Request-level metadata: wire key -> [group, readable name]
+const METADATA_FIELDS: Record<string, [string, string]> = {
+  v: ["request", "protocolVersion"],
+  tid: ["request", "measurementId"],
+  gtm: ["request", "gtmHash"],
+  _p: ["request", "pageLoadId"],
+  _s: ["request", "hitSequence"],
+  _dbg: ["request", "debugMode"],
+  ir: ["request", "ignoreReferrer"],
+  cid: ["session", "clientId"],
+  uid: ["session", "userId"],
+  sid: ["session", "sessionId"],
+  sct: ["session", "sessionCount"],
+  seg: ["session", "sessionEngaged"],
+  _fv: ["session", "firstVisit"],
+  _ss: ["session", "sessionStart"],
+  _nsi: ["session", "newSessionId"],
+  _et: ["session", "engagementTimeMs"],
+  dl: ["page", "location"],
+  dr: ["page", "referrer"],
+  dt: ["page", "title"],
+  ul: ["page", "language"],
+  sr: ["page", "screenResolution"],
+  gcs: ["consent", "gcs"],
+  gcd: ["consent", "gcd"],
+  npa: ["consent", "nonPersonalizedAds"],
+  dma: ["consent", "dma"],
+  dma_cps: ["consent", "dmaCps"],
+};
+const NUMERIC_METADATA = new Set(["sessionCount", "engagementTimeMs", "hitSequence"]);
+const FLAG_METADATA = new Set(["sessionEngaged", "firstVisit", "sessionStart", "debugMode", "ignoreReferrer"]);
+
+export interface DecodedGa4Hit {
+  eventName: string | null;
+  measurementId: string | null;
+  eventParams: Record<string, string | number>;
+  userProperties: Record<string, string | number>;
+  items: Record<string, string | number>[];
+  request: Record<string, any>;
+  session: Record<string, any>;
+  page: Record<string, any>;
+  consent: Record<string, any>;
+  other: Record<string, string>; // wire params this decoder does not know
+}
+
+function toNumber(value: string): number | string {
+  const number = Number(value);
+  return value !== "" && Number.isFinite(number) ? number : value;
+}
+
+// "idSKU1~nmShoes~pr49.99~k0color~v0red" -> { item_id: "SKU1", item_name: "Shoes", price: 49.99, color: "red" }
+export function decodeGa4Item(value: string): Record<string, string | number> {
+  const item: Record<string, string | number> = {};
+  const customKeys: Record<string, string> = {};
+  const customValues: Record<string, string> = {};
+
+  for (const part of value.split("~")) {
+    if (part.length < 2) continue;
+    const custom = /^([kv])(\d+)(.*)$/.exec(part);
+    if (custom) {
+      (custom[1] === "k" ? customKeys : customValues)[custom[2]] = custom[3];
+      continue;
+    }
+    const name = ITEM_FIELDS[part.slice(0, 2)];
+    const fieldValue = part.slice(2);
+    if (name) item[name] = NUMERIC_ITEM_FIELDS.has(name) ? toNumber(fieldValue) : fieldValue;
+  }
+
+  for (const [index, key] of Object.entries(customKeys)) {
+    if (customValues[index] !== undefined) item[key] = customValues[index];
+  }
+  return item;
+}
+
+export function decodeGa4Params(params: Record<string, string>): DecodedGa4Hit {
+  const decoded: DecodedGa4Hit = {
+    eventName: params?.en ?? null,
+    measurementId: params?.tid ?? null,
+    eventParams: {},
+    userProperties: {},
+    items: [],
+    request: {},
+    session: {},
+    page: {},
+    consent: {},
+    other: {},
+  };
+  const items: [number, Record<string, string | number>][] = [];
+
+  for (const [key, value] of Object.entries(params || {})) {
+    if (key === "en") continue;
+    if (key.startsWith("ep.")) decoded.eventParams[key.slice(3)] = value;
+    else if (key.startsWith("epn.")) decoded.eventParams[key.slice(4)] = toNumber(value);
+    else if (key.startsWith("up.")) decoded.userProperties[key.slice(3)] = value;
+    else if (key.startsWith("upn.")) decoded.userProperties[key.slice(4)] = toNumber(value);
+    else if (/^pr\d+$/.test(key)) items.push([Number(key.slice(2)), decodeGa4Item(value)]);
+    else if (key === "cu") decoded.eventParams.currency = value;
+    else if (METADATA_FIELDS[key]) {
+      const [group, name] = METADATA_FIELDS[key];
+      const target = (decoded as any)[group];
+      target[name] = FLAG_METADATA.has(name) ? value !== "0" : NUMERIC_METADATA.has(name) ? toNumber(value) : value;
+    } else decoded.other[key] = value;
+  }
+
+  decoded.items = items.sort((a, b) => a[0] - b[0]).map(([, item]) => item);
+  return decoded;
+}
+
+function decodeHits(hits: any[]) {
+  return hits.map((hit: any) =>
+    !hit.vendor || hit.vendor === "ga4" ? { ...hit, decoded: decodeGa4Params(hit.parameters) } : hit,
+  );
+}
+
+// Add a `decoded` view next to each GA4 hit's raw `parameters` (current page or every page view)
+export function withDecodedGa4Hits(payload: any): any {
+  if (Array.isArray(payload?.hits)) {
+    return { ...payload, hits: decodeHits(payload.hits) };
+  }
+  if (Array.isArray(payload?.pageViews)) {
+    return {
+      ...payload,
+      pageViews: payload.pageViews.map((pageView: any) => ({ ...pageView, hits: decodeHits(pageView.hits || []) })),
+    };
+  }
+  return payload;
+}
@@ -0,0 +1,133 @@
+// metaPixel.ts - Decode Meta Pixel (/tr) wire params into custom data and user data
+
+// cd[...] fields with a known meaning; everything else in cd[...] is custom
+const NUMERIC_CUSTOM_DATA = new Set(["value", "num_items", "predicted_ltv"]);
+const JSON_CUSTOM_DATA = new Set(["contents", "content_ids"]);
+
+// Advanced matching keys (ud[...] set by the page, udff[...] normalized and hashed by fbevents.js)
+const USER_DATA_FIELDS: Record<string, string> = {
+  em: "email",
+  ph: "phone",
+  fn: "first_name",
+  ln: "last_name",
+  ge: "gender",
+  db: "date_of_birth",
+  ct: "city",
+  st: "state",
+  zp: "zip",
+  country: "country",
+  external_id: "external_id",
+};
+
+// Request-level metadata: wire key -> readable name
+const METADATA_FIELDS: Record<string, string> = {
+  dl: "pageUrl",
+  rl: "referrer",
+  if: "inIframe",
+  ts: "timestamp",
+  sw: "screenWidth",
+  sh: "screenHeight",
+  v: "pixelVersion",
+  r: "release",
+  ec: "eventCount",
+  o: "options",
+  fbp: "fbp",
+  fbc: "fbc",
+  it: "initTime",
+  coo: "cookiesDisabled",
+  rqm: "requestMethod",
+};
+
+export type UserDataState = "hashed" | "plaintext" | "empty";
+
+export interface UserDataField {
+  state: UserDataState;
+  source: "ud" | "udff";
+  value: string;
+}
+
+export interface DecodedMetaPixelHit {
+  eventName: string | null;
+  pixelId: string | null;
+  eventId: string | null; // eid, the browser side of Conversions API deduplication
+  customData: Record<string, any>;
+  userData: Record<string, UserDataField>;
+  metadata: Record<string, string>;
+  other: Record<string, string>; // wire params this decoder does not know
+}
+
+const SHA256_HEX = /^[a-f0-9]{64}$/i;
+
+export function classifyUserData(value: string | null | undefined): UserDataState {
+  if (value === undefined || value === null || value.trim() === "") return "empty";
+  return SHA256_HEX.test(value.trim()) ? "hashed" : "plaintext";
+}
+
+function parseJson(value: string): any {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function toNumber(value: string): number | string {
+  const number = Number(value);
+  return value !== "" && Number.isFinite(number) ? number : value;
+}
+
+export function decodeMetaPixelParams(params: Record<string, string>): DecodedMetaPixelHit {
+  const decoded: DecodedMetaPixelHit = {
+    eventName: params?.ev ?? params?.event ?? null,
+    pixelId: params?.id ?? params?.pixel_id ?? null,
+    eventId: params?.eid || null,
+    customData: {},
+    userData: {},
+    metadata: {},
+    other: {},
+  };
+
+  for (const [key, value] of Object.entries(params || {})) {
+    if (["ev", "event", "id", "pixel_id", "eid"].includes(key)) continue;
+    const bracket = /^(cd|ud|udff)\[(.+)\]$/.exec(key);
+    if (bracket?.[1] === "cd") {
+      const name = bracket[2];
+      decoded.customData[name] = JSON_CUSTOM_DATA.has(name)
+        ? parseJson(value)
+        : NUMERIC_CUSTOM_DATA.has(name)
+          ? toNumber(value)
+          : value;
+    } else if (bracket) {
+      const name = USER_DATA_FIELDS[bracket[2]] || bracket[2];
+      const source = bracket[1] as "ud" | "udff";
+      // The page's own ud[...] wins over the copy fbevents.js derived from form fields
+      if (source === "udff" && decoded.userData[name]?.source === "ud") continue;
+      decoded.userData[name] = { state: classifyUserData(value), source, value };
+    } else if (METADATA_FIELDS[key]) {
+      decoded.metadata[METADATA_FIELDS[key]] = value;
+    } else {
+      decoded.other[key] = value;
+    }
+  }
+  return decoded;
+}
+
+function decodeHits(hits: any[]) {
+  return hits.map((hit: any) =>
+    !hit.vendor || hit.vendor === "metaPixel" ? { ...hit, decoded: decodeMetaPixelParams(hit.parameters) } : hit,
+  );
+}
+
+// Add a `decoded` view next to each Meta Pixel hit's raw `parameters` (current page or every page view)
+export function withDecodedMetaPixelHits(payload: any): any {
+  if (Array.isArray(payload?.hits)) {
+    return { ...payload, hits: decodeHits(payload.hits) };
+  }
+  if (Array.isArray(payload?.pageViews)) {
+    return {
+      ...payload,
+      pageViews: payload.pageViews.map((pageView: any) => ({ ...pageView, hits: decodeHits(pageView.hits || []) })),
+    };
+  }
+  return payload;
+}
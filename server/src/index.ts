@@ -3,73 +3,152 @@
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 
-import { setupWebSocketServer } from "./connection/websocket.js";
+import { closeHttpSessions, getHttpUrl, startHttpTransport } from "./connection/http.js";
+import { BrowserSession, setupWebSocketServer } from "./connection/websocket.js";
 import { logInfo, logWarn, logError } from "./utils/logging.js";
+import { getRunningHttpInstance } from "./utils/instance.js";
 import { registerDataLayerTool } from "./tools/dataLayer.js";
+import { registerDataLayerPushesTool } from "./tools/dataLayerPushes.js";
+import { registerDataModelTool } from "./tools/dataModel.js";
 import { registerSchemaMarkupTool } from "./tools/schema.js";
 import { registerMetaTagsTool } from "./tools/metaTags.js";
 import { registerGa4HitsTool } from "./tools/ga4Hits.js";
+import { registerValidateGa4HitsTool } from "./tools/validateGa4Hits.js";
 import { registerMetaPixelHitsTool } from "./tools/metaPixelHits.js";
+import { registerMetaPixelDeduplicationTool } from "./tools/metaPixelDeduplication.js";
+import { registerTrackingPlanTool } from "./tools/trackingPlan.js";
+import { registerEcommerceAuditTool } from "./tools/ecommerceAudit.js";
+import { registerPiiScanTool } from "./tools/piiScan.js";
+import { registerTrackingHitsTool } from "./tools/trackingHits.js";
+import { registerGoogleAdsHitsTool } from "./tools/googleAdsHits.js";
+import { registerConsentStateTool } from "./tools/consentState.js";
 import { registerGtmContainerIdsTool } from "./tools/gtmContainerIds.js";
 import { registerGtmPreviewEventsTool } from "./tools/gtmPreviewEvents.js";
 import { registerCrawlabilityTool } from "./tools/crawlability.js";
+import { registerBrowserSessionsTool } from "./tools/browserSessions.js";
+import { registerTimelineEventsTool } from "./tools/timelineEvents.js";
+import { registerTrackingTimelineTool } from "./tools/trackingTimeline.js";
+import { registerWaitForEventTool } from "./tools/waitForEvent.js";
+import { registerTrackingHistoryTool } from "./tools/trackingHistory.js";
+import { registerTrackingResources } from "./resources/trackingResources.js";
+import { handleTrackingEvents } from "./timeline/eventBuffer.js";
 
 // Configuration
 const MCP_SERVER_NAME = "DataLayerAccessServer";
 const MCP_SERVER_VERSION = "0.1.0";
 
+// Transport: stdio (default, one server per MCP client) or a long-running streamable HTTP server
+const TRANSPORT_MODE =
+  process.argv.includes("--http") || process.env.MCP_TRANSPORT === "http" ? "http" : "stdio";
+
 // MCP Server Setup
-const mcpServer = new McpServer({
-  name: MCP_SERVER_NAME,
-  version: MCP_SERVER_VERSION,
-  capabilities: {
-    resources: {},
-    tools: {},
-  },
-});
+// A fresh McpServer is needed per transport; in HTTP mode every client session gets its own.
+function createMcpServer() {
+  const mcpServer = new McpServer({
+    name: MCP_SERVER_NAME,
+    version: MCP_SERVER_VERSION,
+    capabilities: {
+      resources: {},
+      tools: {},
+    },
+  });
 
-// Register all tools
-registerDataLayerTool(mcpServer);
-registerSchemaMarkupTool(mcpServer);
-registerMetaTagsTool(mcpServer);
-registerGa4HitsTool(mcpServer);
-registerMetaPixelHitsTool(mcpServer);
-registerGtmContainerIdsTool(mcpServer);
-registerGtmPreviewEventsTool(mcpServer);
-registerCrawlabilityTool(mcpServer);
+  // Register all tools
+  registerDataLayerTool(mcpServer);
+  registerDataLayerPushesTool(mcpServer);
+  registerDataModelTool(mcpServer);
+  registerSchemaMarkupTool(mcpServer);
+  registerMetaTagsTool(mcpServer);
+  registerGa4HitsTool(mcpServer);
+  registerValidateGa4HitsTool(mcpServer);
+  registerMetaPixelHitsTool(mcpServer);
+  registerMetaPixelDeduplicationTool(mcpServer);
+  registerTrackingPlanTool(mcpServer);
+  registerEcommerceAuditTool(mcpServer);
+  registerPiiScanTool(mcpServer);
+  registerTrackingHitsTool(mcpServer);
+  registerGoogleAdsHitsTool(mcpServer);
+  registerConsentStateTool(mcpServer);
+  registerGtmContainerIdsTool(mcpServer);
+  registerGtmPreviewEventsTool(mcpServer);
+  registerCrawlabilityTool(mcpServer);
+  registerBrowserSessionsTool(mcpServer);
+  registerTimelineEventsTool(mcpServer);
+  registerTrackingTimelineTool(mcpServer);
+  registerWaitForEventTool(mcpServer);
+  registerTrackingHistoryTool(mcpServer);
+
+  // Register resources
+  registerTrackingResources(mcpServer);
+
+  return mcpServer;
+}
 
 // WebSocket message handler
-function handleWebSocketMessage(socket: any, message: any) {
+function handleWebSocketMessage(socket: any, message: any, session: BrowserSession) {
   logInfo(`Received WebSocket message: ${message.type}`);
-  // Additional message handling logic can be added here
+
+  switch (message.type) {
+    case "TRACKING_EVENTS":
+      handleTrackingEvents(session, message);
+      break;
+    default:
+      // Additional message handling logic can be added here
+      break;
+  }
 }
 
 // Start MCP Server
 async function main() {
   try {
-    // Start WebSocket server first
-    const wss = await setupWebSocketServer(handleWebSocketMessage);
-    
-    // Then start MCP server
-    const transport = new StdioServerTransport();
-    await mcpServer.connect(transport);
-    
-    logInfo(`${MCP_SERVER_NAME} v${MCP_SERVER_VERSION} running via stdio`);
+    let shutdownTransport: (() => Promise<void>) | null = null;
+
+    if (TRANSPORT_MODE === "http") {
+      // Own both ports without killing anyone: fail loudly if another server holds them
+      const wss = await setupWebSocketServer(handleWebSocketMessage, undefined, {
+        mode: "http",
+        httpUrl: getHttpUrl(),
+        takeOverPort: false,
+      });
+      const httpServer = await startHttpTransport(createMcpServer);
+      shutdownTransport = async () => {
+        await closeHttpSessions();
+        httpServer.close();
+        wss.close();
+      };
+
+      logInfo(`${MCP_SERVER_NAME} v${MCP_SERVER_VERSION} running via streamable HTTP at ${getHttpUrl()}`);
+    } else {
+      const httpInstance = getRunningHttpInstance();
+      if (httpInstance) {
+        logError(
+          `An HTTP-mode server (pid ${httpInstance.pid}) already owns the extension connection. Configure this MCP client to use ${httpInstance.httpUrl} instead of launching a stdio server.`,
+        );
+        process.exit(1);
+      }
+
+      // Start WebSocket server first
+      const wss = await setupWebSocketServer(handleWebSocketMessage);
+
+      // Then start MCP server
+      const transport = new StdioServerTransport();
+      await createMcpServer().connect(transport);
+      shutdownTransport = async () => {
+        wss.close();
+      };
+
+      logInfo(`${MCP_SERVER_NAME} v${MCP_SERVER_VERSION} running via stdio`);
+    }
+
     logInfo("Server initialization completed successfully");
-    
+
     // Handle graceful shutdown
-    process.on("SIGINT", () => {
-      logInfo("Received SIGINT, shutting down gracefully...");
-      wss.close();
-      process.exit(0);
-    });
-    
-    process.on("SIGTERM", () => {
-      logInfo("Received SIGTERM, shutting down gracefully...");
-      wss.close();
-      process.exit(0);
-    });
-    
+    const shutdown = (signal: string) => {
+      logInfo(`Received ${signal}, shutting down gracefully...`);
+      (shutdownTransport ? shutdownTransport() : Promise.resolve()).finally(() => process.exit(0));
+    };
+    process.on("SIGINT", () => shutdown("SIGINT"));
+    process.on("SIGTERM", () => shutdown("SIGTERM"));
   } catch (error) {
     logError("Fatal error during server startup:", error);
     process.exit(1);
@@ -0,0 +1,176 @@
+// trackingResources.ts - Captured hits and page snapshots exposed as subscribable MCP resources
+
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+
+import { ExtensionRequestError, getSessions, requestFromExtension, resolveSession } from "../connection/websocket.js";
+import { withDecodedGa4Hits } from "../decoders/ga4.js";
+import { withDecodedMetaPixelHits } from "../decoders/metaPixel.js";
+import { TimelineEvent, matchesSession, onTimelineEvent } from "../timeline/eventBuffer.js";
+import { logInfo, logWarn } from "../utils/logging.js";
+
+// Resource URIs for the attached tab of the default browser session
+export const RESOURCE_URIS = {
+  ga4Hits: "datalayer://tab/current/ga4-hits",
+  metaPixelHits: "datalayer://tab/current/meta-pixel-hits",
+  dataLayer: "datalayer://tab/current/datalayer",
+  crawlability: "datalayer://tab/current/crawlability",
+} as const;
+
+// Per-browser resources; {session} is a session id or name as accepted by the tools' `session`
+const SESSION_RESOURCE_PREFIX = "datalayer://session/";
+const SESSION_URI = /^datalayer:\/\/session\/([^/]+)\/([a-z-]+)$/;
+
+type SessionResource = "ga4-hits" | "meta-pixel-hits" | "datalayer";
+
+const SESSION_RESOURCES: { name: SessionResource; label: string; currentUri: string; requestType: string; transform?: (payload: any) => any }[] = [
+  { name: "ga4-hits", label: "GA4 hits", currentUri: RESOURCE_URIS.ga4Hits, requestType: "REQUEST_GA4_HITS", transform: withDecodedGa4Hits },
+  { name: "meta-pixel-hits", label: "Meta Pixel hits", currentUri: RESOURCE_URIS.metaPixelHits, requestType: "REQUEST_META_PIXEL_HITS", transform: withDecodedMetaPixelHits },
+  { name: "datalayer", label: "dataLayer", currentUri: RESOURCE_URIS.dataLayer, requestType: "REQUEST_DATALAYER" },
+];
+
+// Streamed timeline event kind -> resources it changes
+const UPDATE_TARGETS: Record<string, SessionResource[]> = {
+  ga4_hit: ["ga4-hits"],
+  meta_pixel_hit: ["meta-pixel-hits"],
+  datalayer_push: ["datalayer"],
+  navigation: ["ga4-hits", "meta-pixel-hits", "datalayer"],
+};
+
+export function sessionResourceUri(session: string, name: SessionResource): string {
+  return `${SESSION_RESOURCE_PREFIX}${encodeURIComponent(session)}/${name}`;
+}
+
+const NOTIFY_THROTTLE_MS = 250;
+
+// uri -> MCP servers (one per connected client) subscribed to it
+const subscriptions = new Map<string, Set<any>>();
+const pendingNotifications = new Map<string, NodeJS.Timeout>();
+
+let lastCrawlabilityAudit: any = null;
+
+function jsonContents(uri: string, value: any) {
+  return { contents: [{ uri, mimeType: "application/json", text: JSON.stringify(value, null, 2) }] };
+}
+
+async function readFromExtension(uri: string, requestType: string, transform?: (payload: any) => any, session?: string) {
+  try {
+    const payload = await requestFromExtension(requestType, { session });
+    return jsonContents(uri, transform ? transform(payload) : payload);
+  } catch (error) {
+    if (error instanceof ExtensionRequestError) throw new Error(error.message);
+    throw error;
+  }
+}
+
+// Tell every subscribed client that a resource changed. Bursts (e.g. several hits in one
+// batch) collapse into a single notification per throttle window.
+export function notifyResourceUpdated(uri: string) {
+  if (!subscriptions.get(uri)?.size || pendingNotifications.has(uri)) return;
+
+  pendingNotifications.set(
+    uri,
+    setTimeout(() => {
+      pendingNotifications.delete(uri);
+      for (const server of Array.from(subscriptions.get(uri) || [])) {
+        server.sendResourceUpdated({ uri }).catch((error: any) => {
+          logWarn(`Failed to send resources/updated for ${uri}:`, error?.message || error);
+        });
+      }
+    }, NOTIFY_THROTTLE_MS),
+  );
+}
+
+// The browser the tab/current resources read from, or null while that is ambiguous
+function defaultSessionId(): string | null {
+  try {
+    return resolveSession().id;
+  } catch {
+    return null;
+  }
+}
+
+// Every event the extension streams in may change one of the resources, but only those of the
+// browser that sent it: its session resources, and tab/current when it is the default browser
+function notifyForEvent(event: TimelineEvent) {
+  const targets = UPDATE_TARGETS[event.kind];
+  if (!targets) return;
+
+  if (defaultSessionId() === event.sessionId) {
+    for (const resource of SESSION_RESOURCES) {
+      if (targets.includes(resource.name)) notifyResourceUpdated(resource.currentUri);
+    }
+  }
+  for (const uri of subscriptions.keys()) {
+    const match = SESSION_URI.exec(uri);
+    if (match && targets.includes(match[2] as SessionResource) && matchesSession(event, decodeURIComponent(match[1]))) {
+      notifyResourceUpdated(uri);
+    }
+  }
+}
+
+onTimelineEvent(notifyForEvent);
+
+export function setLastCrawlabilityAudit(payload: any) {
+  lastCrawlabilityAudit = payload;
+  notifyResourceUpdated(RESOURCE_URIS.crawlability);
+}
+
+export function registerTrackingResources(mcpServer: any) {
+  for (const { name, label, currentUri, requestType, transform } of SESSION_RESOURCES) {
+    mcpServer.resource(
+      name,
+      currentUri,
+      { description: `${label} of the attached tab (when several browsers are connected, use ${SESSION_RESOURCE_PREFIX}{session}/${name})`, mimeType: "application/json" },
+      async (uri: URL) => readFromExtension(uri.href, requestType, transform),
+    );
+
+    mcpServer.resource(
+      `session-${name}`,
+      new ResourceTemplate(`${SESSION_RESOURCE_PREFIX}{session}/${name}`, {
+        list: async () => ({
+          resources: getSessions()
+            .filter((session) => session.authenticated)
+            .map((session) => ({
+              uri: sessionResourceUri(session.id, name),
+              name: `${label} (${session.name})`,
+              mimeType: "application/json",
+            })),
+        }),
+      }),
+      { description: `${label} of the attached tab of one browser session (id or name from listBrowserSessions)`, mimeType: "application/json" },
+      async (uri: URL, variables: any) => readFromExtension(uri.href, requestType, transform, decodeURIComponent(String(variables.session))),
+    );
+  }
+
+  mcpServer.resource(
+    "crawlability",
+    RESOURCE_URIS.crawlability,
+    { description: "Result of the last checkCrawlability audit", mimeType: "application/json" },
+    async (uri: URL) =>
+      jsonContents(uri.href, lastCrawlabilityAudit || { error: "No crawlability audit has been run yet. Call checkCrawlability first." }),
+  );
+
+  // Subscriptions are tracked per McpServer so each client only hears about what it asked for
+  const server = mcpServer.server;
+  server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request: any) => {
+    const uri = request.params.uri;
+    if (!subscriptions.has(uri)) subscriptions.set(uri, new Set());
+    subscriptions.get(uri)!.add(server);
+    logInfo(`Client subscribed to ${uri}`);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request: any) => {
+    subscriptions.get(request.params.uri)?.delete(server);
+    return {};
+  });
+
+  const previousOnClose = server.onclose;
+  server.onclose = () => {
+    for (const set of subscriptions.values()) set.delete(server);
+    previousOnClose?.();
+  };
+}
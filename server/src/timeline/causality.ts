@@ -0,0 +1,275 @@
+// causality.ts - Put dataLayer pushes, hits and Tag Assistant events on one clock and link each hit to its push
+//
+// Hits carry no reference to the push that triggered them, so a hit is linked to the push with the
+// same event name shortly before it (GA4 / Meta page views also to gtm.js and friends), or to the
+// push right before it when nothing matches by name. Pushes without a recorded time (the push hook
+// was off) are matched by name from the newest end and take the time of the first hit they caused.
+// Tag Assistant numbers its events with gtm.uniqueEventId, which links them to pushes directly.
+
+export type HitSource = "ga4" | "metaPixel";
+
+export interface TimelinePush {
+  layer: string; // "dataLayer" or a renamed / additional layer
+  index: number | null;
+  name: string; // event, or the gtag("event", name) / "config" command
+  uniqueEventId: number | null; // gtm.uniqueEventId, set by GTM when it processed the push
+  pageUrl: string | null;
+  timestamp: number | null;
+  origin: "snapshot" | "timeline";
+}
+
+export interface TimelineHit {
+  source: HitSource;
+  eventName: string;
+  eventId: string | null;
+  accountId: string | null; // measurement ID or pixel ID
+  pageUrl: string | null;
+  timestamp: number;
+}
+
+export interface TagAssistantEvent {
+  eventNumber: number;
+  eventName: string;
+  tagsFired: string[];
+  pageUrl: string | null;
+}
+
+export type MatchConfidence = "high" | "medium" | "low" | "order";
+
+interface HitLink {
+  hit: TimelineHit;
+  delayMs: number | null;
+  matchedBy: string[];
+  confidence: MatchConfidence;
+}
+
+interface Step {
+  push: TimelinePush | null;
+  timestamp: number | null;
+  timestampEstimated: boolean;
+  tagAssistant: (TagAssistantEvent & { matchedBy: string }) | null;
+  hits: HitLink[];
+}
+
+// Meta standard events -> the GA4 / dataLayer event they usually mirror
+const META_EVENT_NAMES: Record<string, string> = {
+  PageView: "page_view",
+  ViewContent: "view_item",
+  Search: "search",
+  AddToCart: "add_to_cart",
+  AddToWishlist: "add_to_wishlist",
+  InitiateCheckout: "begin_checkout",
+  AddPaymentInfo: "add_payment_info",
+  Purchase: "purchase",
+  Lead: "generate_lead",
+  CompleteRegistration: "sign_up",
+};
+
+// Tag Assistant's labels for GTM's built-in events
+const TAG_ASSISTANT_NAMES: Record<string, string> = {
+  "Consent Initialization": "gtm.init_consent",
+  Initialization: "gtm.init",
+  "Container Loaded": "gtm.js",
+  "DOM Ready": "gtm.dom",
+  "Window Loaded": "gtm.load",
+};
+
+// Pushes a page_view / PageView tag is normally triggered by
+const PAGE_VIEW_TRIGGERS = new Set(["page_view", "config", "gtm.js", "gtm.init", "gtm.init_consent", "gtm.dom", "gtm.load"]);
+
+const SOURCE_LABELS: Record<HitSource, string> = { ga4: "GA4", metaPixel: "Meta" };
+
+// Hits sent slightly before the recorded push time are clock noise between page and network capture
+const CLOCK_SKEW_MS = 100;
+// Without a matching name, only a push this close before the hit is taken as its cause
+const TIME_ONLY_WINDOW_MS = 1000;
+
+export function pushEventName(push: any): string | null {
+  if (!push || typeof push !== "object") return null;
+  if (typeof push.event === "string") return push.event;
+  if (push[0] === "event" && typeof push[1] === "string") return push[1];
+  if (push[0] === "config") return "config";
+  return null;
+}
+
+function canonicalHitName(hit: TimelineHit): string {
+  return hit.source === "metaPixel" ? META_EVENT_NAMES[hit.eventName] || hit.eventName : hit.eventName;
+}
+
+// 3: same event, 2: page view on a page-load push, 0: unrelated
+function nameScore(hit: TimelineHit, push: TimelinePush): number {
+  const name = canonicalHitName(hit);
+  if (name === push.name || name.toLowerCase() === push.name.toLowerCase()) return 3;
+  if (name === "page_view" && PAGE_VIEW_TRIGGERS.has(push.name)) return 2;
+  return 0;
+}
+
+function linkTimedHit(hit: TimelineHit, pushes: TimelinePush[], windowMs: number): { push: TimelinePush; link: HitLink } | null {
+  let best: { push: TimelinePush; score: number; delay: number } | null = null;
+  for (const push of pushes) {
+    if (push.timestamp === null) continue;
+    const delay = hit.timestamp - push.timestamp;
+    if (delay < -CLOCK_SKEW_MS || delay > windowMs) continue;
+    const score = nameScore(hit, push) || (delay <= TIME_ONLY_WINDOW_MS ? 1 : 0);
+    if (!score) continue;
+    if (!best || score > best.score || (score === best.score && Math.abs(delay) < Math.abs(best.delay))) {
+      best = { push, score, delay };
+    }
+  }
+  if (!best) return null;
+  const matchedBy = best.score === 3 ? ["eventName", "timing"] : best.score === 2 ? ["pageView", "timing"] : ["timing"];
+  const confidence: MatchConfidence = best.score === 3 ? "high" : best.score === 2 ? "medium" : "low";
+  return { push: best.push, link: { hit, delayMs: best.delay, matchedBy, confidence } };
+}
+
+// Untimed pushes: the newest hit of a name belongs to the newest push of that name, and so on
+function linkByOrder(hits: TimelineHit[], pushes: TimelinePush[]): Map<TimelineHit, TimelinePush> {
+  const links = new Map<TimelineHit, TimelinePush>();
+  const untimed = pushes.filter((push) => push.timestamp === null);
+  const taken = new Map<string, number>(); // per source, account and name: pushes used from the end
+  for (const hit of [...hits].reverse()) {
+    for (const exact of [true, false]) {
+      const candidates = untimed.filter((push) => nameScore(hit, push) === (exact ? 3 : 2));
+      const key = `${hit.source}|${hit.accountId}|${exact}|${canonicalHitName(hit)}`;
+      const used = taken.get(key) || 0;
+      const push = candidates[candidates.length - 1 - used];
+      if (push) {
+        taken.set(key, used + 1);
+        links.set(hit, push);
+        break;
+      }
+    }
+  }
+  return links;
+}
+
+function linkTagAssistant(events: TagAssistantEvent[], pushes: TimelinePush[]): Map<TimelinePush, TagAssistantEvent & { matchedBy: string }> {
+  const links = new Map<TimelinePush, TagAssistantEvent & { matchedBy: string }>();
+  // Tag Assistant numbers events per page, so a number only identifies a push on the same page
+  const sameName = (event: TagAssistantEvent, push: TimelinePush) =>
+    (TAG_ASSISTANT_NAMES[event.eventName] || event.eventName) === push.name &&
+    (!event.pageUrl || !push.pageUrl || event.pageUrl === push.pageUrl);
+  for (const event of events) {
+    const byId = pushes.find(
+      (push) => push.uniqueEventId === event.eventNumber && !links.has(push) && sameName(event, push),
+    );
+    const byName = byId ? null : pushes.find((push) => !links.has(push) && sameName(event, push));
+    const push = byId || byName;
+    if (push) links.set(push, { ...event, matchedBy: byId ? "gtm.uniqueEventId" : "eventName" });
+  }
+  return links;
+}
+
+// Untimed pushes take the time of their first hit, otherwise of the push before them (index order)
+function estimateTimes(steps: Step[]) {
+  const pushSteps = steps.filter((step) => step.push);
+  for (const step of pushSteps) {
+    if (step.timestamp === null && step.hits.length) {
+      step.timestamp = Math.min(...step.hits.map((link) => link.hit.timestamp));
+      step.timestampEstimated = true;
+    }
+  }
+  let previous: number | null = null;
+  for (const step of pushSteps) {
+    if (step.timestamp === null && previous !== null) {
+      step.timestamp = previous;
+      step.timestampEstimated = true;
+    } else if (step.timestamp !== null && previous !== null && step.timestamp < previous && step.timestampEstimated) {
+      step.timestamp = previous;
+    }
+    if (step.timestamp !== null) previous = step.timestamp;
+  }
+  for (const step of pushSteps) {
+    if (step.timestamp === null) continue;
+    for (const link of step.hits) {
+      if (link.delayMs === null) link.delayMs = link.hit.timestamp - step.timestamp;
+    }
+  }
+}
+
+function clock(timestamp: number | null, estimated: boolean): string {
+  if (timestamp === null) return "--:--:--.---";
+  return `${estimated ? "~" : ""}${new Date(timestamp).toISOString().slice(11, 23)}`;
+}
+
+function describeHit(link: HitLink, withDelay: boolean): string {
+  const delay = withDelay && link.delayMs !== null ? ` (+${Math.max(0, link.delayMs)} ms)` : "";
+  return `${SOURCE_LABELS[link.hit.source]} ${link.hit.eventName}${delay}`;
+}
+
+function narrate(step: Step): string {
+  const time = clock(step.timestamp, step.timestampEstimated);
+  if (!step.push) return `${time} ${step.hits.map((link) => describeHit(link, false)).join(" → ")} (no dataLayer push)`;
+  const layer = step.push.layer === "dataLayer" ? "" : step.push.layer;
+  const id = [step.push.index !== null ? `${layer}#${step.push.index}` : null, step.push.uniqueEventId !== null ? `uid ${step.push.uniqueEventId}` : null]
+    .filter(Boolean)
+    .join(", ");
+  const tags = step.tagAssistant?.tagsFired.length ? ` [tags: ${step.tagAssistant.tagsFired.join(", ")}]` : "";
+  const hits = step.hits.length ? step.hits.map((link) => describeHit(link, true)).join(" → ") : "no hits";
+  return `${time} push ${step.push.name}${id ? ` (${id})` : ""}${tags} → ${hits}`;
+}
+
+export function buildCausalityTimeline(
+  pushes: TimelinePush[],
+  hits: TimelineHit[],
+  tagAssistantEvents: TagAssistantEvent[],
+  options: { windowMs: number },
+) {
+  const sortedHits = [...hits].sort((a, b) => a.timestamp - b.timestamp);
+  const stepOf = new Map<TimelinePush, Step>();
+  const steps: Step[] = pushes.map((push) => {
+    const step: Step = { push, timestamp: push.timestamp, timestampEstimated: false, tagAssistant: null, hits: [] };
+    stepOf.set(push, step);
+    return step;
+  });
+
+  const orderLinks = linkByOrder(sortedHits, pushes);
+  for (const hit of sortedHits) {
+    const timed = linkTimedHit(hit, pushes, options.windowMs);
+    const ordered = orderLinks.get(hit);
+    // A same-name push matched by order beats a push that is merely close in time
+    if (timed && !(ordered && timed.link.confidence === "low")) {
+      stepOf.get(timed.push)!.hits.push(timed.link);
+    } else if (ordered) {
+      stepOf.get(ordered)!.hits.push({ hit, delayMs: null, matchedBy: ["eventName", "order"], confidence: "order" });
+    } else {
+      steps.push({ push: null, timestamp: hit.timestamp, timestampEstimated: false, tagAssistant: null, hits: [{ hit, delayMs: null, matchedBy: [], confidence: "low" }] });
+    }
+  }
+  for (const [push, event] of linkTagAssistant(tagAssistantEvents, pushes)) {
+    stepOf.get(push)!.tagAssistant = event;
+  }
+
+  estimateTimes(steps);
+  // Stable sort keeps dataLayer order among pushes with equal or unknown times
+  const ordered = steps
+    .map((step, position) => ({ step, position }))
+    .sort((a, b) => (a.step.timestamp ?? -Infinity) - (b.step.timestamp ?? -Infinity) || a.position - b.position)
+    .map(({ step }) => step);
+
+  const pushesWithoutHits = ordered
+    .filter((step) => step.push && step.hits.length === 0 && !step.push.name.startsWith("gtm."))
+    .map((step) => ({ layer: step.push!.layer, index: step.push!.index, event: step.push!.name, pageUrl: step.push!.pageUrl, tagsFired: step.tagAssistant?.tagsFired ?? null }));
+  const linkedHits = ordered.filter((step) => step.push).reduce((count, step) => count + step.hits.length, 0);
+
+  return {
+    narrative: ordered.map(narrate),
+    steps: ordered.map((step) => ({
+      timestamp: step.timestamp,
+      timestampEstimated: step.timestampEstimated,
+      push: step.push,
+      tagAssistant: step.tagAssistant,
+      hits: step.hits.map((link) => ({ ...link.hit, delayMs: link.delayMs, matchedBy: link.matchedBy, confidence: link.confidence })),
+    })),
+    pushesWithoutHits,
+    summary: {
+      pushes: pushes.length,
+      hits: hits.length,
+      linkedHits,
+      unlinkedHits: hits.length - linkedHits,
+      pushesWithoutHits: pushesWithoutHits.length,
+      untimedPushes: pushes.filter((push) => push.timestamp === null).length,
+      tagAssistantEvents: tagAssistantEvents.length,
+    },
+  };
+}
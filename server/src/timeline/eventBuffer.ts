@@ -0,0 +1,137 @@
+// eventBuffer.ts - Bounded, cursor-addressable buffer of tracking events streamed by the extension
+
+import { EventEmitter } from "node:events";
+
+import type { BrowserSession } from "../connection/websocket.js";
+import { decodeGa4Params } from "../decoders/ga4.js";
+import { logWarn } from "../utils/logging.js";
+
+export const TIMELINE_CAPACITY = Number(process.env.TIMELINE_BUFFER_SIZE) || 5000;
+
+// tracking_hit covers every other pixel vendor the extension detects (data.vendor says which)
+export const TIMELINE_EVENT_KINDS = ["ga4_hit", "meta_pixel_hit", "tracking_hit", "datalayer_push", "navigation"] as const;
+export type TimelineEventKind = (typeof TIMELINE_EVENT_KINDS)[number];
+
+export interface TimelineEvent {
+  cursor: number; // strictly increasing for the lifetime of this server process
+  kind: TimelineEventKind;
+  eventId: string | null; // id assigned by the extension
+  sessionId: string;
+  sessionName: string;
+  clientId: string | null;
+  tabId: number | null;
+  pageUrl: string | null;
+  timestamp: number; // capture time in the browser
+  receivedAt: number;
+  data: any;
+}
+
+export interface TimelineQuery {
+  since?: number; // exclusive cursor
+  kinds?: TimelineEventKind[];
+  session?: string; // session id, client id or name
+  scope?: "currentPage" | "session"; // currentPage: only events since each browser's last navigation
+  limit?: number;
+}
+
+const events: TimelineEvent[] = [];
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per waiting tool call / resource set
+let lastCursor = 0;
+
+export function isTimelineEventKind(kind: any): kind is TimelineEventKind {
+  return TIMELINE_EVENT_KINDS.includes(kind);
+}
+
+export function appendTimelineEvent(event: Omit<TimelineEvent, "cursor" | "receivedAt">): TimelineEvent {
+  const stored: TimelineEvent = { ...event, cursor: ++lastCursor, receivedAt: Date.now() };
+  events.push(stored);
+  if (events.length > TIMELINE_CAPACITY) {
+    events.splice(0, events.length - TIMELINE_CAPACITY);
+  }
+  emitter.emit("event", stored);
+  return stored;
+}
+
+// Ingest a TRACKING_EVENTS frame pushed by an authenticated extension session
+export function handleTrackingEvents(session: BrowserSession, message: any) {
+  const incoming = Array.isArray(message.events) ? message.events : [];
+  for (const raw of incoming) {
+    if (!raw || !isTimelineEventKind(raw.kind)) {
+      logWarn(`Ignoring tracking event with unknown kind: ${raw?.kind}`);
+      continue;
+    }
+    let data = raw.data ?? null;
+    if (raw.kind === "ga4_hit" && data?.parameters) {
+      data = { ...data, decoded: decodeGa4Params(data.parameters) };
+    }
+    appendTimelineEvent({
+      kind: raw.kind,
+      eventId: typeof raw.eventId === "string" ? raw.eventId : null,
+      sessionId: session.id,
+      sessionName: session.name,
+      clientId: session.clientId,
+      tabId: typeof raw.tabId === "number" ? raw.tabId : null,
+      pageUrl: typeof raw.pageUrl === "string" ? raw.pageUrl : null,
+      timestamp: typeof raw.timestamp === "number" ? raw.timestamp : Date.now(),
+      data,
+    });
+  }
+}
+
+export function matchesSession(event: TimelineEvent, session?: string): boolean {
+  if (!session) return true;
+  const wanted = session.trim().toLowerCase();
+  return (
+    event.sessionId === session ||
+    event.clientId === session ||
+    event.sessionName.toLowerCase() === wanted
+  );
+}
+
+export function queryTimeline(query: TimelineQuery = {}) {
+  const { since = 0, kinds, session, scope = "session", limit = 200 } = query;
+  const oldestCursor = events.length ? events[0].cursor : lastCursor + 1;
+
+  const pageStart = new Map<string, number>(); // sessionId -> cursor of its latest navigation
+  if (scope === "currentPage") {
+    for (const e of events) if (e.kind === "navigation") pageStart.set(e.sessionId, e.cursor);
+  }
+
+  const matching = events.filter(
+    (e) =>
+      e.cursor > since &&
+      e.cursor >= (pageStart.get(e.sessionId) ?? 0) &&
+      (!kinds?.length || kinds.includes(e.kind)) &&
+      matchesSession(e, session),
+  );
+  const page = matching.slice(0, limit);
+
+  return {
+    events: page,
+    // Pass nextCursor back as "since" to continue where this page ended
+    nextCursor: page.length ? page[page.length - 1].cursor : Math.max(since, lastCursor),
+    hasMore: matching.length > page.length,
+    // Events between "since" and the oldest retained one were evicted from the buffer
+    truncated: since > 0 && since < oldestCursor - 1,
+    oldestCursor,
+    latestCursor: lastCursor,
+    capacity: TIMELINE_CAPACITY,
+  };
+}
+
+// The last `limit` events before a cursor, oldest first (context for a matched event)
+export function getEventsBefore(cursor: number, session?: string, limit: number = 10): TimelineEvent[] {
+  const before = events.filter((e) => e.cursor < cursor && matchesSession(e, session));
+  return limit > 0 ? before.slice(-limit) : [];
+}
+
+export function getLatestCursor(): number {
+  return lastCursor;
+}
+
+// Subscribe to new events; returns an unsubscribe function
+export function onTimelineEvent(listener: (event: TimelineEvent) => void): () => void {
+  emitter.on("event", listener);
+  return () => emitter.off("event", listener);
+}
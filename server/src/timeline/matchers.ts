@@ -0,0 +1,76 @@
+// matchers.ts - Match streamed hits and dataLayer pushes against an event name + parameter filter
+
+import type { TimelineEvent, TimelineEventKind } from "./eventBuffer.js";
+
+export const EVENT_SOURCES = ["ga4", "metaPixel", "dataLayer"] as const;
+export type EventSource = (typeof EVENT_SOURCES)[number];
+
+export const SOURCE_KINDS: Record<EventSource, TimelineEventKind> = {
+  ga4: "ga4_hit",
+  metaPixel: "meta_pixel_hit",
+  dataLayer: "datalayer_push",
+};
+
+export interface EventMatcher {
+  eventName?: string;
+  params?: Record<string, string | number | boolean>;
+}
+
+// Resolve a dotted path ("ecommerce.items.0.item_id") inside an object
+export function getPath(value: any, path: string): any {
+  let current = value;
+  for (const part of path.split(".")) {
+    if (current === null || current === undefined || typeof current !== "object") return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+// GA4 sends custom parameters as ep.<name> / epn.<name> and user properties as up.<name> / upn.<name>
+function lookupGa4Param(hit: any, key: string): any {
+  const decoded = hit?.decoded;
+  if (decoded?.eventParams?.[key] !== undefined) return decoded.eventParams[key];
+  if (decoded?.userProperties?.[key] !== undefined) return decoded.userProperties[key];
+  const params = hit?.parameters || {};
+  for (const candidate of [key, `ep.${key}`, `epn.${key}`, `up.${key}`, `upn.${key}`]) {
+    if (params[candidate] !== undefined) return params[candidate];
+  }
+  return undefined;
+}
+
+// Meta Pixel sends custom data as cd[<name>]
+function lookupMetaParam(hit: any, key: string): any {
+  const params = hit?.parameters || {};
+  if (params[key] !== undefined) return params[key];
+  if (params[`cd[${key}]`] !== undefined) return params[`cd[${key}]`];
+  return hit?.customData?.[`cd[${key}]`];
+}
+
+function sameValue(actual: any, expected: string | number | boolean): boolean {
+  if (actual === undefined || actual === null) return false;
+  if (typeof actual === "object") return false;
+  // Hits carry every value as a string, so "49.99" must match 49.99
+  return String(actual) === String(expected);
+}
+
+export function eventNameOf(source: EventSource, data: any): string | undefined {
+  return source === "dataLayer" ? data?.event : data?.eventName;
+}
+
+export function matchesEvent(source: EventSource, data: any, matcher: EventMatcher): boolean {
+  if (matcher.eventName && eventNameOf(source, data) !== matcher.eventName) return false;
+
+  for (const [key, expected] of Object.entries(matcher.params || {})) {
+    const actual =
+      source === "ga4" ? lookupGa4Param(data, key) : source === "metaPixel" ? lookupMetaParam(data, key) : getPath(data, key);
+    if (!sameValue(actual, expected)) return false;
+  }
+  return true;
+}
+
+export function matchesTimelineEvent(event: TimelineEvent, source: EventSource, matcher: EventMatcher): boolean {
+  if (event.kind !== SOURCE_KINDS[source]) return false;
+  // Streamed dataLayer pushes wrap the pushed object in data.push
+  const data = source === "dataLayer" ? event.data?.push : event.data;
+  return matchesEvent(source, data, matcher);
+}
@@ -0,0 +1,40 @@
+// browserSessions.ts - List connected browser sessions MCP tool
+
+import { PAIRING_INSTRUCTIONS } from "../connection/pairing.js";
+import { getSessions } from "../connection/websocket.js";
+
+export function registerBrowserSessionsTool(mcpServer: any) {
+  mcpServer.tool(
+    "listBrowserSessions",
+    "List every browser (extension instance) currently connected to this server, with its session id, name and attached tab. Pass a session id or name as the \"session\" argument of other tools to choose which browser they query.",
+    {},
+    async (): Promise<any> => {
+      const now = Date.now();
+      const list = getSessions().map((s) => ({
+        id: s.id,
+        name: s.name,
+        paired: s.authenticated,
+        attachedTab: s.attachedTab,
+        connectedAt: new Date(s.connectedAt).toISOString(),
+        idleSeconds: Math.round((now - s.lastActivity) / 1000),
+        isHealthy: s.isHealthy,
+        userAgent: s.userAgent,
+      }));
+
+      const result: Record<string, any> = { sessions: list, count: list.length };
+      if (list.some((s) => !s.paired)) {
+        result.pairing = `Unpaired browsers cannot be queried. ${PAIRING_INSTRUCTIONS}`;
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+            _meta: { sessionCount: list.length },
+          },
+        ],
+      };
+    }
+  );
+}
@@ -0,0 +1,174 @@
+// consentState.ts - Consent Mode, TCF and GPP state of the attached tab MCP tool
+
+import { requestFromExtension } from "../connection/websocket.js";
+import { CONSENT_SIGNALS, ConsentSignal, SignalState, decodeHitConsent } from "../decoders/consent.js";
+
+import { extensionErrorResult, scopeParam, sessionParam } from "./extensionTool.js";
+
+type ConsentState = Partial<Record<ConsentSignal, SignalState>>;
+
+// Merge gtag('consent', ...) commands in dataLayer order into per-signal default/update values
+function stateFromCommands(commands: any[]): ConsentState {
+  const state: ConsentState = {};
+  for (const { command, params } of commands) {
+    for (const signal of CONSENT_SIGNALS) {
+      const value = params?.[signal];
+      if (value !== "granted" && value !== "denied") continue;
+      const current = state[signal] || { default: null, update: null, effective: null };
+      if (command === "default") current.default = value;
+      else current.update = value;
+      current.effective = current.update ?? current.default;
+      state[signal] = current;
+    }
+  }
+  return state;
+}
+
+// google_tag_data.ics is what the Google tags actually used; fall back to the commands
+function currentState(page: any): ConsentState {
+  const state = stateFromCommands(page?.commands || []);
+  for (const signal of CONSENT_SIGNALS) {
+    const ics = page?.googleState?.[signal];
+    if (ics) state[signal] = { default: ics.default, update: ics.update, effective: ics.update ?? ics.default };
+  }
+  return state;
+}
+
+// A hit fired before consent if it was sent with a signal denied that was granted later on the
+// same page view: by a later hit, or (for the current page) by the page's current state
+function analyzeHits(hits: any[], grantedLater: Set<ConsentSignal>, consentModeUsed: boolean) {
+  const granted = new Set(grantedLater);
+  const analyzed = [];
+  const issues: any[] = [];
+
+  for (let i = hits.length - 1; i >= 0; i--) {
+    const hit = hits[i];
+    const consent = decodeHitConsent(hit.parameters);
+    const deniedThenGranted = consent
+      ? CONSENT_SIGNALS.filter((signal) => consent[signal].effective === "denied" && granted.has(signal))
+      : [];
+    for (const signal of CONSENT_SIGNALS) {
+      if (consent?.[signal].effective === "granted") granted.add(signal);
+    }
+
+    const eventName = hit.eventName || hit.parameters?.en || null;
+    if (deniedThenGranted.length) {
+      issues.push({
+        type: "fired_before_consent",
+        severity: "warning",
+        eventId: hit.eventId ?? null,
+        eventName,
+        signals: deniedThenGranted,
+        message: `${eventName || "hit"} was sent with ${deniedThenGranted.join(", ")} denied before consent was granted`,
+      });
+    } else if (!consent && consentModeUsed) {
+      issues.push({
+        type: "no_consent_signals",
+        severity: "info",
+        eventId: hit.eventId ?? null,
+        eventName,
+        message: `${eventName || "hit"} carries no gcs/gcd although Consent Mode commands are present`,
+      });
+    }
+
+    analyzed.unshift({
+      eventId: hit.eventId ?? null,
+      eventName,
+      measurementId: hit.parameters?.tid ?? null,
+      timestamp: hit.timestamp,
+      pageUrl: hit.pageUrl ?? null,
+      gcs: hit.parameters?.gcs ?? null,
+      gcd: hit.parameters?.gcd ?? null,
+      consent,
+      firedBeforeConsent: deniedThenGranted.length > 0,
+    });
+  }
+  return { hits: analyzed, issues: issues.reverse() };
+}
+
+function pageIssues(page: any): any[] {
+  const commands: any[] = page?.commands || [];
+  const defaults = commands.filter((c) => c.command === "default");
+  const issues = [];
+  if (!defaults.length && (commands.length || page?.tcf || page?.gpp)) {
+    issues.push({
+      type: "missing_consent_default",
+      severity: "error",
+      message: "No gtag('consent', 'default', ...) command was found in the dataLayer; tags may fire before the CMP sets consent",
+    });
+  }
+  if (defaults.length && page?.gtmLoadedIndex !== null && page?.gtmLoadedIndex !== undefined && defaults[0].index > page.gtmLoadedIndex) {
+    issues.push({
+      type: "default_after_container_load",
+      severity: "warning",
+      message: `consent default was pushed at dataLayer index ${defaults[0].index}, after gtm.js at index ${page.gtmLoadedIndex}`,
+    });
+  }
+  return issues;
+}
+
+export function registerConsentStateTool(mcpServer: any) {
+  mcpServer.tool(
+    "getConsentState",
+    "Inspect consent on the human's attached browser tab: gtag consent default/update commands in window.dataLayer, the current Consent Mode state per signal (ad_storage, analytics_storage, ad_user_data, ad_personalization), the IAB TCF (__tcfapi) and GPP (__gpp) state when a CMP is present, and the gcs/gcd parameters of every captured GA4 hit decoded into granted/denied per signal. Issues flag hits that fired before consent was granted, hits without consent signals, and a missing or late consent default.",
+    { ...scopeParam, ...sessionParam },
+    async (args: any, extra: any): Promise<any> => {
+      try {
+        const page: any = await requestFromExtension("REQUEST_CONSENT_STATE", {
+          session: args?.session,
+          signal: extra?.signal,
+          timeoutMs: 10_000,
+        });
+        const ga4: any = await requestFromExtension("REQUEST_GA4_HITS", {
+          params: args?.scope ? { scope: args.scope } : {},
+          session: args?.session,
+          signal: extra?.signal,
+        });
+
+        const state = currentState(page);
+        const grantedNow = new Set(CONSENT_SIGNALS.filter((signal) => state[signal]?.effective === "granted"));
+        const consentModeUsed = (page?.commands || []).length > 0;
+
+        // Only the latest page view can be compared with the page's current state
+        const pageViews: any[] = ga4?.pageViews || [{ url: ga4?.pageUrl ?? null, hits: ga4?.hits || [] }];
+        const issues = pageIssues(page);
+        const analyzedPageViews = pageViews.map((pageView, index) => {
+          const isCurrent = index === pageViews.length - 1;
+          const result = analyzeHits(pageView.hits || [], isCurrent ? grantedNow : new Set(), consentModeUsed);
+          issues.push(...result.issues.map((issue) => ({ ...issue, pageUrl: pageView.url ?? null })));
+          return { id: pageView.id, url: pageView.url ?? null, hits: result.hits };
+        });
+
+        const result = {
+          pageUrl: page?.url ?? null,
+          consentMode: {
+            commands: page?.commands || [],
+            currentState: state,
+            gtmLoadedIndex: page?.gtmLoadedIndex ?? null,
+          },
+          cmp: { tcf: page?.tcf ?? null, gpp: page?.gpp ?? null },
+          ...(ga4?.pageViews ? { pageViews: analyzedPageViews } : { hits: analyzedPageViews[0].hits }),
+          issues,
+          history: ga4?.history,
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+              _meta: {
+                commandCount: result.consentMode.commands.length,
+                cmpPresent: Boolean(page?.tcf || page?.gpp),
+                hitsCount: analyzedPageViews.reduce((sum, pageView) => sum + pageView.hits.length, 0),
+                firedBeforeConsentCount: issues.filter((issue) => issue.type === "fired_before_consent").length,
+              },
+            },
+          ],
+        };
+      } catch (error) {
+        return extensionErrorResult(error, "consent state");
+      }
+    }
+  );
+}
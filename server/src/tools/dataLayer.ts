@@ -1,87 +1,28 @@
 // dataLayer.ts - DataLayer MCP tool
 
-import { v4 as uuidv4 } from "uuid";
-import WebSocket from "ws";
-import { connectionState, wsSend } from "../connection/websocket.js";
-import { logError } from "../utils/logging.js";
-import { amIActiveInstance, getInstanceInfo } from "../utils/instance.js";
+import { z } from "zod";
 
-export function registerDataLayerTool(mcpServer: any) {
-  mcpServer.tool(
-    "getDataLayer",
-    "Capture and return the full contents of window.dataLayer from the human's attached browser tab via the connected extension, allowing inspection of all GTM events.",
-    {},
-    async (): Promise<any> => {
-      if (!amIActiveInstance()) {
-        const info = getInstanceInfo();
-        throw new Error(
-          `This server instance is not active (instanceId=${info.instanceId}). A newer instance likely took over. Please use the latest server instance.`
-        );
-      }
-      const socket = connectionState.socket;
-      if (!socket || socket.readyState !== WebSocket.OPEN) {
-        throw new Error("Chrome extension is not connected. Please ensure the extension is installed and a tab is attached.");
-      }
-
-      const requestId = uuidv4();
-      const payload = {
-        type: "REQUEST_DATALAYER",
-        requestId,
-        timestamp: Date.now(),
-      } as const;
-
-      if (!wsSend(socket, payload)) {
-        throw new Error("Failed to send request to extension (inactive server or no connection).");
-      }
+import { registerExtensionTool } from "./extensionTool.js";
 
-      return new Promise<any>((resolve) => {
-        const timeout = setTimeout(() => {
-          resolve({
-            content: [
-              {
-                type: "text",
-                text: "Request timed out after 30 seconds",
-              },
-            ],
-            isError: true,
-          });
-        }, 30000);
-
-        const messageHandler = (data: any) => {
-          try {
-            const msg = JSON.parse(data.toString());
-            if (msg.type === "DATALAYER_RESPONSE" && msg.requestId === requestId) {
-              clearTimeout(timeout);
-              socket.off("message", messageHandler);
-              
-              if (msg.payload?.error) {
-                resolve({
-                  content: [
-                    {
-                      type: "text",
-                      text: String(msg.payload.error),
-                    },
-                  ],
-                  isError: true,
-                });
-              } else {
-                resolve({
-                  content: [
-                    {
-                      type: "text",
-                      text: JSON.stringify(msg.payload, null, 2),
-                    },
-                  ],
-                });
-              }
-            }
-          } catch (error) {
-            logError("Error parsing response:", error);
-          }
-        };
-
-        socket.on("message", messageHandler);
-      });
-    }
-  );
+export function registerDataLayerTool(mcpServer: any) {
+  registerExtensionTool(mcpServer, {
+    name: "getDataLayer",
+    description:
+      "Capture and return the full contents of window.dataLayer from the human's attached browser tab via the connected extension, allowing inspection of all GTM events. Data layers renamed through the GTM/gtag snippet's l parameter (e.g. dataLayerGTM) or used by a second container are found too: dataLayers lists every layer registered with google_tag_manager or gtag, each labelled with the container/tag IDs reading it. Pass variableName to read one specific layer.",
+    requestType: "REQUEST_DATALAYER",
+    label: "dataLayer",
+    timeoutMs: 30_000,
+    params: {
+      variableName: z
+        .string()
+        .regex(/^[A-Za-z_$][\w$]*$/, "Must be a JavaScript variable name")
+        .optional()
+        .describe("Global variable holding the data layer, e.g. \"dataLayerGTM\" or \"adobeDataLayer\". Defaults to window.dataLayer plus every other detected layer."),
+    },
+    meta: (payload) => ({
+      name: payload?.name ?? null,
+      itemCount: payload?.itemCount ?? 0,
+      dataLayers: (payload?.dataLayers || []).map((layer: any) => layer.name),
+    }),
+  });
 }
@@ -0,0 +1,29 @@
+// dataLayerPushes.ts - Live dataLayer.push recordings MCP tool
+
+import { z } from "zod";
+
+import { registerExtensionTool } from "./extensionTool.js";
+
+export function registerDataLayerPushesTool(mcpServer: any) {
+  registerExtensionTool(mcpServer, {
+    name: "getNewDataLayerPushes",
+    description:
+      "Get dataLayer.push calls recorded live on the human's attached browser tab since a cursor (or since the last call when no cursor is given), on window.dataLayer and on every layer GTM or gtag.js reads under another name (the snippet's l parameter, e.g. dataLayerGTM). Each push has its layer, its index in that layer, timestamp, page URL, a sanitized copy of the pushed object (gtag() commands are flagged with isGtagCommand), and a trimmed stack trace plus source script URL showing what pushed it. Requires \"Record dataLayer pushes\" to be enabled in the extension popup (takes effect on the next page load). Pass the returned nextCursor as since to continue.",
+    requestType: "REQUEST_NEW_DATALAYER_PUSHES",
+    label: "dataLayer pushes",
+    params: {
+      since: z
+        .number()
+        .int()
+        .min(0)
+        .optional()
+        .describe("Only return pushes after this cursor (nextCursor of a previous call). Defaults to the cursor of the last call."),
+    },
+    meta: (payload) => ({
+      pushesCount: (payload?.pushes || []).length,
+      nextCursor: payload?.nextCursor ?? null,
+      droppedPushes: payload?.droppedPushes || 0,
+      cursorReset: payload?.cursorReset || false,
+    }),
+  });
+}
@@ -0,0 +1,38 @@
+// dataModel.ts - GTM computed data model MCP tool
+
+import { z } from "zod";
+
+import { registerExtensionTool } from "./extensionTool.js";
+
+export function registerDataModelTool(mcpServer: any) {
+  registerExtensionTool(mcpServer, {
+    name: "getDataModel",
+    description:
+      "Read GTM's computed data model on the human's attached browser tab: the merged state that Data Layer Variables actually read, after recursive merges, dotted keys and values overwritten by later pushes, including gtm.uniqueEventId. Without pushIndex, values come live from each container via google_tag_manager[containerId].dataLayer.get(key) (source \"live\"). With pushIndex, the model right after that dataLayer entry is rebuilt by replaying the pushes with GTM's merge rules (source \"replay\"). Pass keys such as [\"ecommerce.value\"] to answer \"what would {{DLV - ecommerce.value}} return?\" instead of fetching the whole model.",
+    requestType: "REQUEST_DATA_MODEL",
+    label: "GTM data model",
+    params: {
+      keys: z
+        .array(z.string().min(1))
+        .optional()
+        .describe("Data Layer Variable names (dotted paths) to read, e.g. [\"ecommerce.value\", \"user.id\"]. Defaults to every top-level key ever pushed."),
+      pushIndex: z
+        .number()
+        .int()
+        .min(0)
+        .optional()
+        .describe("dataLayer index (see getDataLayer / getNewDataLayerPushes) to evaluate the model at, right after that push was processed."),
+      containerId: z.string().optional().describe("Only read this container's model, e.g. \"GTM-ABC123\"."),
+      variableName: z
+        .string()
+        .regex(/^[A-Za-z_$][\w$]*$/, "Must be a JavaScript variable name")
+        .optional()
+        .describe("Data layer variable to replay (default \"dataLayer\"), for renamed layers such as \"dataLayerGTM\"."),
+    },
+    meta: (payload) => ({
+      source: payload?.source ?? null,
+      pushCount: payload?.pushCount ?? 0,
+      containers: (payload?.containers || []).map((container: any) => container.containerId),
+    }),
+  });
+}
@@ -0,0 +1,130 @@
+// ecommerceAudit.ts - Ecommerce funnel consistency audit across dataLayer, GA4 and Meta Pixel MCP tool
+
+import { z } from "zod";
+
+import { decodeGa4Params } from "../decoders/ga4.js";
+import { decodeMetaPixelParams } from "../decoders/metaPixel.js";
+import { EVENT_SOURCES, EventSource } from "../timeline/matchers.js";
+import {
+  EcommerceRecord,
+  auditEcommerceRecords,
+  ecommerceFromGa4Hit,
+  ecommerceFromMetaPixelHit,
+  ecommerceFromPush,
+} from "../validation/ecommerce.js";
+
+import { extensionErrorResult, scopeParam, sessionParam } from "./extensionTool.js";
+import { fetchDataLayerPushes, fetchHits } from "./trackingData.js";
+
+function byTimestamp(a: EcommerceRecord, b: EcommerceRecord) {
+  return (a.timestamp ?? 0) - (b.timestamp ?? 0);
+}
+
+async function collectDataLayer(args: any, signal?: AbortSignal): Promise<EcommerceRecord[]> {
+  const { pushes } = await fetchDataLayerPushes(args, signal);
+  return pushes
+    .map(({ push, layer, index, pageUrl, timestamp, origin }) => ecommerceFromPush(push, { pageUrl, timestamp, ref: { layer, index, origin } }))
+    .filter((record): record is EcommerceRecord => record !== null);
+}
+
+async function collectGa4(args: any, signal?: AbortSignal): Promise<EcommerceRecord[]> {
+  const { hits } = await fetchHits("REQUEST_GA4_HITS", args, signal);
+  return hits
+    .filter((hit) => !hit.vendor || hit.vendor === "ga4")
+    .map((hit) =>
+      ecommerceFromGa4Hit(decodeGa4Params(hit.parameters || {}), {
+        pageUrl: hit.pageUrl,
+        timestamp: hit.timestamp ?? null,
+        ref: { eventId: hit.eventId ?? null },
+      }),
+    )
+    .filter((record): record is EcommerceRecord => record !== null)
+    .sort(byTimestamp);
+}
+
+async function collectMetaPixel(args: any, signal?: AbortSignal): Promise<EcommerceRecord[]> {
+  const { hits } = await fetchHits("REQUEST_META_PIXEL_HITS", args, signal);
+  return hits
+    .map((hit) => {
+      const decoded = decodeMetaPixelParams(hit.parameters || {});
+      return ecommerceFromMetaPixelHit(decoded, {
+        pageUrl: hit.pageUrl,
+        timestamp: hit.timestamp ?? null,
+        ref: { eventId: hit.eventId ?? null, eid: decoded.eventId },
+      });
+    })
+    .filter((record): record is EcommerceRecord => record !== null)
+    .sort(byTimestamp);
+}
+
+const COLLECTORS: Record<EventSource, (args: any, signal?: AbortSignal) => Promise<EcommerceRecord[]>> = {
+  dataLayer: collectDataLayer,
+  ga4: collectGa4,
+  metaPixel: collectMetaPixel,
+};
+
+export function registerEcommerceAuditTool(mcpServer: any) {
+  mcpServer.tool(
+    "auditEcommerce",
+    "Audit ecommerce tracking on the human's attached browser tab by comparing the same events across the dataLayer (GA4-style `ecommerce` pushes, gtag('event', ...) commands and Universal Analytics enhanced ecommerce), GA4 hits (add_to_cart, begin_checkout, purchase) and Meta Pixel hits (AddToCart, InitiateCheckout, Purchase). Checks each event's items, quantities and prices against its value, currency presence and agreement across sources, value / quantity / item ID agreement for the same transaction_id, duplicate transaction IDs, and funnel order (steps after a purchase on the same page; with scope \"session\", also skipped steps). Each GA4 measurement ID and Meta pixel ID counts as its own source, so one purchase sent to two properties or pixels is not a duplicate. Each issue names the sources and values that disagree and where to find them (dataLayer index, hit eventId).",
+    {
+      ...scopeParam,
+      sources: z
+        .array(z.enum(EVENT_SOURCES))
+        .optional()
+        .describe("Sources to compare (default all): \"dataLayer\", \"ga4\", \"metaPixel\"."),
+      ...sessionParam,
+    },
+    async (args: any, extra: any): Promise<any> => {
+      try {
+        const sources: EventSource[] = args?.sources?.length ? args.sources : [...EVENT_SOURCES];
+        const records: EcommerceRecord[] = [];
+        const sourceErrors: Record<string, string> = {};
+        let firstError: unknown = null;
+        for (const source of sources) {
+          try {
+            records.push(...(await COLLECTORS[source](args, extra?.signal)));
+          } catch (error) {
+            firstError ??= error;
+            sourceErrors[source] = error instanceof Error ? error.message : String(error);
+          }
+        }
+        if (Object.keys(sourceErrors).length === sources.length) throw firstError;
+
+        const { issues, transactions } = auditEcommerceRecords(records, { sessionScope: args?.scope === "session" });
+        const events: Record<string, Record<string, number>> = {};
+        for (const record of records) {
+          events[record.source] ||= {};
+          events[record.source][record.step] = (events[record.source][record.step] || 0) + 1;
+        }
+        const issuesByType: Record<string, number> = {};
+        for (const issue of issues) issuesByType[issue.type] = (issuesByType[issue.type] || 0) + 1;
+
+        const result = {
+          summary: {
+            events,
+            transactions: transactions.length,
+            errors: issues.filter((issue) => issue.severity === "error").length,
+            warnings: issues.filter((issue) => issue.severity === "warning").length,
+            issuesByType,
+          },
+          transactions,
+          issues,
+          ...(Object.keys(sourceErrors).length ? { sourceErrors } : {}),
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+              _meta: result.summary,
+            },
+          ],
+        };
+      } catch (error) {
+        return extensionErrorResult(error, "ecommerce data");
+      }
+    }
+  );
+}
@@ -0,0 +1,96 @@
+// extensionTool.ts - Shared registration for tools that forward a request to the extension
+
+import { z } from "zod";
+
+import { ExtensionRequestError, requestFromExtension } from "../connection/websocket.js";
+import { logError } from "../utils/logging.js";
+
+// Optional selector accepted by every tool that talks to a browser
+export const sessionParam = {
+  session: z
+    .string()
+    .optional()
+    .describe(
+      "Browser session to query (session id or name from listBrowserSessions). Required when several browsers are connected.",
+    ),
+};
+
+// History scope accepted by the hit tools
+export const scopeParam = {
+  scope: z
+    .enum(["currentPage", "session"])
+    .optional()
+    .describe(
+      "\"currentPage\" (default) returns hits of the latest page view; \"session\" returns every retained page view of the tab, each with its hits, so funnels spanning several pages and SPA routes stay visible.",
+    ),
+};
+
+export interface ExtensionToolDefinition {
+  name: string;
+  description: string;
+  requestType: string; // e.g. REQUEST_GA4_HITS; the response type is derived from it
+  label: string; // human-readable name used in error messages, e.g. "GA4 hits"
+  params?: Record<string, z.ZodTypeAny>; // extra arguments, forwarded to the extension as request fields
+  requestParams?: Record<string, any>; // fixed request fields, e.g. a vendor filter
+  timeoutMs?: number;
+  timeoutHint?: string; // replaces the generic "extension may be busy" hint on timeout
+  transform?: (payload: any, args: any) => any; // e.g. add decoded views before formatting
+  format?: (payload: any) => string;
+  meta?: (payload: any) => Record<string, any>;
+  onResult?: (payload: any) => void; // e.g. cache the payload for a resource
+}
+
+// Convert a broker failure into the MCP error result shape used by all tools
+export function extensionErrorResult(error: unknown, label: string, timeoutHint?: string): any {
+  if (error instanceof ExtensionRequestError) {
+    const text =
+      error.reason === "timeout"
+        ? `Timeout waiting for ${label} from extension. ${timeoutHint || "The extension may be busy or disconnected."}`
+        : error.message;
+    const meta: Record<string, any> = { isError: true, connectionState: error.reason };
+    if (error.requestId) meta.requestId = error.requestId;
+    if (error.payload?.details) meta.details = error.payload.details;
+    return {
+      content: [{ type: "text", text, _meta: meta }],
+      isError: true,
+    };
+  }
+
+  logError(`Unexpected error while requesting ${label}:`, error);
+  return {
+    content: [{ type: "text", text: error instanceof Error ? error.message : String(error) }],
+    isError: true,
+  };
+}
+
+export function registerExtensionTool(mcpServer: any, definition: ExtensionToolDefinition) {
+  const { name, description, requestType, label, params, requestParams: fixedParams, timeoutMs, timeoutHint, transform, format, meta, onResult } = definition;
+
+  mcpServer.tool(name, description, { ...params, ...sessionParam }, async (args: any, extra: any): Promise<any> => {
+    try {
+      const requestParams: Record<string, any> = { ...fixedParams };
+      for (const key of Object.keys(params || {})) {
+        if (args?.[key] !== undefined) requestParams[key] = args[key];
+      }
+      const response = await requestFromExtension(requestType, {
+        params: requestParams,
+        timeoutMs,
+        signal: extra?.signal,
+        session: args?.session,
+      });
+      const payload = transform ? transform(response, args) : response;
+      onResult?.(payload);
+      return {
+        content: [
+          {
+            type: "text",
+            text: format ? format(payload) : JSON.stringify(payload, null, 2),
+            ...(meta ? { _meta: meta(payload) } : {}),
+          },
+        ],
+      };
+    } catch (error) {
+      return extensionErrorResult(error, label, timeoutHint);
+    }
+  });
+}
@@ -0,0 +1,27 @@
+// googleAdsHits.ts - Google Ads conversion and remarketing hits MCP tool
+
+import { registerExtensionTool, scopeParam } from "./extensionTool.js";
+
+function summarize(payload: any) {
+  const hits: any[] = payload?.hits || (payload?.pageViews || []).flatMap((pageView: any) => pageView.hits || []);
+  const conversions = hits.filter((hit) => hit.type === "conversion");
+  return {
+    hitsCount: hits.length,
+    conversionCount: conversions.length,
+    enhancedConversionsCount: conversions.filter((hit) => hit.enhancedConversions?.present).length,
+    historyComplete: payload?.history?.complete ?? true,
+  };
+}
+
+export function registerGoogleAdsHitsTool(mcpServer: any) {
+  registerExtensionTool(mcpServer, {
+    name: "getGoogleAdsHits",
+    description:
+      "Get Google Ads hits recorded from the human's attached browser tab: conversions (googleadservices.com/pagead/conversion, google.com/pagead/1p-conversion), view-through conversions and remarketing (googleads.g.doubleclick.net). Each hit has conversionId, conversionLabel, value, currency, transactionId, remarketingData, and enhancedConversions { present, fields, mode } showing whether hashed Enhanced Conversions user data (em) was attached. Use it to verify purchase conversions without Tag Assistant.",
+    requestType: "REQUEST_TRACKING_HITS",
+    label: "Google Ads hits",
+    params: scopeParam,
+    requestParams: { vendor: "googleAds" },
+    meta: summarize,
+  });
+}
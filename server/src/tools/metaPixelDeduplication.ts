@@ -0,0 +1,120 @@
+// metaPixelDeduplication.ts - Meta Pixel eid / Conversions API deduplication check MCP tool
+
+import { DecodedMetaPixelHit, decodeMetaPixelParams } from "../decoders/metaPixel.js";
+
+import { extensionErrorResult, scopeParam, sessionParam } from "./extensionTool.js";
+import { PushRecord, fetchDataLayerPushes, fetchHits } from "./trackingData.js";
+
+const MAX_SEARCH_DEPTH = 6;
+
+// Dotted path of the first value equal to `needle` inside a push, e.g. "ecommerce.event_id"
+function findValuePath(value: any, needle: string, path = "", depth = 0): string | null {
+  if (value === null || value === undefined || depth > MAX_SEARCH_DEPTH) return null;
+  if (typeof value !== "object") return String(value) === needle ? path || "(value)" : null;
+  for (const [key, child] of Object.entries(value)) {
+    const found = findValuePath(child, needle, path ? `${path}.${key}` : key, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+// One pixel sends each event once per eventID; the same eventID on another pixel is the same event
+function dedupKey(decoded: DecodedMetaPixelHit): string {
+  return `${decoded.pixelId ?? ""}|${decoded.eventName ?? ""}|${decoded.eventId}`;
+}
+
+export function registerMetaPixelDeduplicationTool(mcpServer: any) {
+  mcpServer.tool(
+    "checkMetaPixelDeduplication",
+    "Check browser ↔ Conversions API deduplication for the Meta Pixel hits recorded on the human's attached browser tab. Every hit's eid (eventID) is checked for presence and uniqueness per pixel and event name (the same eid on two pixels is one event) and paired with the dataLayer push that carries the same value (where a server-side / CAPI tag would read it), searching the current window.dataLayer and, with scope \"session\", the pushes the dataLayer push hook recorded on earlier pages. Issues: missing_event_id, duplicate_event_id, event_id_not_in_datalayer.",
+    { ...scopeParam, ...sessionParam },
+    async (args: any, extra: any): Promise<any> => {
+      try {
+        const { hits, history } = await fetchHits("REQUEST_META_PIXEL_HITS", args, extra?.signal);
+        let pushes: PushRecord[] = [];
+        let dataLayerError: string | null = null;
+        try {
+          ({ pushes } = await fetchDataLayerPushes(args, extra?.signal));
+        } catch (error) {
+          dataLayerError = error instanceof Error ? error.message : String(error);
+        }
+
+        const eidCounts = new Map<string, number>();
+        const decodedHits = hits.map((hit) => decodeMetaPixelParams(hit.parameters || {}));
+        for (const decoded of decodedHits) {
+          if (decoded.eventId) eidCounts.set(dedupKey(decoded), (eidCounts.get(dedupKey(decoded)) || 0) + 1);
+        }
+
+        const issues: any[] = [];
+        const entries = hits.map((hit, i) => {
+          const decoded = decodedHits[i];
+          const eid = decoded.eventId;
+          const eidCount = eid ? eidCounts.get(dedupKey(decoded)) || 0 : 0;
+          let dataLayerMatch = null;
+          if (eid) {
+            for (const candidate of pushes) {
+              const path = findValuePath(candidate.push, eid);
+              if (path) {
+                dataLayerMatch = {
+                  layer: candidate.layer,
+                  index: candidate.index,
+                  path,
+                  event: candidate.push?.event ?? null,
+                  pageUrl: candidate.pageUrl,
+                  source: candidate.origin,
+                };
+                break;
+              }
+            }
+          }
+
+          const base = { eventName: decoded.eventName, pixelId: decoded.pixelId, eid, timestamp: hit.timestamp };
+          if (!eid) {
+            issues.push({ ...base, type: "missing_event_id", severity: "warning", message: `${decoded.eventName || "hit"} has no eid, so the Conversions API cannot deduplicate it` });
+          } else if (eidCount > 1) {
+            issues.push({ ...base, type: "duplicate_event_id", severity: "error", message: `eid ${eid} is used by ${eidCount} ${decoded.eventName || "hit"} hits to pixel ${decoded.pixelId}; each event needs its own ID` });
+          }
+          if (eid && !dataLayerMatch && !dataLayerError) {
+            issues.push({ ...base, type: "event_id_not_in_datalayer", severity: "info", message: `eid ${eid} of ${decoded.eventName || "hit"} was not found in any dataLayer push` });
+          }
+
+          return {
+            ...base,
+            pageUrl: hit.pageUrl ?? null,
+            transport: hit.transport || (hit.serverSide ? "server-side" : "direct"),
+            eidPresent: Boolean(eid),
+            eidUnique: eid ? eidCount === 1 : null,
+            dataLayerMatch,
+          };
+        });
+
+        const result = {
+          hits: entries,
+          summary: {
+            hits: entries.length,
+            withEventId: entries.filter((entry) => entry.eidPresent).length,
+            uniqueEventIds: new Set(decodedHits.map((decoded) => decoded.eventId).filter(Boolean)).size,
+            duplicatedEventIds: Array.from(eidCounts.values()).filter((count) => count > 1).length,
+            matchedInDataLayer: entries.filter((entry) => entry.dataLayerMatch).length,
+            pushesSearched: pushes.length,
+          },
+          ...(dataLayerError ? { dataLayerError } : {}),
+          issues,
+          history,
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+              _meta: { ...result.summary, issuesCount: issues.length },
+            },
+          ],
+        };
+      } catch (error) {
+        return extensionErrorResult(error, "Meta Pixel hits");
+      }
+    }
+  );
+}
@@ -1,169 +1,22 @@
 // metaPixelHits.ts - Meta Pixel hits MCP tool
 
-import { v4 as uuidv4 } from "uuid";
-import WebSocket from "ws";
-import { connectionState, wsSend } from "../connection/websocket.js";
-import { logError, logInfo, logWarn } from "../utils/logging.js";
-import { amIActiveInstance, getInstanceInfo } from "../utils/instance.js";
+import { withDecodedMetaPixelHits } from "../decoders/metaPixel.js";
 
-export function registerMetaPixelHitsTool(mcpServer: any) {
-  mcpServer.tool(
-    "getMetaPixelHits",
-    "Get all Meta Pixel (Facebook Pixel) hits recorded from the human's attached browser tab via the connected extension. Recording is automatic and resets on page navigation.",
-    {},
-    async (): Promise<any> => {
-      if (!amIActiveInstance()) {
-        const info = getInstanceInfo();
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Inactive server instance (instanceId=${info.instanceId}). A newer instance took over. Use the latest server.`,
-            },
-          ],
-          isError: true,
-        } as any;
-      }
-      const socket = connectionState.socket;
-      
-      if (!socket) {
-        return {
-          content: [
-            { 
-              type: "text", 
-              text: "Chrome extension is not connected. Please ensure the extension is installed and a tab is attached.",
-              _meta: { isError: true, connectionState: "no_socket" }
-            },
-          ],
-          isError: true,
-        } as any;
-      }
-      
-      if (socket.readyState !== WebSocket.OPEN) {
-        return {
-          content: [
-            { 
-              type: "text", 
-              text: `Chrome extension connection is not ready (state: ${socket.readyState}). Please try again in a moment.`,
-              _meta: { isError: true, connectionState: "not_open" }
-            },
-          ],
-          isError: true,
-        } as any;
-      }
-
-      const requestId = uuidv4();
-      const payload = { type: "REQUEST_META_PIXEL_HITS", requestId, timestamp: Date.now() } as const;
-      
-      if (!wsSend(socket, payload)) {
-        return {
-          content: [
-            { 
-              type: "text", 
-              text: "Failed to send request to extension. Connection may be unstable.",
-              _meta: { isError: true, connectionState: "send_failed" }
-            },
-          ],
-          isError: true,
-        } as any;
-      }
-
-      return new Promise<any>((resolve) => {
-        const timeout = setTimeout(() => {
-          cleanup();
-          logWarn(`Meta Pixel hits request ${requestId} timed out`);
-          resolve({
-            content: [
-              {
-                type: "text",
-                text: "Timeout waiting for Meta Pixel hits from extension. The extension may be busy or disconnected.",
-                _meta: { isError: true, requestId, connectionState: "timeout" },
-              },
-            ],
-            isError: true,
-          } as any);
-        }, 15000);
-
-        function handleMessage(data: any) {
-          try {
-            const msg = JSON.parse(data.toString());
-            if (msg.type === "META_PIXEL_HITS_RESPONSE" && msg.requestId === requestId) {
-              cleanup();
-              connectionState.lastActivity = Date.now();
-              
-              if (msg.payload?.error) {
-                logWarn(`Meta Pixel hits request ${requestId} returned error:`, msg.payload.error);
-                resolve({
-                  content: [
-                    { 
-                      type: "text", 
-                      text: String(msg.payload.error), 
-                      _meta: { isError: true, requestId } 
-                    },
-                  ],
-                  isError: true,
-                } as any);
-              } else {
-                logInfo(`Meta Pixel hits request ${requestId} completed successfully`);
-                resolve({
-                  content: [
-                    {
-                      type: "text",
-                      text: JSON.stringify(msg.payload, null, 2),
-                      _meta: { requestId, hitsCount: Array.isArray(msg.payload?.hits) ? msg.payload.hits.length : 0 }
-                    },
-                  ],
-                } as any);
-              }
-            }
-          } catch (err) {
-            logWarn("Received malformed JSON message:", err);
-          }
-        }
+import { registerExtensionTool, scopeParam } from "./extensionTool.js";
 
-        function handleClose() {
-          cleanup();
-          logWarn(`WebSocket closed while waiting for Meta Pixel hits request ${requestId}`);
-          resolve({
-            content: [
-              { 
-                type: "text", 
-                text: "Extension connection closed while processing request.", 
-                _meta: { isError: true, requestId, connectionState: "closed" } 
-              },
-            ],
-            isError: true,
-          } as any);
-        }
-
-        function handleError(error: any) {
-          cleanup();
-          logError(`WebSocket error while waiting for Meta Pixel hits request ${requestId}:`, error);
-          resolve({
-            content: [
-              { 
-                type: "text", 
-                text: "Extension connection error while processing request.", 
-                _meta: { isError: true, requestId, connectionState: "error" } 
-              },
-            ],
-            isError: true,
-          } as any);
-        }
-
-        function cleanup() {
-          clearTimeout(timeout);
-          if (socket) {
-            socket.off("message", handleMessage);
-            socket.off("close", handleClose);
-            socket.off("error", handleError);
-          }
-        }
-
-        socket.on("message", handleMessage);
-        socket.on("close", handleClose);
-        socket.on("error", handleError);
-      });
-    }
-  );
+export function registerMetaPixelHitsTool(mcpServer: any) {
+  registerExtensionTool(mcpServer, {
+    name: "getMetaPixelHits",
+    description:
+      "Get all Meta Pixel (Facebook Pixel) hits recorded from the human's attached browser tab via the connected extension. Recording is automatic and kept across navigations, grouped by page view (see scope). Each hit keeps the raw wire `parameters` and adds a `decoded` view: eventName, pixelId, eventId (eid, used for Conversions API deduplication), customData with cd[contents] / cd[content_ids] parsed from JSON and value / num_items as numbers, and userData per advanced-matching field (email, phone, …) flagged as \"hashed\" (SHA-256), \"plaintext\" or \"empty\". The `history` field says whether the extension's service worker restarted and lost hits (complete: false).",
+    requestType: "REQUEST_META_PIXEL_HITS",
+    label: "Meta Pixel hits",
+    params: scopeParam,
+    transform: withDecodedMetaPixelHits,
+    meta: (payload) => ({
+      hitsCount: payload?.totalHits ?? 0,
+      scope: payload?.scope,
+      historyComplete: payload?.history?.complete ?? true,
+    }),
+  });
 }
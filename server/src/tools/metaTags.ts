@@ -1,87 +1,14 @@
 // metaTags.ts - Meta tags MCP tool
 
-import { v4 as uuidv4 } from "uuid";
-import WebSocket from "ws";
-import { connectionState, wsSend } from "../connection/websocket.js";
-import { logError } from "../utils/logging.js";
-import { amIActiveInstance, getInstanceInfo } from "../utils/instance.js";
+import { registerExtensionTool } from "./extensionTool.js";
 
 export function registerMetaTagsTool(mcpServer: any) {
-  mcpServer.tool(
-    "getMetaTags",
-    "Extract and return all meta tags from the human's attached browser tab via the connected extension, including title, meta description, Open Graph, Twitter Card, and other SEO-related meta information.",
-    {},
-    async (): Promise<any> => {
-      if (!amIActiveInstance()) {
-        const info = getInstanceInfo();
-        throw new Error(
-          `This server instance is not active (instanceId=${info.instanceId}). A newer instance likely took over. Please use the latest server instance.`
-        );
-      }
-      const socket = connectionState.socket;
-      if (!socket || socket.readyState !== WebSocket.OPEN) {
-        throw new Error("Chrome extension is not connected. Please ensure the extension is installed and a tab is attached.");
-      }
-
-      const requestId = uuidv4();
-      const payload = {
-        type: "REQUEST_META_TAGS",
-        requestId,
-        timestamp: Date.now(),
-      } as const;
-
-      if (!wsSend(socket, payload)) {
-        throw new Error("Failed to send request to extension (inactive server or no connection).");
-      }
-
-      return new Promise<any>((resolve) => {
-        const timeout = setTimeout(() => {
-          resolve({
-            content: [
-              {
-                type: "text",
-                text: "Request timed out after 30 seconds",
-              },
-            ],
-            isError: true,
-          });
-        }, 30000);
-
-        const messageHandler = (data: any) => {
-          try {
-            const msg = JSON.parse(data.toString());
-            if (msg.type === "META_TAGS_RESPONSE" && msg.requestId === requestId) {
-              clearTimeout(timeout);
-              socket.off("message", messageHandler);
-              
-              if (msg.payload?.error) {
-                resolve({
-                  content: [
-                    {
-                      type: "text",
-                      text: String(msg.payload.error),
-                    },
-                  ],
-                  isError: true,
-                });
-              } else {
-                resolve({
-                  content: [
-                    {
-                      type: "text",
-                      text: JSON.stringify(msg.payload, null, 2),
-                    },
-                  ],
-                });
-              }
-            }
-          } catch (error) {
-            logError("Error parsing response:", error);
-          }
-        };
-
-        socket.on("message", messageHandler);
-      });
-    }
-  );
+  registerExtensionTool(mcpServer, {
+    name: "getMetaTags",
+    description:
+      "Extract and return all meta tags from the human's attached browser tab via the connected extension, including title, meta description, Open Graph, Twitter Card, and other SEO-related meta information.",
+    requestType: "REQUEST_META_TAGS",
+    label: "meta tags",
+    timeoutMs: 30_000,
+  });
 }
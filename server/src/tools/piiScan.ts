@@ -0,0 +1,273 @@
+// piiScan.ts - Personal data scan of hits, the dataLayer, the page URL and the referrer MCP tool
+
+import { z } from "zod";
+
+import { ExtensionRequestError, requestFromExtension } from "../connection/websocket.js";
+import { decodeGa4Item } from "../decoders/ga4.js";
+import {
+  CustomPattern,
+  PiiPatternError,
+  compileCustomPatterns,
+  detectPii,
+  hashAlgorithm,
+  isPiiField,
+  loadEnvCustomPatterns,
+  maskValue,
+} from "../validation/pii.js";
+
+import { extensionErrorResult, scopeParam, sessionParam } from "./extensionTool.js";
+import { fetchHits } from "./trackingData.js";
+
+type Location = "url" | "referrer" | "dataLayer" | "ga4" | "metaPixel";
+
+interface Finding {
+  location: Location;
+  field: string;
+  detector: string;
+  value: string;
+  occurrences: number;
+  refs: Record<string, any>[]; // first few hits / pushes, e.g. { eventName, eventId, pageUrl }
+}
+
+interface HashedField {
+  location: Location;
+  field: string;
+  algorithm: string;
+  occurrences: number;
+}
+
+// Protocol and ID parameters that never carry personal data; scanning them only produces noise
+const GA4_TECHNICAL = new Set([
+  "v", "tid", "gtm", "gcs", "gcd", "npa", "dma", "dma_cps", "are", "frm", "pscdl", "_p", "_s", "_z", "_eu", "_gaz",
+  "cid", "sid", "sct", "seg", "_et", "_fv", "_ss", "_nsi", "_ee", "tfd", "en", "ul", "sr", "uaa", "uab", "uafvl",
+  "uamb", "uam", "uap", "uapv", "uaw", "ecid", "richsstsse",
+]);
+const META_TECHNICAL = new Set([
+  "id", "ev", "if", "ts", "sw", "sh", "v", "r", "ec", "o", "fbp", "fbc", "it", "coo", "cs_est", "eid", "ler", "cdl", "rqm",
+]);
+const GA4_URL_FIELDS = new Set(["dl", "dr"]);
+const META_URL_FIELDS = new Set(["dl", "rl"]);
+const MAX_REFS = 3;
+const MAX_DEPTH = 20;
+
+interface PiiScan {
+  customPatterns: { name: string; regex: RegExp }[];
+  showValues: boolean;
+  findings: Map<string, Finding>;
+  hashed: Map<string, HashedField>;
+  scannedValues: number;
+}
+
+function scanValue(scan: PiiScan, location: Location, field: string, value: unknown, ref: Record<string, any>) {
+  if (typeof value === "number") value = String(value);
+  if (typeof value !== "string" || value === "") return;
+  scan.scannedValues++;
+
+  const algorithm = hashAlgorithm(value);
+  if (algorithm) {
+    if (!isPiiField(field)) return;
+    const key = `${location}|${field}|${algorithm}`;
+    const entry = scan.hashed.get(key) || { location, field, algorithm, occurrences: 0 };
+    entry.occurrences++;
+    scan.hashed.set(key, entry);
+    return;
+  }
+
+  for (const match of detectPii(field, value, scan.customPatterns)) {
+    const key = `${location}|${field}|${match.detector}|${match.value}`;
+    const finding = scan.findings.get(key) || {
+      location,
+      field,
+      detector: match.detector,
+      value: scan.showValues ? match.value : maskValue(match.detector, match.value),
+      occurrences: 0,
+      refs: [],
+    };
+    finding.occurrences++;
+    if (finding.refs.length < MAX_REFS) finding.refs.push(ref);
+    scan.findings.set(key, finding);
+  }
+}
+
+// The path and every query / fragment parameter are reported as their own field
+function scanUrl(scan: PiiScan, location: Location, field: string, url: unknown, ref: Record<string, any>) {
+  if (typeof url !== "string" || url === "") return;
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    scanValue(scan, location, field, url, ref);
+    return;
+  }
+  scanValue(scan, location, `${field} path`, parsed.pathname, ref);
+  for (const [name, value] of parsed.searchParams) scanValue(scan, location, `${field} ?${name}`, value, ref);
+  const fragment = parsed.hash.slice(1);
+  if (fragment.includes("=")) {
+    for (const [name, value] of new URLSearchParams(fragment)) scanValue(scan, location, `${field} #${name}`, value, ref);
+  } else if (fragment) {
+    scanValue(scan, location, `${field} #`, fragment, ref);
+  }
+}
+
+function scanTree(scan: PiiScan, location: Location, path: string, value: any, ref: Record<string, any>, depth = 0) {
+  if (depth > MAX_DEPTH || value === null || value === undefined) return;
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => scanTree(scan, location, `${path}[${index}]`, item, ref, depth + 1));
+  } else if (typeof value === "object") {
+    for (const [key, item] of Object.entries(value)) {
+      const child = /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+      scanTree(scan, location, child, item, ref, depth + 1);
+    }
+  } else if (typeof value === "string" && /^https?:\/\//i.test(value)) {
+    scanUrl(scan, location, path, value, ref);
+  } else {
+    scanValue(scan, location, path, value, ref);
+  }
+}
+
+function scanGa4Hit(scan: PiiScan, hit: any) {
+  const params: Record<string, string> = hit.parameters || {};
+  const ref = { eventName: params.en ?? null, eventId: hit.eventId ?? null, pageUrl: hit.pageUrl ?? null };
+  for (const [key, value] of Object.entries(params)) {
+    if (GA4_TECHNICAL.has(key)) continue;
+    if (GA4_URL_FIELDS.has(key)) scanUrl(scan, "ga4", key, value, ref);
+    else if (/^pr\d+$/.test(key)) {
+      for (const [name, itemValue] of Object.entries(decodeGa4Item(value))) scanValue(scan, "ga4", `${key}.${name}`, itemValue, ref);
+    } else scanValue(scan, "ga4", key, value, ref);
+  }
+}
+
+function scanMetaPixelHit(scan: PiiScan, hit: any) {
+  const params: Record<string, string> = hit.parameters || {};
+  const ref = { eventName: params.ev ?? null, eventId: hit.eventId ?? null, pageUrl: hit.pageUrl ?? null };
+  for (const [key, value] of Object.entries(params)) {
+    if (META_TECHNICAL.has(key)) continue;
+    if (META_URL_FIELDS.has(key)) scanUrl(scan, "metaPixel", key, value, ref);
+    else scanValue(scan, "metaPixel", key, value, ref);
+  }
+}
+
+// The dataLayer snapshot carries the document URL and referrer; without a dataLayer they come with the error
+async function scanPage(scan: PiiScan, args: any, signal?: AbortSignal) {
+  let snapshot: any;
+  try {
+    snapshot = await requestFromExtension("REQUEST_DATALAYER", { session: args?.session, signal, timeoutMs: 30_000 });
+  } catch (error) {
+    if (!(error instanceof ExtensionRequestError) || error.reason !== "extension_error" || !error.payload?.url) throw error;
+    snapshot = error.payload;
+  }
+  const pageUrl = snapshot?.url ?? null;
+  scanUrl(scan, "url", "document.location", pageUrl, { pageUrl });
+  scanUrl(scan, "referrer", "document.referrer", snapshot?.referrer, { pageUrl });
+
+  const layers = [
+    { name: snapshot?.dataLayers?.find((layer: any) => layer.primary)?.name || "dataLayer", items: snapshot?.dataLayer },
+    ...(snapshot?.dataLayers || []).filter((layer: any) => !layer.primary && Array.isArray(layer.dataLayer)).map((layer: any) => ({ name: layer.name, items: layer.dataLayer })),
+  ];
+  for (const layer of layers) {
+    (layer.items || []).forEach((push: any, index: number) => {
+      scanTree(scan, "dataLayer", `${layer.name}[${index}]`, push, { index, event: push?.event ?? null, pageUrl });
+    });
+  }
+  return { pageUrl, dataLayerError: snapshot?.error ?? null };
+}
+
+const customPatternParam = z.object({
+  name: z.string().describe("Detector name, reported as custom:<name>."),
+  pattern: z.string().describe("JavaScript regular expression source, e.g. \"CUST-\\\\d{6}\"."),
+  flags: z.string().optional().describe("Regular expression flags, e.g. \"i\"."),
+});
+
+export function registerPiiScanTool(mcpServer: any) {
+  mcpServer.tool(
+    "scanForPii",
+    "Scan the human's attached browser tab for personal data leaking into tracking: every captured GA4 hit (event and user parameters, decoded items, page location / referrer query parameters) and Meta Pixel hit (custom data, advanced matching fields, dl / rl), every dataLayer push, the document URL and the referrer. Detects email addresses, phone numbers (international format anywhere, any format in phone fields), postcodes (UK anywhere, ZIP and others in postcode fields), credit card numbers (Luhn-checked), names in name fields (first_name, ln, ud[fn], …) and custom regular expressions. Hashed values (SHA-256, SHA-1, MD5 hex, base64 SHA-256) are not flagged; hashed personal fields are listed under `hashed`. Each finding names the location, the exact field (e.g. `ep.user_email`, `dl ?email`, `dataLayer[4].user.phone`), the detector, a masked value and where it was seen.",
+    {
+      ...scopeParam,
+      customPatterns: z
+        .array(customPatternParam)
+        .optional()
+        .describe("Extra detectors, added to those in the server's PII_CUSTOM_PATTERNS."),
+      showValues: z
+        .boolean()
+        .optional()
+        .describe("Return detected values unmasked (default false: e.g. j***@example.com, ************1111)."),
+      ...sessionParam,
+    },
+    async (args: any, extra: any): Promise<any> => {
+      try {
+        const patterns: CustomPattern[] = [...loadEnvCustomPatterns(), ...(args?.customPatterns || [])];
+        const scan: PiiScan = {
+          customPatterns: compileCustomPatterns(patterns),
+          showValues: !!args?.showValues,
+          findings: new Map(),
+          hashed: new Map(),
+          scannedValues: 0,
+        };
+        const page: { pageUrl: string | null; dataLayerError: string | null } = { pageUrl: null, dataLayerError: null };
+        const sources: Record<string, () => Promise<void>> = {
+          page: async () => {
+            Object.assign(page, await scanPage(scan, args, extra?.signal));
+          },
+          ga4: async () => {
+            const { hits } = await fetchHits("REQUEST_GA4_HITS", args, extra?.signal);
+            hits.filter((hit) => !hit.vendor || hit.vendor === "ga4").forEach((hit) => scanGa4Hit(scan, hit));
+          },
+          metaPixel: async () => {
+            const { hits } = await fetchHits("REQUEST_META_PIXEL_HITS", args, extra?.signal);
+            hits.forEach((hit) => scanMetaPixelHit(scan, hit));
+          },
+        };
+        const sourceErrors: Record<string, string> = {};
+        let firstError: unknown = null;
+        for (const [name, run] of Object.entries(sources)) {
+          try {
+            await run();
+          } catch (error) {
+            firstError ??= error;
+            sourceErrors[name] = error instanceof Error ? error.message : String(error);
+          }
+        }
+        if (Object.keys(sourceErrors).length === Object.keys(sources).length) throw firstError;
+
+        const findings = [...scan.findings.values()];
+        const byDetector: Record<string, number> = {};
+        const byLocation: Record<string, number> = {};
+        for (const finding of findings) {
+          byDetector[finding.detector] = (byDetector[finding.detector] || 0) + 1;
+          byLocation[finding.location] = (byLocation[finding.location] || 0) + 1;
+        }
+        const result = {
+          summary: {
+            findings: findings.length,
+            byDetector,
+            byLocation,
+            hashedFields: scan.hashed.size,
+            scannedValues: scan.scannedValues,
+            customPatterns: patterns.map((pattern) => pattern.name),
+          },
+          pageUrl: page.pageUrl,
+          findings,
+          hashed: [...scan.hashed.values()],
+          ...(page.dataLayerError ? { dataLayerError: page.dataLayerError } : {}),
+          ...(Object.keys(sourceErrors).length ? { sourceErrors } : {}),
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+              _meta: result.summary,
+            },
+          ],
+        };
+      } catch (error) {
+        if (error instanceof PiiPatternError) {
+          return { content: [{ type: "text", text: error.message, _meta: { isError: true } }], isError: true };
+        }
+        return extensionErrorResult(error, "tracking data");
+      }
+    }
+  );
+}
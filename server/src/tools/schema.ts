@@ -1,94 +1,27 @@
 // schema.ts - Schema markup MCP tool
 
-import { v4 as uuidv4 } from "uuid";
-import WebSocket from "ws";
-import { connectionState, wsSend } from "../connection/websocket.js";
 import { logError } from "../utils/logging.js";
-import { amIActiveInstance, getInstanceInfo } from "../utils/instance.js";
+import { registerExtensionTool } from "./extensionTool.js";
 
 export function registerSchemaMarkupTool(mcpServer: any) {
-  mcpServer.tool(
-    "getSchemaMarkup",
-    "Extract and return all schema markup (JSON-LD and microdata) from the human's attached browser tab via the connected extension, including structured data for SEO and rich snippets.",
-    {},
-    async (): Promise<any> => {
-      if (!amIActiveInstance()) {
-        const info = getInstanceInfo();
-        throw new Error(
-          `This server instance is not active (instanceId=${info.instanceId}). A newer instance likely took over. Please use the latest server instance.`
-        );
+  registerExtensionTool(mcpServer, {
+    name: "getSchemaMarkup",
+    description:
+      "Extract and return all schema markup (JSON-LD and microdata) from the human's attached browser tab via the connected extension, including structured data for SEO and rich snippets.",
+    requestType: "REQUEST_SCHEMA_MARKUP",
+    label: "schema markup",
+    timeoutMs: 30_000,
+    // Emit ALL schema as compact YAML (jsonLd + microdata)
+    format: (payload) => {
+      try {
+        return buildSchemaYaml(payload || {});
+      } catch (e) {
+        // Safety fallback to JSON
+        logError("Failed to build schema YAML, falling back to JSON:", e);
+        return JSON.stringify(payload, null, 2);
       }
-      const socket = connectionState.socket;
-      if (!socket || socket.readyState !== WebSocket.OPEN) {
-        throw new Error("Chrome extension is not connected. Please ensure the extension is installed and a tab is attached.");
-      }
-
-      const requestId = uuidv4();
-      const payload = {
-        type: "REQUEST_SCHEMA_MARKUP",
-        requestId,
-        timestamp: Date.now(),
-      } as const;
-
-      if (!wsSend(socket, payload)) {
-        throw new Error("Failed to send request to extension (inactive server or no connection).");
-      }
-
-      return new Promise<any>((resolve) => {
-        const timeout = setTimeout(() => {
-          resolve({
-            content: [{ 
-              type: "text", 
-              text: "Request timed out after 30 seconds" 
-            }],
-            isError: true
-          });
-        }, 30000);
-
-        const messageHandler = (data: any) => {
-          try {
-            const msg = JSON.parse(data.toString());
-            if (msg.type === "SCHEMA_MARKUP_RESPONSE" && msg.requestId === requestId) {
-              clearTimeout(timeout);
-              socket.off("message", messageHandler);
-              
-              if (msg.payload?.error) {
-                resolve({
-                  content: [{ 
-                    type: "text", 
-                    text: String(msg.payload.error) 
-                  }],
-                  isError: true
-                });
-              } else {
-                // Emit ALL schema as compact YAML (jsonLd + microdata)
-                try {
-                  const payload = msg.payload || {};
-                  const yaml = buildSchemaYaml(payload);
-                  resolve({
-                    content: [
-                      { type: "text", text: yaml },
-                    ],
-                  });
-                } catch (e) {
-                  // Safety fallback to JSON
-                  resolve({
-                    content: [
-                      { type: "text", text: JSON.stringify(msg.payload, null, 2) },
-                    ],
-                  });
-                }
-              }
-            }
-          } catch (error) {
-            logError("Error parsing response:", error);
-          }
-        };
-
-        socket.on("message", messageHandler);
-      });
-    }
-  );
+    },
+  });
 }
 
 // --- Helpers: Build compact YAML for full schema (JSON-LD + microdata) ---
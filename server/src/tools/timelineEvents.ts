@@ -0,0 +1,45 @@
+// timelineEvents.ts - Query the streamed tracking timeline by cursor MCP tool
+
+import { z } from "zod";
+
+import { TIMELINE_EVENT_KINDS, queryTimeline } from "../timeline/eventBuffer.js";
+
+export function registerTimelineEventsTool(mcpServer: any) {
+  mcpServer.tool(
+    "getTimelineEvents",
+    "Get tracking events (GA4 hits, Meta Pixel hits, dataLayer pushes, navigations) streamed from the browser since a cursor. Call without \"since\" to read the buffer from the start, then pass the returned nextCursor as \"since\" to get only what happened after the previous call.",
+    {
+      since: z.number().int().min(0).optional().describe("Return events with a cursor greater than this (nextCursor of the previous call)."),
+      kinds: z.array(z.enum(TIMELINE_EVENT_KINDS)).optional().describe("Only return these event kinds."),
+      limit: z.number().int().min(1).max(1000).optional().describe("Maximum number of events to return (default 200)."),
+      session: z.string().optional().describe("Only return events from this browser session (id or name from listBrowserSessions)."),
+      scope: z
+        .enum(["currentPage", "session"])
+        .optional()
+        .describe("\"session\" (default) returns everything retained; \"currentPage\" only events since each browser's latest navigation."),
+    },
+    async (args: any): Promise<any> => {
+      const result = queryTimeline({
+        since: args?.since,
+        kinds: args?.kinds,
+        limit: args?.limit,
+        session: args?.session,
+        scope: args?.scope,
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+            _meta: {
+              eventCount: result.events.length,
+              nextCursor: result.nextCursor,
+              truncated: result.truncated,
+            },
+          },
+        ],
+      };
+    }
+  );
+}
@@ -0,0 +1,67 @@
+// trackingData.ts - Shared fetching of hits and dataLayer pushes for tools that combine several sources
+
+import { requestFromExtension } from "../connection/websocket.js";
+import { TIMELINE_CAPACITY, queryTimeline } from "../timeline/eventBuffer.js";
+
+const DEFAULT_LAYER = "dataLayer";
+
+export interface PushRecord {
+  push: any;
+  layer: string; // global variable of the data layer, e.g. "dataLayer" or "dataLayerGTM"
+  index: number | null;
+  pageUrl: string | null;
+  timestamp: number | null; // only known for pushes recorded by the push hook
+  origin: "snapshot" | "timeline";
+}
+
+// Flatten a hit payload (current page or every page view) into hits that each carry their pageUrl
+export function flattenHits(payload: any): any[] {
+  if (Array.isArray(payload?.hits)) return payload.hits.map((hit: any) => ({ pageUrl: payload.pageUrl ?? null, ...hit }));
+  return (payload?.pageViews || []).flatMap((pageView: any) =>
+    (pageView.hits || []).map((hit: any) => ({ pageUrl: pageView.url ?? null, ...hit })),
+  );
+}
+
+export async function fetchHits(
+  requestType: "REQUEST_GA4_HITS" | "REQUEST_META_PIXEL_HITS",
+  args: any,
+  signal?: AbortSignal,
+): Promise<{ hits: any[]; history: any }> {
+  const payload: any = await requestFromExtension(requestType, {
+    params: args?.scope ? { scope: args.scope } : {},
+    session: args?.session,
+    signal,
+  });
+  return { hits: flattenHits(payload), history: payload?.history };
+}
+
+// The current window.dataLayer and every other detected layer; with scope "session" preceded by the
+// pushes the push hook recorded on earlier pages, so the list stays in page order. Current-page
+// entries the hook also recorded get their push time.
+export async function fetchDataLayerPushes(args: any, signal?: AbortSignal): Promise<{ pushes: PushRecord[]; url: string | null }> {
+  const snapshot: any = await requestFromExtension("REQUEST_DATALAYER", { session: args?.session, signal, timeoutMs: 30_000 });
+  const url: string | null = snapshot?.url ?? null;
+  const pushes: PushRecord[] = [];
+  if (args?.scope === "session") {
+    for (const event of queryTimeline({ kinds: ["datalayer_push"], session: args?.session, limit: TIMELINE_CAPACITY }).events) {
+      if (event.pageUrl === url) continue;
+      pushes.push({ push: event.data?.push, layer: event.data?.layer ?? DEFAULT_LAYER, index: event.data?.index ?? null, pageUrl: event.pageUrl, timestamp: event.timestamp, origin: "timeline" });
+    }
+  }
+
+  const recordedAt = new Map<string, number>();
+  const currentPage = queryTimeline({ kinds: ["datalayer_push"], session: args?.session, scope: "currentPage", limit: TIMELINE_CAPACITY });
+  for (const event of currentPage.events) {
+    if (event.pageUrl === url && typeof event.data?.index === "number") recordedAt.set(`${event.data?.layer ?? DEFAULT_LAYER}|${event.data.index}`, event.timestamp);
+  }
+  const layers: { name: string; items: any[] }[] = [
+    { name: snapshot?.name || DEFAULT_LAYER, items: snapshot?.dataLayer || [] },
+    ...(snapshot?.dataLayers || []).filter((layer: any) => !layer.primary && Array.isArray(layer.dataLayer)).map((layer: any) => ({ name: layer.name, items: layer.dataLayer })),
+  ];
+  for (const layer of layers) {
+    layer.items.forEach((push: any, index: number) => {
+      pushes.push({ push, layer: layer.name, index, pageUrl: url, timestamp: recordedAt.get(`${layer.name}|${index}`) ?? null, origin: "snapshot" });
+    });
+  }
+  return { pushes, url };
+}
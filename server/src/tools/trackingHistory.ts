@@ -0,0 +1,13 @@
+// trackingHistory.ts - Clear the attached tab's tracking history MCP tool
+
+import { registerExtensionTool } from "./extensionTool.js";
+
+export function registerTrackingHistoryTool(mcpServer: any) {
+  registerExtensionTool(mcpServer, {
+    name: "clearTrackingHistory",
+    description:
+      "Forget every tracking hit recorded for the human's attached browser tab, across all page views: GA4, Meta Pixel, Google Ads and every other detected vendor (TikTok, LinkedIn, …; see getTrackingHits), e.g. before starting a new checkout test. The server-side event timeline (getTimelineEvents) is not affected; use its cursors to ignore older events.",
+    requestType: "REQUEST_CLEAR_TRACKING_HISTORY",
+    label: "tracking history clear confirmation",
+  });
+}
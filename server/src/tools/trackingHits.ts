@@ -0,0 +1,42 @@
+// trackingHits.ts - Hits of any detected marketing pixel MCP tool
+
+import { z } from "zod";
+
+import { withDecodedGa4Hits } from "../decoders/ga4.js";
+import { withDecodedMetaPixelHits } from "../decoders/metaPixel.js";
+
+import { registerExtensionTool, scopeParam } from "./extensionTool.js";
+
+function countByTransport(payload: any) {
+  const hits: any[] = payload?.hits || (payload?.pageViews || []).flatMap((pageView: any) => pageView.hits || []);
+  const counts: Record<string, number> = {};
+  for (const hit of hits) {
+    const transport = hit.transport || (hit.serverSide ? "server-side" : "direct");
+    counts[transport] = (counts[transport] || 0) + 1;
+  }
+  return counts;
+}
+
+export function registerTrackingHitsTool(mcpServer: any) {
+  registerExtensionTool(mcpServer, {
+    name: "getTrackingHits",
+    description:
+      "Get marketing and analytics pixel hits recorded from the human's attached browser tab, optionally filtered by vendor. Every hit has the same shape: vendor, eventName, accountId (pixel / tag / measurement id), parameters, pageUrl, timestamp, transport (\"direct\" to the vendor's own endpoint or \"server-side\" via a first-party / sGTM endpoint, with endpointSource \"configured\" when it matched an endpoint mapped in the extension popup or \"detected\" when guessed from the payload), plus vendor-specific fields. The response lists the vendors the extension detects (e.g. ga4, metaPixel, googleAds, floodlight, tiktok, linkedin, pinterest, microsoftUet, snap, reddit).",
+    requestType: "REQUEST_TRACKING_HITS",
+    label: "tracking hits",
+    params: {
+      vendor: z
+        .union([z.string(), z.array(z.string())])
+        .optional()
+        .describe("Vendor id or list of vendor ids to include (default: all)."),
+      ...scopeParam,
+    },
+    transform: (payload) => withDecodedMetaPixelHits(withDecodedGa4Hits(payload)),
+    meta: (payload) => ({
+      hitsCount: payload?.totalHits ?? 0,
+      countsByVendor: payload?.countsByVendor,
+      countsByTransport: countByTransport(payload),
+      historyComplete: payload?.history?.complete ?? true,
+    }),
+  });
+}
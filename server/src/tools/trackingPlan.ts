@@ -0,0 +1,139 @@
+// trackingPlan.ts - Tracking plan validation of dataLayer pushes and GA4 / Meta Pixel hits MCP tool
+
+import { z } from "zod";
+
+import { decodeGa4Params } from "../decoders/ga4.js";
+import { decodeMetaPixelParams } from "../decoders/metaPixel.js";
+import { EVENT_SOURCES, EventSource } from "../timeline/matchers.js";
+import { Observation, TrackingPlanError, checkTrackingPlan, loadTrackingPlan } from "../validation/trackingPlan.js";
+
+import { extensionErrorResult, scopeParam, sessionParam } from "./extensionTool.js";
+import { PushRecord, fetchDataLayerPushes, fetchHits } from "./trackingData.js";
+
+function dataLayerObservation(record: PushRecord): Observation | null {
+  const { push, layer, index, pageUrl, origin } = record;
+  // Only named events can be matched to the plan; gtag() commands and plain data pushes have no `event`
+  if (!push || typeof push !== "object" || Array.isArray(push) || typeof push.event !== "string") return null;
+  return { source: "dataLayer", eventName: push.event, data: push, occurrence: { layer, index, pageUrl, origin } };
+}
+
+async function observeDataLayer(args: any, signal?: AbortSignal): Promise<Observation[]> {
+  const { pushes } = await fetchDataLayerPushes(args, signal);
+  return pushes.map(dataLayerObservation).filter((observation): observation is Observation => observation !== null);
+}
+
+async function observeGa4(args: any, signal?: AbortSignal): Promise<Observation[]> {
+  const { hits } = await fetchHits("REQUEST_GA4_HITS", args, signal);
+  return hits
+    .filter((hit) => !hit.vendor || hit.vendor === "ga4")
+    .map((hit) => {
+      const decoded = decodeGa4Params(hit.parameters || {});
+      const data: Record<string, any> = { ...decoded.eventParams };
+      if (decoded.items.length) data.items = decoded.items;
+      if (Object.keys(decoded.userProperties).length) data.user_properties = decoded.userProperties;
+      return {
+        source: "ga4" as const,
+        eventName: decoded.eventName || "(no event name)",
+        data,
+        occurrence: { eventId: hit.eventId ?? null, timestamp: hit.timestamp, pageUrl: hit.pageUrl },
+      };
+    });
+}
+
+async function observeMetaPixel(args: any, signal?: AbortSignal): Promise<Observation[]> {
+  const { hits } = await fetchHits("REQUEST_META_PIXEL_HITS", args, signal);
+  return hits.map((hit) => {
+    const decoded = decodeMetaPixelParams(hit.parameters || {});
+    const data: Record<string, any> = { ...decoded.customData };
+    if (decoded.eventId) data.eventID = decoded.eventId;
+    return {
+      source: "metaPixel" as const,
+      eventName: decoded.eventName || "(no event name)",
+      data,
+      occurrence: { pixelId: decoded.pixelId, timestamp: hit.timestamp, pageUrl: hit.pageUrl },
+    };
+  });
+}
+
+const OBSERVERS: Record<EventSource, (args: any, signal?: AbortSignal) => Promise<Observation[]>> = {
+  dataLayer: observeDataLayer,
+  ga4: observeGa4,
+  metaPixel: observeMetaPixel,
+};
+
+export function registerTrackingPlanTool(mcpServer: any) {
+  mcpServer.tool(
+    "validateAgainstTrackingPlan",
+    "Validate every dataLayer push and every GA4 / Meta Pixel hit recorded on the human's attached browser tab against a tracking plan. The plan is read from `planPath`, from the file in the server's TRACKING_PLAN_PATH environment variable, or passed inline as `plan` (JSON Schema, or the simple format: `events: { <name>: { required, dataLayer|ga4|metaPixel: { name, params: { \"ecommerce.value\": { type: number, required: true, enum: [...] } } } } }`, as YAML or JSON). GA4 hits are checked as their decoded event parameters (plus items and user_properties), Meta Pixel hits as their custom data. Reports missing_event (required events not seen), unexpected_event (not in the plan; gtm.* and user_engagement are ignored), missing_property, type_mismatch, enum_violation, unexpected_property and constraint_violation, each with a JSON path such as $.ecommerce.items[0].price.",
+    {
+      plan: z
+        .union([z.string(), z.record(z.any())])
+        .optional()
+        .describe("Inline tracking plan: an object, or JSON / YAML text. Takes precedence over planPath."),
+      planPath: z.string().optional().describe("Path of a .json, .yaml or .yml plan file on the server's machine (defaults to TRACKING_PLAN_PATH)."),
+      sources: z
+        .array(z.enum(EVENT_SOURCES))
+        .optional()
+        .describe("Sources to check (default all): \"dataLayer\", \"ga4\", \"metaPixel\"."),
+      ...scopeParam,
+      ...sessionParam,
+    },
+    async (args: any, extra: any): Promise<any> => {
+      try {
+        const plan = await loadTrackingPlan({ plan: args?.plan, planPath: args?.planPath });
+        const sources: EventSource[] = args?.sources?.length ? args.sources : [...EVENT_SOURCES];
+
+        // One source failing (e.g. no data layer on the page) should not hide the others
+        const observations: Observation[] = [];
+        const checkedSources: EventSource[] = [];
+        const sourceErrors: Record<string, string> = {};
+        let firstError: unknown = null;
+        for (const source of sources) {
+          try {
+            observations.push(...(await OBSERVERS[source](args, extra?.signal)));
+            checkedSources.push(source);
+          } catch (error) {
+            firstError ??= error;
+            sourceErrors[source] = error instanceof Error ? error.message : String(error);
+          }
+        }
+        if (checkedSources.length === 0) throw firstError;
+
+        const { issues, observed, notObserved } = checkTrackingPlan(plan, observations, checkedSources);
+        const issuesByType: Record<string, number> = {};
+        for (const issue of issues) issuesByType[issue.type] = (issuesByType[issue.type] || 0) + 1;
+        const checked: Record<string, number> = {};
+        for (const source of checkedSources) checked[source] = observations.filter((o) => o.source === source).length;
+
+        const result = {
+          plan: { origin: plan.origin, format: plan.format, events: new Set(plan.entries.map((entry) => entry.event)).size },
+          summary: {
+            checked,
+            errors: issues.filter((issue) => issue.severity === "error").length,
+            warnings: issues.filter((issue) => issue.severity === "warning").length,
+            issuesByType,
+          },
+          issues,
+          observed,
+          notObserved,
+          ...(Object.keys(sourceErrors).length ? { sourceErrors } : {}),
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+              _meta: { ...result.summary, planOrigin: plan.origin },
+            },
+          ],
+        };
+      } catch (error) {
+        if (error instanceof TrackingPlanError) {
+          return { content: [{ type: "text", text: error.message, _meta: { isError: true } }], isError: true };
+        }
+        return extensionErrorResult(error, "tracking data");
+      }
+    }
+  );
+}
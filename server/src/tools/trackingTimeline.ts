@@ -0,0 +1,122 @@
+// trackingTimeline.ts - Causality timeline of dataLayer pushes, the hits they triggered and Tag Assistant events MCP tool
+
+import { z } from "zod";
+
+import { requestFromExtension } from "../connection/websocket.js";
+import { decodeGa4Params } from "../decoders/ga4.js";
+import { decodeMetaPixelParams } from "../decoders/metaPixel.js";
+import { TagAssistantEvent, TimelineHit, TimelinePush, buildCausalityTimeline, pushEventName } from "../timeline/causality.js";
+
+import { extensionErrorResult, scopeParam, sessionParam } from "./extensionTool.js";
+import { fetchDataLayerPushes, fetchHits } from "./trackingData.js";
+
+const DEFAULT_WINDOW_MS = 5_000;
+
+async function collectPushes(args: any, signal?: AbortSignal): Promise<{ pushes: TimelinePush[]; url: string | null }> {
+  const { pushes, url } = await fetchDataLayerPushes(args, signal);
+  const named: TimelinePush[] = [];
+  for (const record of pushes) {
+    const name = pushEventName(record.push);
+    if (!name) continue;
+    const uniqueEventId = Number(record.push?.["gtm.uniqueEventId"]);
+    named.push({
+      layer: record.layer,
+      index: record.index,
+      name,
+      uniqueEventId: Number.isInteger(uniqueEventId) ? uniqueEventId : null,
+      pageUrl: record.pageUrl,
+      timestamp: record.timestamp,
+      origin: record.origin,
+    });
+  }
+  return { pushes: named, url };
+}
+
+async function collectHits(args: any, signal?: AbortSignal): Promise<TimelineHit[]> {
+  const ga4 = await fetchHits("REQUEST_GA4_HITS", args, signal);
+  const meta = await fetchHits("REQUEST_META_PIXEL_HITS", args, signal);
+  const hits: TimelineHit[] = [];
+  for (const hit of ga4.hits) {
+    if ((hit.vendor && hit.vendor !== "ga4") || typeof hit.timestamp !== "number") continue;
+    const decoded = decodeGa4Params(hit.parameters || {});
+    hits.push({ source: "ga4", eventName: decoded.eventName || "(no event name)", eventId: hit.eventId ?? null, accountId: decoded.measurementId, pageUrl: hit.pageUrl, timestamp: hit.timestamp });
+  }
+  for (const hit of meta.hits) {
+    if (typeof hit.timestamp !== "number") continue;
+    const decoded = decodeMetaPixelParams(hit.parameters || {});
+    hits.push({ source: "metaPixel", eventName: decoded.eventName || "(no event name)", eventId: hit.eventId ?? null, accountId: decoded.pixelId, pageUrl: hit.pageUrl, timestamp: hit.timestamp });
+  }
+  return hits;
+}
+
+// Every event of the open Tag Assistant tab; `since: 0` leaves getNewGTMPreviewEvents' position alone
+async function collectTagAssistant(args: any, pageUrl: string | null, signal?: AbortSignal): Promise<TagAssistantEvent[]> {
+  const payload: any = await requestFromExtension("REQUEST_NEW_GTM_PREVIEW_EVENTS", { params: { since: 0 }, session: args?.session, signal });
+  return (payload?.newEvents || [])
+    .map((event: any) => ({
+      eventNumber: event.eventNumber,
+      eventName: event.eventName,
+      tagsFired: event.tagsFired || [],
+      pageUrl: event.page?.url ?? null,
+    }))
+    .filter((event: TagAssistantEvent) => args?.scope === "session" || !event.pageUrl || !pageUrl || event.pageUrl === pageUrl);
+}
+
+export function registerTrackingTimelineTool(mcpServer: any) {
+  mcpServer.tool(
+    "getTrackingTimeline",
+    "Merge the dataLayer pushes, GA4 hits and Meta Pixel hits of the human's attached browser tab (optionally also Google Tag Assistant events) onto one clock and link each hit to the push that most likely triggered it: same event name within `windowMs` after the push (Meta standard events map to their GA4 names, page views to gtm.js / config), else the push just before it; Tag Assistant events link to pushes by gtm.uniqueEventId. Push times come from the dataLayer push hook; without it they are estimated from the hits (marked ~). Returns a chronological `narrative` such as \"push add_to_cart (#12) → GA4 add_to_cart (+180 ms) → Meta AddToCart (+210 ms)\", the `steps` with match confidence, and `pushesWithoutHits` (named pushes that produced no hit).",
+    {
+      ...scopeParam,
+      windowMs: z
+        .number()
+        .int()
+        .min(100)
+        .max(60_000)
+        .optional()
+        .describe("How long after a push a hit with the same event name still counts as caused by it (default 5000; GA4 batches events for a few seconds)."),
+      includeTagAssistant: z
+        .boolean()
+        .optional()
+        .describe("Also read the events and fired tags of an open Tag Assistant (GTM preview) tab (default false)."),
+      ...sessionParam,
+    },
+    async (args: any, extra: any): Promise<any> => {
+      try {
+        const { pushes, url } = await collectPushes(args, extra?.signal);
+        const hits = await collectHits(args, extra?.signal);
+        let tagAssistant: TagAssistantEvent[] = [];
+        let tagAssistantError: string | null = null;
+        if (args?.includeTagAssistant) {
+          try {
+            tagAssistant = await collectTagAssistant(args, url, extra?.signal);
+          } catch (error) {
+            tagAssistantError = error instanceof Error ? error.message : String(error);
+          }
+        }
+
+        const timeline = buildCausalityTimeline(pushes, hits, tagAssistant, { windowMs: args?.windowMs ?? DEFAULT_WINDOW_MS });
+        const result = {
+          ...timeline,
+          pageUrl: url,
+          ...(tagAssistantError ? { tagAssistantError } : {}),
+          ...(timeline.summary.untimedPushes
+            ? { note: "Some pushes have no recorded time; enable \"Record dataLayer pushes\" in the extension popup for exact push times." }
+            : {}),
+        };
+
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(result, null, 2),
+              _meta: timeline.summary,
+            },
+          ],
+        };
+      } catch (error) {
+        return extensionErrorResult(error, "tracking timeline data");
+      }
+    }
+  );
+}
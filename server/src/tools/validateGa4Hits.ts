@@ -0,0 +1,60 @@
+// validateGa4Hits.ts - GA4 hit validation against GA4 collection limits MCP tool
+
+import { z } from "zod";
+
+import { decodeGa4Params } from "../decoders/ga4.js";
+import { Finding, validateGa4Hit } from "../validation/ga4Rules.js";
+
+import { registerExtensionTool, scopeParam } from "./extensionTool.js";
+
+function validate(payload: any, includeValid: boolean) {
+  const pageViews: any[] = payload?.pageViews || [{ url: payload?.pageUrl ?? null, hits: payload?.hits || [] }];
+  const results = pageViews.flatMap((pageView) =>
+    (pageView.hits || [])
+      .filter((hit: any) => !hit.vendor || hit.vendor === "ga4")
+      .map((hit: any) => {
+        const decoded = decodeGa4Params(hit.parameters || {});
+        const findings: Finding[] = validateGa4Hit(decoded);
+        return {
+          eventId: hit.eventId ?? null,
+          eventName: decoded.eventName,
+          measurementId: decoded.measurementId,
+          timestamp: hit.timestamp,
+          pageUrl: hit.pageUrl ?? pageView.url ?? null,
+          valid: !findings.some((finding) => finding.severity === "error"),
+          findings,
+        };
+      }),
+  );
+
+  const byRule: Record<string, number> = {};
+  for (const finding of results.flatMap((result) => result.findings)) {
+    byRule[finding.rule] = (byRule[finding.rule] || 0) + 1;
+  }
+  return {
+    summary: {
+      hitsChecked: results.length,
+      hitsWithErrors: results.filter((result) => result.findings.some((f: Finding) => f.severity === "error")).length,
+      hitsWithWarnings: results.filter((result) => result.findings.some((f: Finding) => f.severity === "warning")).length,
+      byRule,
+    },
+    hits: includeValid ? results : results.filter((result) => result.findings.length > 0),
+    history: payload?.history,
+  };
+}
+
+export function registerValidateGa4HitsTool(mcpServer: any) {
+  registerExtensionTool(mcpServer, {
+    name: "validateGa4Hits",
+    description:
+      "Validate the GA4 hits recorded from the human's attached browser tab offline against GA4's documented collection limits, to catch data GA4 would silently drop or truncate: event name length (40), characters, reserved event names and prefixes (_, firebase_, ga_, google_, gtag.), more than 25 event parameters, parameter name length and value length (100; page_location 1000, page_referrer 420, page_title 300), user property limits, more than 200 items, invalid ISO 4217 currency codes, value without currency on ecommerce events, and items missing both item_id and item_name. Returns per-hit findings with severity (error = dropped or not attributed, warning = truncated or ignored).",
+    requestType: "REQUEST_GA4_HITS",
+    label: "GA4 hits",
+    params: {
+      ...scopeParam,
+      includeValid: z.boolean().optional().describe("Also list hits without findings (default false)."),
+    },
+    transform: (payload, args) => validate(payload, Boolean(args?.includeValid)),
+    meta: (result) => result.summary,
+  });
+}
@@ -0,0 +1,212 @@
+// waitForEvent.ts - Block until a matching GA4 hit, Meta Pixel hit or dataLayer push arrives MCP tool
+
+import { z } from "zod";
+
+import { ExtensionRequestError, requestFromExtension } from "../connection/websocket.js";
+import {
+  TIMELINE_CAPACITY,
+  TimelineEvent,
+  getEventsBefore,
+  getLatestCursor,
+  matchesSession,
+  onTimelineEvent,
+  queryTimeline,
+} from "../timeline/eventBuffer.js";
+import { EVENT_SOURCES, EventMatcher, EventSource, SOURCE_KINDS, eventNameOf, matchesEvent, matchesTimelineEvent } from "../timeline/matchers.js";
+
+import { extensionErrorResult } from "./extensionTool.js";
+
+const DEFAULT_WAIT_MS = 30_000;
+const MAX_WAIT_MS = 120_000;
+const DATALAYER_POLL_INTERVAL_MS = 500;
+
+const SOURCE_LABELS: Record<EventSource, string> = { ga4: "GA4 hits", metaPixel: "Meta Pixel hits", dataLayer: "dataLayer" };
+
+type WaitOutcome =
+  | { kind: "timeline"; event: TimelineEvent }
+  | { kind: "dataLayer"; push: any; index: number; dataLayer: any[]; pageUrl: string | null; session: any }
+  | { kind: "timeout" }
+  | { kind: "error"; error: unknown };
+
+function sleep(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Failures that will not go away by asking again; anything else (a navigation mid-request, a page
+// without a dataLayer yet, a slow tab) is retried on the next poll
+const FATAL_POLL_FAILURES = new Set(["aborted", "unknown_session", "ambiguous_session", "unpaired"]);
+
+// The push hook streams datalayer_push events; a recent one from this session means it is enabled
+function hookIsStreaming(session: string | undefined): boolean {
+  return queryTimeline({ kinds: ["datalayer_push"], session, scope: "currentPage", limit: 1 }).events.length > 0;
+}
+
+// Pushes are only streamed while the extension's push hook is enabled; otherwise new entries are
+// found by diffing snapshots of the main layer (window.dataLayer or the only one found). Polling stops as soon as hook events show up.
+async function pollDataLayer(
+  matcher: EventMatcher,
+  session: string | undefined,
+  isDone: () => boolean,
+  hookActive: () => boolean,
+  signal?: AbortSignal,
+): Promise<WaitOutcome | null> {
+  let seen: number | null = null;
+
+  while (!isDone() && !hookActive()) {
+    let payload: any;
+    try {
+      payload = await requestFromExtension("REQUEST_DATALAYER", { session, signal, timeoutMs: 10_000 });
+    } catch (error) {
+      if (isDone() || (error instanceof ExtensionRequestError && FATAL_POLL_FAILURES.has(error.reason))) throw error;
+      await sleep(DATALAYER_POLL_INTERVAL_MS);
+      continue;
+    }
+    const dataLayer: any[] = Array.isArray(payload?.dataLayer) ? payload.dataLayer : [];
+
+    // First snapshot is the baseline; a shorter dataLayer means the page navigated and everything is new
+    const start = seen === null ? dataLayer.length : dataLayer.length < seen ? 0 : seen;
+    for (let index = start; index < dataLayer.length; index++) {
+      if (matchesEvent("dataLayer", dataLayer[index], matcher)) {
+        return { kind: "dataLayer", push: dataLayer[index], index, dataLayer, pageUrl: payload?.url || null, session: payload?.session };
+      }
+    }
+    seen = dataLayer.length;
+
+    await sleep(DATALAYER_POLL_INTERVAL_MS);
+  }
+  return null;
+}
+
+function waitForMatch(
+  source: EventSource,
+  matcher: EventMatcher,
+  since: number,
+  session: string | undefined,
+  timeoutMs: number,
+  signal?: AbortSignal,
+): Promise<WaitOutcome> {
+  // Something may already have arrived between "since" and now
+  const buffered = queryTimeline({ since, kinds: [SOURCE_KINDS[source]], session, limit: TIMELINE_CAPACITY });
+  const existing = buffered.events.find((e) => matchesTimelineEvent(e, source, matcher));
+  if (existing) return Promise.resolve({ kind: "timeline", event: existing });
+
+  return new Promise((resolve) => {
+    let done = false;
+    let hookActive = source === "dataLayer" && hookIsStreaming(session);
+    // Cancels an in-flight dataLayer poll once the wait is over
+    const polling = new AbortController();
+    const finish = (outcome: WaitOutcome) => {
+      if (done) return;
+      done = true;
+      polling.abort();
+      unsubscribe();
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      resolve(outcome);
+    };
+
+    const unsubscribe = onTimelineEvent((event) => {
+      if (!matchesSession(event, session)) return;
+      if (event.kind === "datalayer_push") hookActive = true;
+      if (matchesTimelineEvent(event, source, matcher)) {
+        finish({ kind: "timeline", event });
+      }
+    });
+    const timer = setTimeout(() => finish({ kind: "timeout" }), timeoutMs);
+    const onAbort = () => finish({ kind: "error", error: new ExtensionRequestError("waitForEvent was cancelled", "aborted") });
+    signal?.addEventListener("abort", onAbort);
+    if (signal?.aborted) onAbort();
+
+    if (source === "dataLayer" && !hookActive) {
+      pollDataLayer(matcher, session, () => done, () => hookActive, polling.signal)
+        .then((outcome) => outcome && finish(outcome))
+        .catch((error) => finish({ kind: "error", error }));
+    }
+  });
+}
+
+export function registerWaitForEventTool(mcpServer: any) {
+  mcpServer.tool(
+    "waitForEvent",
+    "Wait until a matching GA4 hit, Meta Pixel hit or dataLayer push is captured from the browser, e.g. right after asking the user (or a browser-automation tool) to click \"Add to cart\". Returns the matching event as soon as it arrives, together with the events that led up to it, or reports a timeout. dataLayer pushes to renamed or additional layers are only seen while \"Record dataLayer pushes\" is enabled; without it only the main layer is polled.",
+    {
+      source: z.enum(EVENT_SOURCES).describe("Where to look: \"ga4\", \"metaPixel\" or \"dataLayer\"."),
+      eventName: z.string().optional().describe("Exact event name, e.g. \"add_to_cart\" (GA4 en / dataLayer event) or \"AddToCart\" (Meta ev)."),
+      params: z
+        .record(z.union([z.string(), z.number(), z.boolean()]))
+        .optional()
+        .describe("Parameters that must all be equal, e.g. {\"currency\": \"EUR\"}. GA4 names are looked up with and without the ep./epn. prefixes, Meta names also as cd[name], dataLayer names may be dotted paths like \"ecommerce.value\"."),
+      timeoutMs: z.number().int().min(100).max(MAX_WAIT_MS).optional().describe(`How long to wait (default ${DEFAULT_WAIT_MS} ms).`),
+      since: z
+        .number()
+        .int()
+        .min(0)
+        .optional()
+        .describe("Also accept events already captured after this timeline cursor (see getTimelineEvents). Defaults to only events captured after the call."),
+      contextSize: z.number().int().min(0).max(100).optional().describe("How many preceding events to return with the match (default 10)."),
+      session: z.string().optional().describe("Only wait for events from this browser session (id or name from listBrowserSessions)."),
+    },
+    async (args: any, extra: any): Promise<any> => {
+      const source: EventSource = args.source;
+      const matcher: EventMatcher = { eventName: args.eventName, params: args.params };
+      const timeoutMs = args.timeoutMs ?? DEFAULT_WAIT_MS;
+      const contextSize = args.contextSize ?? 10;
+      const startCursor = getLatestCursor();
+      const startedAt = Date.now();
+
+      const outcome = await waitForMatch(source, matcher, args.since ?? startCursor, args.session, timeoutMs, extra?.signal);
+      const waitedMs = Date.now() - startedAt;
+
+      if (outcome.kind === "error") {
+        return extensionErrorResult(outcome.error, SOURCE_LABELS[source]);
+      }
+
+      let result: Record<string, any>;
+      if (outcome.kind === "timeline") {
+        result = {
+          matched: true,
+          source,
+          waitedMs,
+          event: outcome.event,
+          leadingEvents: getEventsBefore(outcome.event.cursor, args.session, contextSize),
+          nextCursor: outcome.event.cursor,
+        };
+      } else if (outcome.kind === "dataLayer") {
+        result = {
+          matched: true,
+          source,
+          waitedMs,
+          event: { index: outcome.index, push: outcome.push, pageUrl: outcome.pageUrl, session: outcome.session },
+          precedingPushes: outcome.dataLayer.slice(Math.max(0, outcome.index - contextSize), outcome.index),
+          leadingEvents: getEventsBefore(getLatestCursor() + 1, args.session, contextSize),
+          nextCursor: getLatestCursor(),
+        };
+      } else {
+        // Report what did arrive so the agent can see why nothing matched
+        const arrived = queryTimeline({ since: startCursor, kinds: [SOURCE_KINDS[source]], session: args.session, limit: TIMELINE_CAPACITY }).events;
+        const observedEventNames = Array.from(
+          new Set(arrived.map((e) => eventNameOf(source, source === "dataLayer" ? e.data?.push : e.data)).filter(Boolean)),
+        );
+        result = {
+          matched: false,
+          timedOut: true,
+          source,
+          waitedMs,
+          matcher,
+          observedEventNames,
+          nextCursor: getLatestCursor(),
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+            _meta: { matched: result.matched, waitedMs },
+          },
+        ],
+      };
+    }
+  );
+}
@@ -8,10 +8,14 @@ import { v4 as uuidv4 } from "uuid";
 const LOCK_BASENAME = "dataLayerMCP_active_instance.json";
 const LOCK_PATH = path.join(os.tmpdir(), LOCK_BASENAME);
 
+export type InstanceMode = "stdio" | "http";
+
 type LockFile = {
   instanceId: string;
   pid: number;
   startedAt: number; // epoch ms
+  mode?: InstanceMode;
+  httpUrl?: string; // set by long-running HTTP-mode instances
 };
 
 const myInstanceId = uuidv4();
@@ -35,9 +39,25 @@ function writeLockFile(data: LockFile) {
   } catch {}
 }
 
-export function initActiveInstance(): void {
+function isProcessAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error: any) {
+    return error?.code === "EPERM";
+  }
+}
+
+// A live HTTP-mode instance owns the ports; stdio instances must not kill it
+export function getRunningHttpInstance(): LockFile | null {
+  const cur = readLockFile();
+  if (!cur || cur.mode !== "http" || cur.instanceId === myInstanceId) return null;
+  return isProcessAlive(cur.pid) ? cur : null;
+}
+
+export function initActiveInstance(mode: InstanceMode = "stdio", httpUrl?: string): void {
   // Claim leadership by writing our identity
-  writeLockFile({ instanceId: myInstanceId, pid: process.pid, startedAt: myStartedAt });
+  writeLockFile({ instanceId: myInstanceId, pid: process.pid, startedAt: myStartedAt, mode, httpUrl });
   amActive = true;
 
   // Watch for lock changes; if replaced by another instance, demote self
@@ -0,0 +1,225 @@
+// yaml.ts - Parser for the small YAML subset used by tracking plan files
+//
+// Supported: block mappings and sequences nested by indentation, "- key: value" sequence items,
+// flow collections ([a, b], { type: string }), quoted and plain scalars, and # comments.
+// Anchors, tags, multi-document streams and block scalars (| and >) are not supported.
+
+interface Line {
+  number: number;
+  indent: number;
+  text: string;
+}
+
+export class YamlError extends Error {
+  constructor(message: string, line?: number) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = "YamlError";
+  }
+}
+
+// Drop a trailing comment, leaving # inside quotes alone
+function stripComment(text: string): string {
+  let quote: string | null = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+function toLines(source: string): Line[] {
+  const lines: Line[] = [];
+  source.split(/\r?\n/).forEach((raw, index) => {
+    if (/^\t/.test(raw)) throw new YamlError("Tabs are not allowed for indentation", index + 1);
+    const text = stripComment(raw).trimEnd();
+    if (!text.trim() || text.trim() === "---") return;
+    const indent = text.length - text.trimStart().length;
+    lines.push({ number: index + 1, indent, text: text.trimStart() });
+  });
+  return lines;
+}
+
+// Position of the ": " separating a mapping key from its value, or -1
+function keySeparator(text: string): number {
+  let quote: string | null = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && i === 0) {
+      quote = char;
+    } else if (char === "[" || char === "{") {
+      if (i === 0) return -1;
+    } else if (char === ":" && (i === text.length - 1 || text[i + 1] === " ")) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function isSequenceItem(text: string): boolean {
+  return text === "-" || text.startsWith("- ");
+}
+
+function parseScalar(text: string, line: number): any {
+  const value = text.trim();
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new YamlError(`Invalid double-quoted string ${value}`, line);
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!value.endsWith("'") || value.length < 2) throw new YamlError(`Invalid single-quoted string ${value}`, line);
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value === "" || value === "~" || value === "null") return null;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+// [a, "b", { c: 1 }] and { a: 1, b: [x, y] }
+function parseFlow(text: string, line: number): any {
+  let pos = 0;
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  const parseValue = (terminators: string): any => {
+    skipSpace();
+    const char = text[pos];
+    if (char === "[") {
+      pos++;
+      const list: any[] = [];
+      skipSpace();
+      if (text[pos] === "]") {
+        pos++;
+        return list;
+      }
+      for (;;) {
+        list.push(parseValue(",]"));
+        skipSpace();
+        if (text[pos] === ",") pos++;
+        else if (text[pos] === "]") {
+          pos++;
+          return list;
+        } else throw new YamlError(`Expected , or ] in ${text}`, line);
+      }
+    }
+    if (char === "{") {
+      pos++;
+      const map: Record<string, any> = {};
+      skipSpace();
+      if (text[pos] === "}") {
+        pos++;
+        return map;
+      }
+      for (;;) {
+        const key = parseValue(":,}");
+        skipSpace();
+        if (text[pos] !== ":") throw new YamlError(`Expected : after ${key} in ${text}`, line);
+        pos++;
+        map[String(key)] = parseValue(",}");
+        skipSpace();
+        if (text[pos] === ",") pos++;
+        else if (text[pos] === "}") {
+          pos++;
+          return map;
+        } else throw new YamlError(`Expected , or } in ${text}`, line);
+      }
+    }
+    const start = pos;
+    if (char === '"' || char === "'") {
+      pos++;
+      while (pos < text.length && !(text[pos] === char && text[pos - 1] !== "\\")) pos++;
+      pos++;
+    } else {
+      while (pos < text.length && !terminators.includes(text[pos])) pos++;
+    }
+    return parseScalar(text.slice(start, pos), line);
+  };
+
+  const value = parseValue("");
+  skipSpace();
+  if (pos < text.length) throw new YamlError(`Unexpected "${text.slice(pos)}"`, line);
+  return value;
+}
+
+function parseInline(text: string, line: number): any {
+  return text.startsWith("[") || text.startsWith("{") ? parseFlow(text, line) : parseScalar(text, line);
+}
+
+export function parseYaml(source: string): any {
+  const lines = toLines(source);
+  let pos = 0;
+
+  const parseBlock = (indent: number): any =>
+    isSequenceItem(lines[pos].text) ? parseSequence(indent) : parseMapping(indent);
+
+  // Value of a "key:" or "-" with nothing after it: a nested block, or null
+  const parseNested = (parentIndent: number, allowSameIndentSequence: boolean): any => {
+    const next = lines[pos];
+    if (!next) return null;
+    if (next.indent > parentIndent) return parseBlock(next.indent);
+    if (allowSameIndentSequence && next.indent === parentIndent && isSequenceItem(next.text)) {
+      return parseSequence(parentIndent);
+    }
+    return null;
+  };
+
+  function parseSequence(indent: number): any[] {
+    const list: any[] = [];
+    while (pos < lines.length && lines[pos].indent === indent && isSequenceItem(lines[pos].text)) {
+      const line = lines[pos];
+      const rest = line.text.slice(1).trimStart();
+      if (!rest) {
+        pos++;
+        list.push(parseNested(indent, false));
+      } else if (keySeparator(rest) > 0) {
+        // "- key: value" starts a mapping indented to where its first key begins
+        const itemIndent = indent + (line.text.length - rest.length);
+        lines[pos] = { number: line.number, indent: itemIndent, text: rest };
+        list.push(parseMapping(itemIndent));
+      } else {
+        pos++;
+        list.push(parseInline(rest, line.number));
+      }
+    }
+    return list;
+  }
+
+  function parseMapping(indent: number): Record<string, any> {
+    const map: Record<string, any> = {};
+    while (pos < lines.length && lines[pos].indent === indent) {
+      const line = lines[pos];
+      if (isSequenceItem(line.text)) break;
+      const separator = keySeparator(line.text);
+      if (separator <= 0) throw new YamlError(`Expected "key: value", got "${line.text}"`, line.number);
+      const key = String(parseScalar(line.text.slice(0, separator), line.number));
+      const rest = line.text.slice(separator + 1).trim();
+      pos++;
+      map[key] = rest ? parseInline(rest, line.number) : parseNested(indent, true);
+    }
+    if (pos < lines.length && lines[pos].indent > indent) {
+      throw new YamlError("Unexpected indentation", lines[pos].number);
+    }
+    return map;
+  }
+
+  if (lines.length === 0) return null;
+  if (lines[0].indent !== 0) throw new YamlError("Document must not be indented", lines[0].number);
+  if (lines.length === 1 && keySeparator(lines[0].text) < 0 && !isSequenceItem(lines[0].text)) {
+    return parseInline(lines[0].text, lines[0].number);
+  }
+  const value = parseBlock(0);
+  if (pos < lines.length) throw new YamlError("Unexpected content after the document", lines[pos].number);
+  return value;
+}
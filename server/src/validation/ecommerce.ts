@@ -0,0 +1,412 @@
+// ecommerce.ts - Normalize ecommerce events from the dataLayer, GA4 and Meta Pixel and cross-check them
+
+import { DecodedGa4Hit } from "../decoders/ga4.js";
+import { DecodedMetaPixelHit } from "../decoders/metaPixel.js";
+import { EventSource } from "../timeline/matchers.js";
+
+export const FUNNEL_STEPS = ["add_to_cart", "begin_checkout", "purchase"] as const;
+export type FunnelStep = (typeof FUNNEL_STEPS)[number];
+
+const META_STEPS: Record<string, FunnelStep> = {
+  AddToCart: "add_to_cart",
+  InitiateCheckout: "begin_checkout",
+  Purchase: "purchase",
+};
+
+// Rounding in templates and currency formatting; anything bigger is a real difference
+const AMOUNT_TOLERANCE = 0.01;
+
+export interface EcommerceItem {
+  id: string | null;
+  name: string | null;
+  price: any; // as sent; checked by the audit
+  quantity: any;
+}
+
+export interface EcommerceRecord {
+  source: EventSource;
+  destination: string | null; // GA4 measurement ID or Meta pixel ID; null for the dataLayer
+  step: FunnelStep;
+  eventName: string;
+  transactionId: string | null;
+  value: any;
+  currency: string | null;
+  tax: number | null;
+  shipping: number | null;
+  items: EcommerceItem[];
+  pageUrl: string | null;
+  timestamp: number | null;
+  ref: Record<string, any>; // where to find it: dataLayer index or hit eventId
+}
+
+export interface EcommerceIssue {
+  type: string;
+  severity: "error" | "warning" | "info";
+  step: FunnelStep;
+  transactionId?: string | null;
+  source?: EventSource;
+  destination?: string | null;
+  values?: Record<string, any>; // keyed by source name, e.g. "dataLayer", "ga4 G-ABC123"
+  message: string;
+  refs: Record<string, Record<string, any>>;
+}
+
+function isFunnelStep(value: any): value is FunnelStep {
+  return FUNNEL_STEPS.includes(value);
+}
+
+function toNumber(value: any): number | null {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string" || value.trim() === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toText(value: any): string | null {
+  return value === undefined || value === null || value === "" ? null : String(value);
+}
+
+function sameAmount(a: number, b: number): boolean {
+  return Math.abs(a - b) <= AMOUNT_TOLERANCE;
+}
+
+function formatAmount(value: number): string {
+  return String(Math.round(value * 100) / 100);
+}
+
+function ga4Item(item: any): EcommerceItem {
+  return { id: toText(item?.item_id), name: toText(item?.item_name), price: item?.price, quantity: item?.quantity };
+}
+
+// Universal Analytics enhanced ecommerce products ({ id, name, price, quantity })
+function uaItem(product: any): EcommerceItem {
+  return { id: toText(product?.id), name: toText(product?.name), price: product?.price, quantity: product?.quantity };
+}
+
+type RecordBase = Pick<EcommerceRecord, "pageUrl" | "timestamp" | "ref">;
+
+function fromGa4Params(source: EventSource, destination: string | null, step: FunnelStep, eventName: string, params: any, base: RecordBase): EcommerceRecord {
+  return {
+    source,
+    destination,
+    step,
+    eventName,
+    transactionId: toText(params?.transaction_id),
+    value: params?.value,
+    currency: toText(params?.currency),
+    tax: toNumber(params?.tax),
+    shipping: toNumber(params?.shipping),
+    items: Array.isArray(params?.items) ? params.items.map(ga4Item) : [],
+    ...base,
+  };
+}
+
+// dataLayer.push({ event: "purchase", ecommerce: {...} }), gtag("event", "purchase", {...}) commands
+// and Universal Analytics enhanced ecommerce pushes ({ ecommerce: { purchase: { actionField, products } } })
+export function ecommerceFromPush(push: any, base: RecordBase): EcommerceRecord | null {
+  if (!push || typeof push !== "object") return null;
+  if (push[0] === "event" && isFunnelStep(push[1])) {
+    return fromGa4Params("dataLayer", null, push[1], push[1], push[2] || {}, base);
+  }
+  const ecommerce = push.ecommerce;
+  if (!ecommerce || typeof ecommerce !== "object") return null;
+  if (isFunnelStep(push.event)) {
+    return fromGa4Params("dataLayer", null, push.event, push.event, ecommerce, base);
+  }
+
+  const currency = toText(ecommerce.currencyCode);
+  const eventName = typeof push.event === "string" ? push.event : "(no event)";
+  if (ecommerce.purchase) {
+    const action = ecommerce.purchase.actionField || {};
+    return {
+      source: "dataLayer",
+      destination: null,
+      step: "purchase",
+      eventName,
+      transactionId: toText(action.id),
+      value: action.revenue,
+      currency,
+      tax: toNumber(action.tax),
+      shipping: toNumber(action.shipping),
+      items: (ecommerce.purchase.products || []).map(uaItem),
+      ...base,
+    };
+  }
+  const uaSteps: [string, FunnelStep][] = [["add", "add_to_cart"], ["checkout", "begin_checkout"]];
+  for (const [key, step] of uaSteps) {
+    const action = ecommerce[key];
+    // Only the first checkout step is the funnel's begin_checkout
+    if (!action || (key === "checkout" && action.actionField?.step !== undefined && Number(action.actionField.step) !== 1)) continue;
+    return { source: "dataLayer", destination: null, step, eventName, transactionId: null, value: undefined, currency, tax: null, shipping: null, items: (action.products || []).map(uaItem), ...base };
+  }
+  return null;
+}
+
+export function ecommerceFromGa4Hit(decoded: DecodedGa4Hit, base: RecordBase): EcommerceRecord | null {
+  if (!isFunnelStep(decoded.eventName)) return null;
+  return fromGa4Params("ga4", decoded.measurementId, decoded.eventName, decoded.eventName, { ...decoded.eventParams, items: decoded.items }, base);
+}
+
+export function ecommerceFromMetaPixelHit(decoded: DecodedMetaPixelHit, base: RecordBase): EcommerceRecord | null {
+  const step = META_STEPS[decoded.eventName || ""];
+  if (!step) return null;
+  const data = decoded.customData;
+  const items: EcommerceItem[] = Array.isArray(data.contents)
+    ? data.contents.map((content: any) => ({ id: toText(content?.id), name: null, price: content?.item_price, quantity: content?.quantity }))
+    : Array.isArray(data.content_ids)
+      ? data.content_ids.map((id: any) => ({ id: toText(id), name: null, price: undefined, quantity: undefined }))
+      : [];
+  return {
+    source: "metaPixel",
+    destination: decoded.pixelId,
+    step,
+    eventName: decoded.eventName as string,
+    transactionId: toText(data.order_id),
+    value: data.value,
+    currency: toText(data.currency),
+    tax: null,
+    shipping: null,
+    items,
+    ...base,
+  };
+}
+
+function totalQuantity(record: EcommerceRecord): number | null {
+  if (record.items.length === 0 || record.items.some((item) => item.quantity === undefined)) return null;
+  return record.items.reduce((sum, item) => sum + (toNumber(item.quantity) ?? 0), 0);
+}
+
+// A purchase sent to two GA4 properties or two pixels is two records, told apart by their destination
+function sourceName(record: EcommerceRecord): string {
+  return record.destination ? `${record.source} ${record.destination}` : record.source;
+}
+
+function label(record: EcommerceRecord): string {
+  return record.transactionId ? `${record.step} ${record.transactionId}` : record.step;
+}
+
+function checkRecord(record: EcommerceRecord, issues: EcommerceIssue[]) {
+  const name = sourceName(record);
+  const base = { step: record.step, transactionId: record.transactionId, source: record.source, destination: record.destination, refs: { [name]: record.ref } };
+  const value = toNumber(record.value);
+
+  record.items.forEach((item, index) => {
+    const quantity = item.quantity === undefined ? null : toNumber(item.quantity);
+    if (item.quantity !== undefined && (quantity === null || quantity <= 0 || !Number.isInteger(quantity))) {
+      issues.push({ ...base, type: "invalid_quantity", severity: "error", values: { [name]: item.quantity }, message: `${name} ${label(record)}: item ${index} (${item.id ?? item.name ?? "no id"}) has quantity ${JSON.stringify(item.quantity)}; expected a positive whole number` });
+    }
+    const price = item.price === undefined ? null : toNumber(item.price);
+    if (item.price !== undefined && (price === null || price < 0)) {
+      issues.push({ ...base, type: "invalid_price", severity: "error", values: { [name]: item.price }, message: `${name} ${label(record)}: item ${index} (${item.id ?? item.name ?? "no id"}) has price ${JSON.stringify(item.price)}; expected a non-negative number` });
+    }
+  });
+
+  if (record.value !== undefined && value === null) {
+    issues.push({ ...base, type: "invalid_value", severity: "error", values: { [name]: record.value }, message: `${name} ${label(record)}: value ${JSON.stringify(record.value)} is not a number` });
+  }
+  if (value !== null && !record.currency) {
+    issues.push({ ...base, type: "missing_currency", severity: "error", message: `${name} ${label(record)}: value ${formatAmount(value)} is sent without a currency, so no revenue is recorded` });
+  }
+  if (record.step === "purchase" && record.value === undefined) {
+    issues.push({ ...base, type: "missing_value", severity: "error", message: `${name} ${label(record)} has no value` });
+  }
+  if (record.step === "purchase" && !record.transactionId && record.source !== "metaPixel") {
+    issues.push({ ...base, type: "missing_transaction_id", severity: "error", message: `${name} purchase has no transaction_id, so GA4 cannot deduplicate it` });
+  }
+
+  // value is normally the items' total, optionally including tax and shipping
+  const priced = record.items.map((item) => [toNumber(item.price), item.quantity === undefined ? 1 : toNumber(item.quantity)]);
+  if (value !== null && priced.length && priced.every(([price, quantity]) => price !== null && quantity !== null)) {
+    const itemsTotal = priced.reduce((sum, [price, quantity]) => sum + (price as number) * (quantity as number), 0);
+    const withExtras = itemsTotal + (record.tax ?? 0) + (record.shipping ?? 0);
+    if (!sameAmount(value, itemsTotal) && !sameAmount(value, withExtras)) {
+      const extras = record.tax || record.shipping ? ` (${formatAmount(withExtras)} with tax and shipping)` : "";
+      issues.push({ ...base, type: "value_items_mismatch", severity: "warning", values: { [name]: value }, message: `${name} ${label(record)}: value is ${formatAmount(value)} but items add up to ${formatAmount(itemsTotal)} (price × quantity)${extras}; expected unless a discount applies` });
+    }
+  }
+}
+
+// Records of one transaction or funnel step seen in several sources
+interface RecordGroup {
+  step: FunnelStep;
+  transactionId: string | null;
+  records: EcommerceRecord[];
+}
+
+function describeValues(records: EcommerceRecord[], read: (record: EcommerceRecord) => any): string {
+  return records.map((record) => `${sourceName(record)} ${read(record) ?? "(none)"}`).join(", ");
+}
+
+function compareGroup(group: RecordGroup, issues: EcommerceIssue[]) {
+  const records = group.records;
+  if (records.length < 2) return;
+  const refs = Object.fromEntries(records.map((record) => [sourceName(record), record.ref]));
+  const base = { step: group.step, transactionId: group.transactionId, refs };
+  const what = group.transactionId ? `${group.step} ${group.transactionId}` : `${group.step} on ${records[0].pageUrl ?? "the page"}`;
+  const valuesOf = (read: (record: EcommerceRecord) => any) => Object.fromEntries(records.map((record) => [sourceName(record), read(record)]));
+
+  const currencies = records.filter((record) => record.currency).map((record) => record.currency);
+  if (new Set(currencies).size > 1) {
+    issues.push({ ...base, type: "currency_mismatch", severity: "error", values: valuesOf((record) => record.currency), message: `${what}: currency differs between sources (${describeValues(records, (record) => record.currency)})` });
+  }
+
+  const amounts = records.map((record) => toNumber(record.value)).filter((value): value is number => value !== null);
+  if (amounts.some((amount) => !sameAmount(amount, amounts[0]))) {
+    issues.push({ ...base, type: "value_mismatch", severity: "error", values: valuesOf((record) => toNumber(record.value)), message: `${what}: value differs between sources (${describeValues(records, (record) => toNumber(record.value))})` });
+  }
+
+  const quantities = records.map(totalQuantity).filter((quantity): quantity is number => quantity !== null);
+  if (new Set(quantities).size > 1) {
+    issues.push({ ...base, type: "quantity_mismatch", severity: "warning", values: valuesOf(totalQuantity), message: `${what}: total item quantity differs between sources (${describeValues(records, totalQuantity)})` });
+  }
+
+  const idSets = records
+    .filter((record) => record.items.length && record.items.every((item) => item.id))
+    .map((record) => ({ record, ids: [...new Set(record.items.map((item) => item.id as string))].sort() }));
+  if (idSets.some(({ ids }) => ids.join("|") !== idSets[0].ids.join("|"))) {
+    issues.push({
+      ...base,
+      type: "items_mismatch",
+      severity: "warning",
+      values: Object.fromEntries(idSets.map(({ record, ids }) => [sourceName(record), ids])),
+      message: `${what}: item IDs differ between sources (${idSets.map(({ record, ids }) => `${sourceName(record)} [${ids.join(", ")}]`).join("; ")})`,
+    });
+  }
+}
+
+// Purchases pair up by transaction_id (order_id for Meta). A Meta Purchase without one joins the
+// purchase on the same page closest in time. Other steps pair up by their order on the page. Each
+// GA4 property and each pixel is its own source.
+function groupRecords(records: EcommerceRecord[]): RecordGroup[] {
+  const groups: RecordGroup[] = [];
+  const byTransaction = new Map<string, RecordGroup>();
+  const unmatchedMeta: EcommerceRecord[] = [];
+
+  for (const record of records.filter((r) => r.step === "purchase")) {
+    if (!record.transactionId) {
+      if (record.source === "metaPixel") unmatchedMeta.push(record);
+      else groups.push({ step: "purchase", transactionId: null, records: [record] });
+      continue;
+    }
+    let group = byTransaction.get(record.transactionId);
+    if (!group) {
+      group = { step: "purchase", transactionId: record.transactionId, records: [] };
+      byTransaction.set(record.transactionId, group);
+      groups.push(group);
+    }
+    // A duplicate of the same source is reported separately; compare the first one only
+    if (!group.records.some((r) => sourceName(r) === sourceName(record))) group.records.push(record);
+  }
+
+  for (const meta of unmatchedMeta) {
+    const candidates = groups.filter(
+      (group) => !group.records.some((r) => sourceName(r) === sourceName(meta)) && group.records.some((r) => r.pageUrl === meta.pageUrl),
+    );
+    const distance = (group: RecordGroup) =>
+      Math.min(...group.records.map((r) => (r.timestamp && meta.timestamp ? Math.abs(r.timestamp - meta.timestamp) : Number.MAX_SAFE_INTEGER)));
+    const closest = candidates.sort((a, b) => distance(a) - distance(b))[0];
+    if (closest) closest.records.push(meta);
+    else groups.push({ step: "purchase", transactionId: null, records: [meta] });
+  }
+
+  const ordinals = new Map<string, number>();
+  const byPosition = new Map<string, RecordGroup>();
+  for (const record of records.filter((r) => r.step !== "purchase")) {
+    const counter = `${sourceName(record)}|${record.step}|${record.pageUrl}`;
+    const ordinal = ordinals.get(counter) || 0;
+    ordinals.set(counter, ordinal + 1);
+    const key = `${record.step}|${record.pageUrl}|${ordinal}`;
+    let group = byPosition.get(key);
+    if (!group) {
+      group = { step: record.step, transactionId: null, records: [] };
+      byPosition.set(key, group);
+      groups.push(group);
+    }
+    group.records.push(record);
+  }
+  return groups;
+}
+
+function checkDuplicates(records: EcommerceRecord[], issues: EcommerceIssue[]) {
+  const seen = new Map<string, EcommerceRecord[]>();
+  for (const record of records) {
+    if (record.step !== "purchase" || !record.transactionId) continue;
+    const key = `${sourceName(record)}|${record.transactionId}`;
+    seen.set(key, [...(seen.get(key) || []), record]);
+  }
+  for (const duplicates of seen.values()) {
+    if (duplicates.length < 2) continue;
+    const { source, destination, transactionId } = duplicates[0];
+    const name = sourceName(duplicates[0]);
+    const pages = [...new Set(duplicates.map((record) => record.pageUrl))];
+    issues.push({
+      type: "duplicate_transaction_id",
+      severity: "error",
+      step: "purchase",
+      transactionId,
+      source,
+      destination,
+      message: `${name} has ${duplicates.length} purchases with transaction_id ${transactionId}${pages.length > 1 ? " on different pages" : " on the same page"}; revenue is counted more than once unless deduplicated`,
+      refs: { [name]: { occurrences: duplicates.map((record) => record.ref) } },
+    });
+  }
+}
+
+// Steps are in capture order per source. Out-of-order steps on one page are always reported;
+// skipped steps only when the whole session was collected.
+function checkFunnel(records: EcommerceRecord[], sessionScope: boolean, issues: EcommerceIssue[]) {
+  const names = [...new Set(records.map(sourceName))];
+  for (const name of names) {
+    const sequence = records.filter((record) => sourceName(record) === name);
+    sequence.forEach((record, position) => {
+      const earlier = sequence.slice(0, position);
+      const rank = FUNNEL_STEPS.indexOf(record.step);
+      const purchaseBefore = earlier.find((r) => r.step === "purchase" && r.pageUrl === record.pageUrl);
+      if (rank < FUNNEL_STEPS.indexOf("purchase") && purchaseBefore) {
+        issues.push({
+          type: "funnel_out_of_order",
+          severity: "warning",
+          step: record.step,
+          source: record.source,
+          destination: record.destination,
+          message: `${name} ${record.step} fired after ${label(purchaseBefore)} on the same page`,
+          refs: { [name]: record.ref },
+        });
+      }
+      if (sessionScope && rank > 0 && !earlier.some((r) => r.step === FUNNEL_STEPS[rank - 1])) {
+        issues.push({
+          type: "funnel_step_skipped",
+          severity: "info",
+          step: record.step,
+          transactionId: record.transactionId,
+          source: record.source,
+          destination: record.destination,
+          message: `${name} ${label(record)} has no ${FUNNEL_STEPS[rank - 1]} before it in this session`,
+          refs: { [name]: record.ref },
+        });
+      }
+    });
+  }
+}
+
+export function auditEcommerceRecords(records: EcommerceRecord[], options: { sessionScope: boolean }) {
+  const issues: EcommerceIssue[] = [];
+  for (const record of records) checkRecord(record, issues);
+  checkDuplicates(records, issues);
+  const groups = groupRecords(records);
+  for (const group of groups) compareGroup(group, issues);
+  checkFunnel(records, options.sessionScope, issues);
+
+  const transactions = groups
+    .filter((group) => group.step === "purchase")
+    .map((group) => ({
+      transactionId: group.transactionId,
+      sources: Object.fromEntries(
+        group.records.map((record) => [
+          sourceName(record),
+          { value: toNumber(record.value), currency: record.currency, items: record.items.length, quantity: totalQuantity(record), pageUrl: record.pageUrl, ...record.ref },
+        ]),
+      ),
+    }));
+  return { issues, transactions };
+}
@@ -0,0 +1,154 @@
+// ga4Rules.ts - Offline checks of decoded GA4 hits against GA4's documented collection limits
+
+import { DecodedGa4Hit } from "../decoders/ga4.js";
+
+export type Severity = "error" | "warning" | "info";
+
+export interface Finding {
+  rule: string;
+  severity: Severity; // error: dropped or not attributed, warning: truncated or ignored, info: worth a look
+  field: string;
+  message: string;
+  value?: any;
+}
+
+const MAX_EVENT_NAME_LENGTH = 40;
+const MAX_PARAM_NAME_LENGTH = 40;
+const MAX_EVENT_PARAMS = 25;
+const MAX_PARAM_VALUE_LENGTH = 100;
+const MAX_ITEMS = 200;
+const MAX_USER_PROPERTY_NAME_LENGTH = 24;
+const MAX_USER_PROPERTY_VALUE_LENGTH = 36;
+
+// Page fields have their own, longer limits
+const PAGE_VALUE_LIMITS: Record<string, number> = { location: 1000, referrer: 420, title: 300 };
+
+// user_engagement is reserved for custom events but sent by gtag.js itself, so it is not listed
+const RESERVED_EVENT_NAMES = new Set([
+  "ad_activeview", "ad_click", "ad_exposure", "ad_impression", "ad_query", "ad_reward", "adunit_exposure",
+  "app_background", "app_clear_data", "app_exception", "app_remove", "app_store_refund",
+  "app_store_subscription_cancel", "app_store_subscription_convert", "app_store_subscription_renew",
+  "app_update", "app_upgrade", "dynamic_link_app_open", "dynamic_link_app_update", "dynamic_link_first_open",
+  "error", "firebase_campaign", "firebase_in_app_message_action", "firebase_in_app_message_dismiss",
+  "firebase_in_app_message_impression", "first_open", "first_visit", "in_app_purchase", "notification_dismiss",
+  "notification_foreground", "notification_open", "notification_receive", "os_update", "session_start",
+  "session_start_with_rollout",
+]);
+const RESERVED_USER_PROPERTIES = new Set([
+  "first_open_time", "first_visit_time", "last_deep_link_referrer", "user_id", "first_open_after_install",
+]);
+const RESERVED_PREFIXES = ["_", "firebase_", "ga_", "google_", "gtag."];
+
+// Events whose value is only attributed as revenue when a currency is set
+const MONETARY_EVENTS = new Set([
+  "add_payment_info", "add_shipping_info", "add_to_cart", "add_to_wishlist", "begin_checkout", "generate_lead",
+  "purchase", "refund", "remove_from_cart", "view_cart", "view_item",
+]);
+
+let currencyCodes: Set<string> | null = null;
+function isCurrencyCode(value: string): boolean {
+  if (!currencyCodes) {
+    const supported = (Intl as any).supportedValuesOf?.("currency");
+    currencyCodes = new Set(Array.isArray(supported) ? supported : []);
+  }
+  return /^[A-Z]{3}$/.test(value) && (currencyCodes.size === 0 || currencyCodes.has(value));
+}
+
+function reservedPrefix(name: string): string | undefined {
+  return RESERVED_PREFIXES.find((prefix) => name.startsWith(prefix));
+}
+
+function checkEventName(name: string | null, findings: Finding[]) {
+  if (!name) {
+    findings.push({ rule: "missing_event_name", severity: "error", field: "en", message: "Hit has no event name (en)" });
+    return;
+  }
+  if (name.length > MAX_EVENT_NAME_LENGTH) {
+    findings.push({ rule: "event_name_too_long", severity: "error", field: "en", value: name, message: `Event name is ${name.length} characters; the limit is ${MAX_EVENT_NAME_LENGTH}` });
+  }
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+    findings.push({ rule: "event_name_invalid_characters", severity: "error", field: "en", value: name, message: "Event names must start with a letter and contain only letters, numbers and underscores" });
+  }
+  if (RESERVED_EVENT_NAMES.has(name)) {
+    findings.push({ rule: "reserved_event_name", severity: "error", field: "en", value: name, message: `"${name}" is a reserved event name` });
+  }
+  const prefix = reservedPrefix(name);
+  if (prefix) {
+    findings.push({ rule: "reserved_event_prefix", severity: "error", field: "en", value: name, message: `Event names may not start with "${prefix}"` });
+  }
+}
+
+function checkEventParams(params: Record<string, string | number>, findings: Finding[]) {
+  const names = Object.keys(params);
+  if (names.length > MAX_EVENT_PARAMS) {
+    findings.push({ rule: "too_many_event_params", severity: "warning", field: "eventParams", value: names.length, message: `Event has ${names.length} parameters; only ${MAX_EVENT_PARAMS} are collected` });
+  }
+  for (const name of names) {
+    const field = `eventParams.${name}`;
+    if (name.length > MAX_PARAM_NAME_LENGTH) {
+      findings.push({ rule: "param_name_too_long", severity: "error", field, message: `Parameter name is ${name.length} characters; the limit is ${MAX_PARAM_NAME_LENGTH}` });
+    }
+    const prefix = reservedPrefix(name);
+    if (prefix) {
+      findings.push({ rule: "reserved_param_prefix", severity: "error", field, message: `Parameter names may not start with "${prefix}"` });
+    }
+    const value = params[name];
+    if (typeof value === "string" && value.length > MAX_PARAM_VALUE_LENGTH) {
+      findings.push({ rule: "param_value_too_long", severity: "warning", field, value: value.length, message: `Value is ${value.length} characters and will be truncated to ${MAX_PARAM_VALUE_LENGTH}` });
+    }
+  }
+}
+
+function checkUserProperties(properties: Record<string, string | number>, findings: Finding[]) {
+  for (const [name, value] of Object.entries(properties)) {
+    const field = `userProperties.${name}`;
+    if (name.length > MAX_USER_PROPERTY_NAME_LENGTH) {
+      findings.push({ rule: "user_property_name_too_long", severity: "error", field, message: `User property name is ${name.length} characters; the limit is ${MAX_USER_PROPERTY_NAME_LENGTH}` });
+    }
+    if (RESERVED_USER_PROPERTIES.has(name) || reservedPrefix(name)) {
+      findings.push({ rule: "reserved_user_property", severity: "error", field, message: `"${name}" is a reserved user property name` });
+    }
+    if (typeof value === "string" && value.length > MAX_USER_PROPERTY_VALUE_LENGTH) {
+      findings.push({ rule: "user_property_value_too_long", severity: "warning", field, value: value.length, message: `Value is ${value.length} characters and will be truncated to ${MAX_USER_PROPERTY_VALUE_LENGTH}` });
+    }
+  }
+}
+
+function checkPage(page: Record<string, any>, findings: Finding[]) {
+  for (const [name, limit] of Object.entries(PAGE_VALUE_LIMITS)) {
+    const value = page[name];
+    if (typeof value === "string" && value.length > limit) {
+      findings.push({ rule: "page_value_too_long", severity: "warning", field: `page.${name}`, value: value.length, message: `page ${name} is ${value.length} characters and will be truncated to ${limit}` });
+    }
+  }
+}
+
+function checkEcommerce(decoded: DecodedGa4Hit, findings: Finding[]) {
+  const { items, eventParams } = decoded;
+  if (items.length > MAX_ITEMS) {
+    findings.push({ rule: "too_many_items", severity: "warning", field: "items", value: items.length, message: `Event has ${items.length} items; only the first ${MAX_ITEMS} are collected` });
+  }
+  items.forEach((item, index) => {
+    if (item.item_id === undefined && item.item_name === undefined) {
+      findings.push({ rule: "item_missing_id_and_name", severity: "error", field: `items[${index}]`, message: "Item has neither item_id nor item_name and will be dropped from reports" });
+    }
+  });
+
+  const currency = eventParams.currency;
+  if (currency !== undefined && !isCurrencyCode(String(currency))) {
+    findings.push({ rule: "invalid_currency", severity: "error", field: "eventParams.currency", value: currency, message: `"${currency}" is not an ISO 4217 currency code` });
+  }
+  if (MONETARY_EVENTS.has(decoded.eventName || "") && eventParams.value !== undefined && currency === undefined) {
+    findings.push({ rule: "value_without_currency", severity: "error", field: "eventParams.currency", message: "value is set without currency, so no revenue is recorded" });
+  }
+}
+
+export function validateGa4Hit(decoded: DecodedGa4Hit): Finding[] {
+  const findings: Finding[] = [];
+  checkEventName(decoded.eventName, findings);
+  checkEventParams(decoded.eventParams, findings);
+  checkUserProperties(decoded.userProperties, findings);
+  checkPage(decoded.page, findings);
+  checkEcommerce(decoded, findings);
+  return findings;
+}
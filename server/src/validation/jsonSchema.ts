@@ -0,0 +1,154 @@
+// jsonSchema.ts - Validator for the JSON Schema subset used by tracking plans
+//
+// Supported keywords: type (incl. integer and type lists), enum, const, properties, patternProperties,
+// required, additionalProperties, items, minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+// exclusiveMinimum, exclusiveMaximum, allOf, anyOf, oneOf and local $ref (#/definitions/..., #/$defs/...).
+// Unknown keywords (format, title, description, ...) are ignored.
+
+export interface SchemaError {
+  path: string; // JSON path of the offending value, e.g. "$.ecommerce.items[0].price"
+  keyword: string;
+  message: string;
+  expected?: any;
+  actual?: any;
+}
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+export function childPath(path: string, key: string | number): string {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return IDENTIFIER.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+export function typeOf(value: any): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value: any, type: string): boolean {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+export function resolveRef(ref: string, root: any): any {
+  if (!ref.startsWith("#")) throw new Error(`Only local $ref values are supported, got ${ref}`);
+  let target = root;
+  for (const part of ref.slice(1).split("/").filter(Boolean)) {
+    target = target?.[part.replace(/~1/g, "/").replace(/~0/g, "~")];
+  }
+  if (target === undefined) throw new Error(`Unresolved $ref ${ref}`);
+  return target;
+}
+
+function isEqual(a: any, b: any): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export function validateSchema(value: any, schema: any, root: any = schema, path = "$"): SchemaError[] {
+  if (schema === true || schema === undefined || schema === null) return [];
+  if (schema === false) return [{ path, keyword: "false", message: "No value is allowed here", actual: value }];
+  if (schema.$ref) return validateSchema(value, resolveRef(schema.$ref, root), root, path);
+
+  const errors: SchemaError[] = [];
+  const actualType = typeOf(value);
+
+  if (schema.type !== undefined) {
+    const types: string[] = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({
+        path,
+        keyword: "type",
+        message: `Expected ${types.join(" or ")}, got ${actualType}`,
+        expected: schema.type,
+        actual: value,
+      });
+      // Further keywords would only repeat the type problem
+      return errors;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((option: any) => isEqual(option, value))) {
+    errors.push({ path, keyword: "enum", message: `Value is not one of ${JSON.stringify(schema.enum)}`, expected: schema.enum, actual: value });
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    errors.push({ path, keyword: "const", message: `Value must be ${JSON.stringify(schema.const)}`, expected: schema.const, actual: value });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, keyword: "minLength", message: `Shorter than ${schema.minLength} characters`, expected: schema.minLength, actual: value });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, keyword: "maxLength", message: `Longer than ${schema.maxLength} characters`, expected: schema.maxLength, actual: value });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, keyword: "pattern", message: `Does not match /${schema.pattern}/`, expected: schema.pattern, actual: value });
+    }
+  }
+
+  if (typeof value === "number") {
+    const bounds: [string, (limit: number) => boolean, string][] = [
+      ["minimum", (limit) => value < limit, "Less than"],
+      ["maximum", (limit) => value > limit, "Greater than"],
+      ["exclusiveMinimum", (limit) => value <= limit, "Not greater than"],
+      ["exclusiveMaximum", (limit) => value >= limit, "Not less than"],
+    ];
+    for (const [keyword, fails, text] of bounds) {
+      if (typeof schema[keyword] === "number" && fails(schema[keyword])) {
+        errors.push({ path, keyword, message: `${text} ${schema[keyword]}`, expected: schema[keyword], actual: value });
+      }
+    }
+  }
+
+  if (actualType === "object") {
+    for (const key of Array.isArray(schema.required) ? schema.required : []) {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(path, key), keyword: "required", message: `Missing required property ${key}` });
+      }
+    }
+    const properties = schema.properties || {};
+    const patterns = Object.entries<any>(schema.patternProperties || {});
+    for (const [key, child] of Object.entries(value)) {
+      const matching = patterns.filter(([pattern]) => new RegExp(pattern).test(key));
+      for (const [, subschema] of matching) errors.push(...validateSchema(child, subschema, root, childPath(path, key)));
+      if (key in properties) {
+        errors.push(...validateSchema(child, properties[key], root, childPath(path, key)));
+      } else if (matching.length) {
+        // covered by patternProperties, so not an additional property
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), keyword: "additionalProperties", message: `Property ${key} is not in the plan`, actual: child });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(child, schema.additionalProperties, root, childPath(path, key)));
+      }
+    }
+  }
+
+  if (actualType === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, keyword: "minItems", message: `Fewer than ${schema.minItems} items`, expected: schema.minItems, actual: value.length });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, keyword: "maxItems", message: `More than ${schema.maxItems} items`, expected: schema.maxItems, actual: value.length });
+    }
+    if (schema.items && typeof schema.items === "object" && !Array.isArray(schema.items)) {
+      value.forEach((item: any, index: number) => errors.push(...validateSchema(item, schema.items, root, childPath(path, index))));
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...validateSchema(value, subschema, root, path));
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some((subschema: any) => validateSchema(value, subschema, root, path).length === 0)) {
+    errors.push({ path, keyword: "anyOf", message: "Value matches none of the allowed schemas", actual: value });
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter((subschema: any) => validateSchema(value, subschema, root, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push({ path, keyword: "oneOf", message: `Value matches ${matches} of the oneOf schemas; exactly one is required`, actual: value });
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,173 @@
+// pii.ts - Detect personal data (emails, phone numbers, postcodes, card numbers, names) in tracking values
+
+import { logWarn } from "../utils/logging.js";
+
+export interface CustomPattern {
+  name: string;
+  pattern: string;
+  flags?: string;
+}
+
+export interface PiiMatch {
+  detector: string; // email, phone, postcode, credit_card, name or custom:<name>
+  value: string;
+}
+
+export class PiiPatternError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "PiiPatternError";
+  }
+}
+
+const HASHES: [RegExp, string][] = [
+  [/^[a-f0-9]{64}$/i, "sha256"],
+  [/^[a-f0-9]{128}$/i, "sha512"],
+  [/^[a-f0-9]{40}$/i, "sha1"],
+  [/^[a-f0-9]{32}$/i, "md5"],
+  [/^[A-Za-z0-9+/]{43}=$/, "sha256 (base64)"],
+];
+
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi;
+// +44 20 7946 0958, +1 (555) 123-4567; unformatted digit runs only count in phone fields
+const INTERNATIONAL_PHONE = /\+\d{1,3}[\s.-]?(?:\(?\d{1,4}\)?[\s.-]?){1,4}\d{2,4}/g;
+const ANY_PHONE = /\+?\(?\d[\d\s().-]{5,}\d/g;
+const CARD_NUMBER = /\b(?:\d[ -]?){12,18}\d\b/g;
+// UK postcodes are distinctive enough to find anywhere; other formats only in postcode fields
+const UK_POSTCODE = /\b(?:[A-Z]{1,2}\d[A-Z\d]?|GIR) ?\d[A-Z]{2}\b/g;
+const POSTCODE_VALUE = /^(?:\d{5}(?:-\d{4})?|\d{4} ?[A-Z]{2}|[A-Z]\d[A-Z] ?\d[A-Z]\d|\d{3}-\d{4}|\d{4,6})$/i;
+const PERSON_NAME = /^[\p{L}][\p{L}'’ .-]{1,60}$/u;
+
+// Field names (last path segment, ep./up. prefix and ud[...] brackets removed) that hold such data
+const PHONE_KEYS = /(^|_)(phone|tel|telephone|mobile|fax|ph)(_?number)?$/i;
+const POSTCODE_KEYS = /(^|_)(zip|zip_?code|postal_?code|postcode|post_?code|plz|zp)$/i;
+const NAME_KEYS = /^(first_?name|last_?name|full_?name|given_?name|family_?name|middle_?name|surname|fname|lname|fn|ln|customer_?name|billing_?name|shipping_?name)$/i;
+const EMAIL_KEYS = /(^|_)(e_?mail|em)(_?address)?$/i;
+
+export function hashAlgorithm(value: string): string | null {
+  const trimmed = value.trim();
+  return HASHES.find(([pattern]) => pattern.test(trimmed))?.[1] ?? null;
+}
+
+// "ep.customer_email" -> "customer_email", "ud[em]" -> "em", "user.billing.zip" -> "zip", "dl ?phone" -> "phone"
+export function fieldKey(field: string): string {
+  const bracket = /\[([^\]]+)\]$/.exec(field);
+  if (bracket) return bracket[1].replace(/^"|"$/g, "");
+  return field.split(/[.?#\s]/).pop() || field;
+}
+
+// Fields whose value is personal data when it is not hashed
+export function isPiiField(field: string): boolean {
+  const key = fieldKey(field);
+  return [PHONE_KEYS, POSTCODE_KEYS, NAME_KEYS, EMAIL_KEYS].some((pattern) => pattern.test(key)) || /^(ud|udff)\[/.test(field);
+}
+
+function luhn(digits: string): boolean {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Values captured from URLs are already decoded; only percent-escapes left in by the page need undoing
+function decode(value: string): string {
+  if (!/%[0-9A-F]{2}/i.test(value)) return value;
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function allMatches(pattern: RegExp, text: string): string[] {
+  return Array.from(text.matchAll(new RegExp(pattern.source, pattern.flags.includes("g") ? pattern.flags : `${pattern.flags}g`)), (match) => match[0]);
+}
+
+function digitCount(value: string): number {
+  return value.replace(/\D/g, "").length;
+}
+
+export function compileCustomPatterns(patterns: CustomPattern[]): { name: string; regex: RegExp }[] {
+  return patterns.map(({ name, pattern, flags }) => {
+    try {
+      return { name, regex: new RegExp(pattern, flags?.includes("g") ? flags : `${flags || ""}g`) };
+    } catch (error) {
+      throw new PiiPatternError(`Custom PII pattern "${name}" is not a valid regular expression: ${error instanceof Error ? error.message : error}`);
+    }
+  });
+}
+
+// Custom patterns from PII_CUSTOM_PATTERNS, a JSON array of { name, pattern, flags }
+export function loadEnvCustomPatterns(): CustomPattern[] {
+  const raw = process.env.PII_CUSTOM_PATTERNS;
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) throw new Error("not an array");
+    const patterns = parsed.filter((entry) => typeof entry?.name === "string" && typeof entry?.pattern === "string");
+    compileCustomPatterns(patterns);
+    return patterns;
+  } catch (error) {
+    logWarn(`Ignoring PII_CUSTOM_PATTERNS: ${error instanceof Error ? error.message : error}`);
+    return [];
+  }
+}
+
+// Personal data in one field's value. Hashed values are never reported.
+export function detectPii(field: string, value: string, customPatterns: { name: string; regex: RegExp }[] = []): PiiMatch[] {
+  if (!value || hashAlgorithm(value)) return [];
+  const text = decode(value);
+  const key = fieldKey(field);
+  const matches: PiiMatch[] = [];
+  const add = (detector: string, found: string) => {
+    if (!matches.some((match) => match.detector === detector && match.value === found)) matches.push({ detector, value: found });
+  };
+
+  for (const email of allMatches(EMAIL, text)) add("email", email);
+
+  for (const candidate of allMatches(CARD_NUMBER, text)) {
+    const digits = candidate.replace(/\D/g, "");
+    // Card networks start with 2-6, which also rules out millisecond timestamps
+    if (digits.length >= 13 && digits.length <= 19 && /^[2-6]/.test(digits) && !/^(\d)\1+$/.test(digits) && luhn(digits)) {
+      add("credit_card", candidate);
+    }
+  }
+
+  const phonePattern = PHONE_KEYS.test(key) ? ANY_PHONE : INTERNATIONAL_PHONE;
+  for (const candidate of allMatches(phonePattern, text)) {
+    const digits = digitCount(candidate);
+    if (digits >= 7 && digits <= 15 && !matches.some((match) => match.detector === "credit_card" && match.value.includes(candidate.trim()))) {
+      add("phone", candidate.trim());
+    }
+  }
+
+  for (const postcode of allMatches(UK_POSTCODE, text)) add("postcode", postcode);
+  if (POSTCODE_KEYS.test(key) && POSTCODE_VALUE.test(text.trim())) add("postcode", text.trim());
+
+  if (NAME_KEYS.test(key) && PERSON_NAME.test(text.trim())) add("name", text.trim());
+
+  for (const { name, regex } of customPatterns) {
+    for (const found of allMatches(regex, text)) add(`custom:${name}`, found);
+  }
+  return matches;
+}
+
+// Keep enough to recognize the value without repeating the personal data
+export function maskValue(detector: string, value: string): string {
+  if (detector === "email") {
+    const [local, domain] = value.split("@");
+    return `${local.slice(0, 1)}***@${domain}`;
+  }
+  if (detector === "credit_card" || detector === "phone") {
+    const digits = value.replace(/\D/g, "");
+    return `${"*".repeat(Math.max(0, digits.length - 4))}${digits.slice(-4)}`;
+  }
+  if (value.length <= 4) return `${value.slice(0, 1)}***`;
+  return `${value.slice(0, 2)}***${value.slice(-1)}`;
+}
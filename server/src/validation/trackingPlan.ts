@@ -0,0 +1,327 @@
+// trackingPlan.ts - Load a tracking plan (simple YAML/JSON format or JSON Schema) and check events against it
+//
+// Simple format:
+//   ignoreEvents: ["consent_*"]          # extra event names (with * wildcards) never reported as unexpected
+//   events:
+//     purchase:
+//       required: true                   # report missing_event when it never occurs
+//       dataLayer:                       # pushes with event: "purchase"
+//         params:
+//           ecommerce.transaction_id: { type: string, required: true }
+//           ecommerce.items: { type: array, minItems: 1, items: { properties: { item_id: { type: string, required: true } } } }
+//       ga4:                             # GA4 hits with en=purchase, params from the decoded hit
+//         params:
+//           currency: { type: string, enum: [EUR, USD] }
+//       metaPixel:
+//         name: Purchase                 # event name in this source when it differs from the key
+//         params:
+//           value: number                # shorthand for { type: number }
+// An event without source blocks applies to the dataLayer; `params` directly under an event is the
+// dataLayer's. Rules are JSON Schema keywords plus `required: true`; a block may give a full JSON
+// Schema as `schema` instead of `params`.
+//
+// JSON Schema format: a schema whose oneOf / anyOf branches each describe one dataLayer event,
+// identified by properties.event.const (or a single-value enum). Events listed in a top-level
+// "x-required-events" array are reported when missing.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { EVENT_SOURCES, EventSource } from "../timeline/matchers.js";
+import { YamlError, parseYaml } from "../utils/yaml.js";
+
+import { SchemaError, resolveRef, validateSchema } from "./jsonSchema.js";
+
+export const TRACKING_PLAN_PATH = process.env.TRACKING_PLAN_PATH || null;
+
+// Events sent by GTM / gtag.js themselves, never listed in a plan
+const DEFAULT_IGNORED_EVENTS: Record<EventSource, string[]> = {
+  dataLayer: ["gtm.*"],
+  ga4: ["user_engagement"],
+  metaPixel: [],
+};
+
+export class TrackingPlanError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "TrackingPlanError";
+  }
+}
+
+export interface PlanEntry {
+  event: string; // key in the plan
+  source: EventSource;
+  name: string; // event name in that source
+  required: boolean;
+  schema: any;
+  root: any; // document $ref values resolve against
+}
+
+export interface TrackingPlan {
+  origin: string; // file path or "inline"
+  format: "simple" | "jsonSchema";
+  entries: PlanEntry[];
+  ignoreEvents: RegExp[];
+}
+
+export type PlanIssueType =
+  | "missing_event"
+  | "unexpected_event"
+  | "missing_property"
+  | "unexpected_property"
+  | "type_mismatch"
+  | "enum_violation"
+  | "constraint_violation";
+
+export interface PlanIssue {
+  type: PlanIssueType;
+  severity: "error" | "warning";
+  source: EventSource;
+  eventName: string;
+  path: string | null;
+  message: string;
+  expected?: any;
+  actual?: any;
+  occurrence?: Record<string, any>;
+}
+
+// Something seen on the page: a dataLayer push or a decoded hit, with where it came from
+export interface Observation {
+  source: EventSource;
+  eventName: string;
+  data: any;
+  occurrence: Record<string, any>;
+}
+
+function wildcard(pattern: string): RegExp {
+  return new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`);
+}
+
+function parsePlanText(text: string, origin: string): any {
+  const extension = path.extname(origin).toLowerCase();
+  const looksLikeJson = extension === ".json" || (extension === "" && /^\s*[{[]/.test(text));
+  try {
+    return looksLikeJson ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    const kind = looksLikeJson ? "JSON" : "YAML";
+    const detail = error instanceof SyntaxError || error instanceof YamlError ? error.message : String(error);
+    throw new TrackingPlanError(`Tracking plan ${origin} is not valid ${kind}: ${detail}`);
+  }
+}
+
+// { type: "number" } from the `value: number` shorthand; `required: true` booleans become required lists
+function normalizeRule(rule: any, where: string): { schema: any; required: boolean } {
+  if (typeof rule === "string" || Array.isArray(rule)) return { schema: { type: rule }, required: false };
+  if (!rule || typeof rule !== "object") {
+    throw new TrackingPlanError(`Rule for ${where} must be a type name or an object of JSON Schema keywords`);
+  }
+  const { required, ...schema } = rule;
+  if (schema.properties && typeof schema.properties === "object") {
+    const properties: Record<string, any> = {};
+    const requiredKeys: string[] = Array.isArray(required) ? [...required] : [];
+    for (const [key, child] of Object.entries(schema.properties)) {
+      const normalized = normalizeRule(child, `${where}.${key}`);
+      properties[key] = normalized.schema;
+      if (normalized.required) requiredKeys.push(key);
+    }
+    schema.properties = properties;
+    if (requiredKeys.length) schema.required = requiredKeys;
+  } else if (Array.isArray(required)) {
+    schema.required = required;
+  }
+  if (schema.items && typeof schema.items === "object" && !Array.isArray(schema.items)) {
+    schema.items = normalizeRule(schema.items, `${where}[]`).schema;
+  }
+  return { schema, required: required === true };
+}
+
+// { "ecommerce.value": { type: number, required: true } } -> nested object schema
+function paramsToSchema(params: Record<string, any>, where: string, additionalProperties?: boolean): any {
+  const schema: any = { type: "object", properties: {}, required: [] };
+  if (additionalProperties === false) schema.additionalProperties = false;
+  for (const [dottedPath, rule] of Object.entries(params || {})) {
+    const { schema: ruleSchema, required } = normalizeRule(rule, `${where}.${dottedPath}`);
+    const parts = dottedPath.split(".");
+    let node = schema;
+    parts.forEach((part, index) => {
+      if (required && !node.required.includes(part)) node.required.push(part);
+      if (index === parts.length - 1) {
+        node.properties[part] = { ...node.properties[part], ...ruleSchema };
+      } else {
+        node.properties[part] ||= { type: "object", properties: {}, required: [] };
+        node = node.properties[part];
+        node.properties ||= {};
+        node.required ||= [];
+      }
+    });
+  }
+  return schema;
+}
+
+function blockSchema(block: any, source: EventSource, where: string): any {
+  if (block === true || block === null) return {};
+  if (typeof block !== "object") throw new TrackingPlanError(`${where} must be true or an object with params or schema`);
+  if (block.schema !== undefined) return block.schema;
+  const schema = paramsToSchema(block.params, where, block.additionalProperties);
+  // dataLayer observations are whole pushes: `event` and the gtm.* keys GTM adds are never unexpected
+  if (source === "dataLayer" && schema.additionalProperties === false) {
+    schema.properties.event ||= {};
+    schema.patternProperties = { "^gtm\\.": {} };
+  }
+  return schema;
+}
+
+function compileSimplePlan(document: any, origin: string): TrackingPlan {
+  if (!document.events || typeof document.events !== "object" || Array.isArray(document.events)) {
+    throw new TrackingPlanError(`Tracking plan ${origin} needs an "events" mapping of event name to rules`);
+  }
+  const entries: PlanEntry[] = [];
+  for (const [event, spec] of Object.entries<any>(document.events)) {
+    const definition = spec ?? {};
+    const required = definition.required === true;
+    const blocks: [EventSource, any][] = EVENT_SOURCES.filter(
+      (source) => definition[source] !== undefined && definition[source] !== false,
+    ).map((source) => [source, definition[source]]);
+    if (definition.dataLayer === undefined && (definition.params || definition.schema || blocks.length === 0)) {
+      blocks.push(["dataLayer", { params: definition.params, schema: definition.schema, additionalProperties: definition.additionalProperties }]);
+    }
+    for (const [source, block] of blocks) {
+      entries.push({
+        event,
+        source,
+        name: typeof block?.name === "string" ? block.name : event,
+        required,
+        schema: blockSchema(block, source, `${event}.${source}`),
+        root: document,
+      });
+    }
+  }
+  return {
+    origin,
+    format: "simple",
+    entries,
+    ignoreEvents: (Array.isArray(document.ignoreEvents) ? document.ignoreEvents : []).map((name: any) => wildcard(String(name))),
+  };
+}
+
+function eventNameOfSchema(schema: any, root: any): string | null {
+  const resolved = schema?.$ref ? resolveRef(schema.$ref, root) : schema;
+  const eventProperty = resolved?.properties?.event;
+  if (eventProperty?.const !== undefined) return String(eventProperty.const);
+  if (Array.isArray(eventProperty?.enum) && eventProperty.enum.length === 1) return String(eventProperty.enum[0]);
+  return null;
+}
+
+function compileJsonSchemaPlan(document: any, origin: string): TrackingPlan {
+  const branches: any[] = document.oneOf || document.anyOf || [];
+  const entries: PlanEntry[] = [];
+  for (const branch of branches) {
+    const name = eventNameOfSchema(branch, document);
+    if (!name) throw new TrackingPlanError(`Every oneOf/anyOf branch of ${origin} must fix properties.event with const`);
+    entries.push({
+      event: name,
+      source: "dataLayer",
+      name,
+      required: Array.isArray(document["x-required-events"]) && document["x-required-events"].includes(name),
+      schema: branch,
+      root: document,
+    });
+  }
+  if (entries.length === 0) {
+    throw new TrackingPlanError(`JSON Schema plan ${origin} needs oneOf or anyOf with one schema per dataLayer event`);
+  }
+  return { origin, format: "jsonSchema", entries, ignoreEvents: [] };
+}
+
+export function compileTrackingPlan(document: any, origin: string): TrackingPlan {
+  if (!document || typeof document !== "object" || Array.isArray(document)) {
+    throw new TrackingPlanError(`Tracking plan ${origin} must be an object`);
+  }
+  const isJsonSchema = !document.events && (document.$schema || document.oneOf || document.anyOf);
+  return isJsonSchema ? compileJsonSchemaPlan(document, origin) : compileSimplePlan(document, origin);
+}
+
+// Inline plan (object, JSON or YAML text) or the file at planPath / TRACKING_PLAN_PATH
+export async function loadTrackingPlan(options: { plan?: any; planPath?: string }): Promise<TrackingPlan> {
+  if (options.plan !== undefined && options.plan !== null) {
+    const document = typeof options.plan === "string" ? parsePlanText(options.plan, "inline") : options.plan;
+    return compileTrackingPlan(document, "inline");
+  }
+  const planPath = options.planPath || TRACKING_PLAN_PATH;
+  if (!planPath) {
+    throw new TrackingPlanError("No tracking plan given. Pass `plan` inline, `planPath`, or start the server with TRACKING_PLAN_PATH set.");
+  }
+  let text: string;
+  try {
+    text = await fs.readFile(planPath, "utf8");
+  } catch (error: any) {
+    throw new TrackingPlanError(`Cannot read tracking plan ${planPath}: ${error?.code || error?.message || error}`);
+  }
+  return compileTrackingPlan(parsePlanText(text, planPath), planPath);
+}
+
+const ISSUE_TYPES: Record<string, PlanIssueType> = {
+  type: "type_mismatch",
+  enum: "enum_violation",
+  const: "enum_violation",
+  required: "missing_property",
+  additionalProperties: "unexpected_property",
+};
+
+function isIgnored(plan: TrackingPlan, source: EventSource, name: string): boolean {
+  return DEFAULT_IGNORED_EVENTS[source].some((pattern) => wildcard(pattern).test(name)) || plan.ignoreEvents.some((pattern) => pattern.test(name));
+}
+
+// Check observations from the given sources; events of sources that were not checked are not reported missing
+export function checkTrackingPlan(plan: TrackingPlan, observations: Observation[], checkedSources: EventSource[]) {
+  const issues: PlanIssue[] = [];
+  const seen = new Map<PlanEntry, number>();
+
+  for (const observation of observations) {
+    const { source, eventName, data, occurrence } = observation;
+    const entries = plan.entries.filter((entry) => entry.source === source && entry.name === eventName);
+    if (entries.length === 0) {
+      if (!isIgnored(plan, source, eventName)) {
+        issues.push({ type: "unexpected_event", severity: "warning", source, eventName, path: null, message: `${source} event "${eventName}" is not in the tracking plan`, occurrence });
+      }
+      continue;
+    }
+    for (const entry of entries) {
+      seen.set(entry, (seen.get(entry) || 0) + 1);
+      let errors: SchemaError[];
+      try {
+        errors = validateSchema(data, entry.schema, entry.root);
+      } catch (error) {
+        throw new TrackingPlanError(`Schema of ${entry.event} (${source}): ${error instanceof Error ? error.message : error}`);
+      }
+      for (const error of errors) {
+        issues.push({
+          type: ISSUE_TYPES[error.keyword] || "constraint_violation",
+          severity: "error",
+          source,
+          eventName,
+          path: error.path,
+          message: error.message,
+          ...(error.expected !== undefined ? { expected: error.expected } : {}),
+          ...(error.actual !== undefined ? { actual: error.actual } : {}),
+          occurrence,
+        });
+      }
+    }
+  }
+
+  const notObserved: { event: string; source: EventSource; name: string }[] = [];
+  for (const entry of plan.entries) {
+    if (!checkedSources.includes(entry.source) || seen.has(entry)) continue;
+    if (entry.required) {
+      issues.push({ type: "missing_event", severity: "error", source: entry.source, eventName: entry.name, path: null, message: `Required ${entry.source} event "${entry.name}" was not observed` });
+    } else {
+      notObserved.push({ event: entry.event, source: entry.source, name: entry.name });
+    }
+  }
+
+  const observed = plan.entries
+    .filter((entry) => seen.has(entry))
+    .map((entry) => ({ event: entry.event, source: entry.source, name: entry.name, count: seen.get(entry) }));
+  return { issues, observed, notObserved };
+}
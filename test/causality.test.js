@@ -0,0 +1,129 @@
+// causality.test.js - Linking hits and Tag Assistant events to the dataLayer pushes that caused them
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { buildCausalityTimeline, pushEventName } from '../server/src/timeline/causality.ts';
+
+const T0 = Date.UTC(2026, 0, 1, 10, 0, 0);
+const PAGE = 'https://shop.example/';
+
+const push = (index, name, timestamp, extra = {}) => ({
+  layer: 'dataLayer',
+  index,
+  name,
+  uniqueEventId: null,
+  pageUrl: PAGE,
+  timestamp: timestamp === null ? null : T0 + timestamp,
+  origin: 'timeline',
+  ...extra
+});
+const hit = (source, eventName, timestamp, accountId = source === 'ga4' ? 'G-ABC' : '111') => ({
+  source,
+  eventName,
+  eventId: null,
+  accountId,
+  pageUrl: PAGE,
+  timestamp: T0 + timestamp
+});
+const links = (result) =>
+  result.steps.flatMap((step) => step.hits.map((h) => [step.push?.name ?? null, `${h.source} ${h.eventName}`, h.confidence]));
+
+test('reads the event name of pushes and gtag commands', () => {
+  assert.equal(pushEventName({ event: 'purchase' }), 'purchase');
+  assert.equal(pushEventName({ 0: 'event', 1: 'add_to_cart', 2: {} }), 'add_to_cart');
+  assert.equal(pushEventName({ 0: 'config', 1: 'G-ABC' }), 'config');
+  assert.equal(pushEventName({ ecommerce: null }), null);
+});
+
+test('links hits to the same-name push before them, page views to page-load pushes', () => {
+  const result = buildCausalityTimeline(
+    [push(0, 'gtm.js', 0), push(1, 'add_to_cart', 5000), push(2, 'scroll', 9000)],
+    [hit('ga4', 'page_view', 300), hit('metaPixel', 'PageView', 350), hit('ga4', 'add_to_cart', 5200), hit('metaPixel', 'AddToCart', 5250)],
+    [],
+    { windowMs: 10000 }
+  );
+
+  assert.deepEqual(links(result), [
+    ['gtm.js', 'ga4 page_view', 'medium'],
+    ['gtm.js', 'metaPixel PageView', 'medium'],
+    ['add_to_cart', 'ga4 add_to_cart', 'high'],
+    ['add_to_cart', 'metaPixel AddToCart', 'high']
+  ]);
+  assert.deepEqual(result.narrative, [
+    '10:00:00.000 push gtm.js (#0) → GA4 page_view (+300 ms) → Meta PageView (+350 ms)',
+    '10:00:05.000 push add_to_cart (#1) → GA4 add_to_cart (+200 ms) → Meta AddToCart (+250 ms)',
+    '10:00:09.000 push scroll (#2) → no hits'
+  ]);
+  assert.deepEqual(result.pushesWithoutHits, [{ layer: 'dataLayer', index: 2, event: 'scroll', pageUrl: PAGE, tagsFired: null }]);
+});
+
+test('only links an unrelated push when it is right before the hit', () => {
+  const result = buildCausalityTimeline(
+    [push(0, 'form_submit', 0), push(1, 'click', 3000)],
+    [hit('ga4', 'generate_lead', 800), hit('ga4', 'sign_up', 5000)],
+    [],
+    { windowMs: 10000 }
+  );
+
+  assert.deepEqual(links(result), [
+    ['form_submit', 'ga4 generate_lead', 'low'],
+    [null, 'ga4 sign_up', 'low']
+  ]);
+  assert.equal(result.narrative[2], '10:00:05.000 GA4 sign_up (no dataLayer push)');
+  assert.equal(result.summary.unlinkedHits, 1);
+});
+
+test('matches untimed pushes by name from the newest end and estimates their time', () => {
+  const result = buildCausalityTimeline(
+    [push(0, 'add_to_cart', null), push(1, 'add_to_cart', null), push(2, 'checkout_step', null)],
+    [hit('ga4', 'add_to_cart', 1000), hit('ga4', 'add_to_cart', 4000)],
+    [],
+    { windowMs: 10000 }
+  );
+
+  assert.deepEqual(
+    result.steps.map((step) => [step.push.index, step.timestamp - T0, step.timestampEstimated, step.hits.map((h) => h.timestamp - T0)]),
+    [
+      [0, 1000, true, [1000]],
+      [1, 4000, true, [4000]],
+      [2, 4000, true, []]
+    ]
+  );
+  assert.equal(result.steps[0].hits[0].confidence, 'order');
+  assert.equal(result.summary.untimedPushes, 3);
+});
+
+test('links Tag Assistant events by gtm.uniqueEventId on the same page, otherwise by name', () => {
+  const pushes = [
+    push(0, 'gtm.js', 0, { uniqueEventId: 3 }),
+    push(1, 'purchase', 1000, { uniqueEventId: 7 }),
+    push(2, 'purchase', 2000, { uniqueEventId: 9 })
+  ];
+  const result = buildCausalityTimeline(
+    pushes,
+    [],
+    [
+      { eventNumber: 9, eventName: 'purchase', tagsFired: ['GA4 purchase'], pageUrl: PAGE },
+      { eventNumber: 1, eventName: 'Container Loaded', tagsFired: ['GA4 config'], pageUrl: PAGE },
+      { eventNumber: 7, eventName: 'purchase', tagsFired: [], pageUrl: 'https://shop.example/other' }
+    ],
+    { windowMs: 10000 }
+  );
+
+  assert.deepEqual(
+    result.steps.map((step) => [step.push.index, step.tagAssistant?.matchedBy ?? null]),
+    [
+      [0, 'eventName'],
+      [1, null],
+      [2, 'gtm.uniqueEventId']
+    ]
+  );
+  assert.equal(result.narrative[2], '10:00:02.000 push purchase (#2, uid 9) [tags: GA4 purchase] → no hits');
+});
+
+test('names pushes of other layers in the narrative', () => {
+  const result = buildCausalityTimeline([push(4, 'login', 0, { layer: 'shopLayer' })], [hit('ga4', 'login', 100)], [], { windowMs: 10000 });
+
+  assert.equal(result.narrative[0], '10:00:00.000 push login (shopLayer#4) → GA4 login (+100 ms)');
+});
@@ -0,0 +1,133 @@
+// dataLayerHook.test.js - Runs the push hook against the ways GTM and gtag.js take over dataLayer.push
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import vm from 'node:vm';
+
+const HOOK_SOURCE = readFileSync(new URL('../extension/content/dataLayerHook.js', import.meta.url), 'utf8');
+
+// A page with the hook installed; `reported` collects every push the hook sends to the relay and
+// `addScript` / `fire` stand in for the snippet inserting gtm.js and for DOM events
+function loadPage(initialDataLayer) {
+  const reported = [];
+  const listeners = {};
+  let observer = null;
+  const on = (type, listener) => (listeners[type] ||= []).push(listener);
+  const window = {
+    location: { href: 'https://shop.example/' },
+    addEventListener: on,
+    document: {
+      addEventListener: on,
+      dispatchEvent: (event) => reported.push(...JSON.parse(event.detail))
+    },
+    MutationObserver: class {
+      constructor(callback) {
+        observer = callback;
+      }
+      observe() {}
+    },
+    URL,
+    CustomEvent: class {
+      constructor(type, init) {
+        this.type = type;
+        this.detail = init.detail;
+      }
+    }
+  };
+  if (initialDataLayer) window.dataLayer = initialDataLayer;
+  window.window = window;
+  vm.createContext(window);
+  vm.runInContext(HOOK_SOURCE, window);
+  const addScript = (src) => observer([{ addedNodes: [{ nodeName: 'SCRIPT', src }] }]);
+  const fire = (type) => (listeners[type] || []).forEach((listener) => listener());
+  return { window, reported, addScript, fire };
+}
+
+// What gtm.js does once it has loaded
+function installGtm(dataLayer, seen) {
+  const original = dataLayer.push;
+  dataLayer.push = function () {
+    seen.push(arguments[0]);
+    return original.apply(dataLayer, arguments);
+  };
+}
+
+test('keeps working after GTM chains its own push to the previous one', () => {
+  const { window, reported } = loadPage([{ event: 'gtm.js' }]);
+  const seen = [];
+  installGtm(window.dataLayer, seen);
+
+  const length = window.dataLayer.push({ event: 'add_to_cart' });
+
+  assert.equal(length, 2);
+  assert.equal(window.dataLayer.length, 2);
+  assert.deepEqual(seen.map((entry) => entry.event), ['add_to_cart']);
+  assert.deepEqual(reported.map((entry) => [entry.index, entry.push.event, entry.initial]), [
+    [0, 'gtm.js', true],
+    [1, 'add_to_cart', false]
+  ]);
+});
+
+test('reports each push once when several scripts chain push', () => {
+  const { window, reported } = loadPage();
+  window.dataLayer = [];
+  const seen = [];
+  installGtm(window.dataLayer, seen);
+  installGtm(window.dataLayer, seen);
+
+  window.dataLayer.push({ event: 'purchase' });
+
+  assert.equal(window.dataLayer.length, 1);
+  assert.equal(seen.length, 2);
+  assert.deepEqual(reported.map((entry) => entry.push.event), ['purchase']);
+});
+
+test('reports pushes made while another push is being handled', () => {
+  const { window, reported } = loadPage([]);
+  const original = window.dataLayer.push;
+  window.dataLayer.push = function (entry) {
+    const length = original.apply(window.dataLayer, arguments);
+    // a tag fired by this event pushes a follow-up event
+    if (entry.event === 'purchase') window.dataLayer.push({ event: 'purchase_tagged' });
+    return length;
+  };
+
+  window.dataLayer.push({ event: 'purchase' });
+
+  assert.deepEqual(reported.map((entry) => [entry.index, entry.push.event]), [
+    [0, 'purchase'],
+    [1, 'purchase_tagged']
+  ]);
+});
+
+test('does not wrap a reporting wrapper the page assigns back', () => {
+  const { window, reported } = loadPage([]);
+  const push = window.dataLayer.push;
+  window.dataLayer.push = push;
+
+  window.dataLayer.push({ event: 'page_view' });
+
+  assert.equal(window.dataLayer.push, push);
+  assert.equal(reported.length, 1);
+});
+
+test('records layers renamed through the snippet and layers GTM reports', () => {
+  const { window, reported, addScript, fire } = loadPage([]);
+  window.dataLayerGTM = [{ event: 'gtm.js' }];
+  addScript('https://www.googletagmanager.com/gtm.js?id=GTM-ABC123&l=dataLayerGTM');
+  window.dataLayerGTM.push({ event: 'add_to_cart' });
+
+  window.adobeDataLayer = [];
+  window.google_tag_manager = { 'GTM-XYZ789': { dataLayer: { name: 'adobeDataLayer' } } };
+  fire('DOMContentLoaded');
+  window.adobeDataLayer.push({ event: 'purchase' });
+  window.dataLayer.push({ event: 'page_view' });
+
+  assert.deepEqual(reported.map((entry) => [entry.layer, entry.index, entry.push.event]), [
+    ['dataLayerGTM', 0, 'gtm.js'],
+    ['dataLayerGTM', 1, 'add_to_cart'],
+    ['adobeDataLayer', 0, 'purchase'],
+    ['dataLayer', 0, 'page_view']
+  ]);
+});
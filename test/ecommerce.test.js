@@ -0,0 +1,107 @@
+// ecommerce.test.js - Ecommerce events from the dataLayer, GA4 and Meta Pixel cross-checked
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { decodeGa4Params } from '../server/src/decoders/ga4.ts';
+import { decodeMetaPixelParams } from '../server/src/decoders/metaPixel.ts';
+import {
+  auditEcommerceRecords,
+  ecommerceFromGa4Hit,
+  ecommerceFromMetaPixelHit,
+  ecommerceFromPush
+} from '../server/src/validation/ecommerce.ts';
+
+const PAGE = 'https://shop.example/thanks';
+let nextId = 1;
+const base = (timestamp = 1000) => ({ pageUrl: PAGE, timestamp, ref: { id: nextId++ } });
+
+const push = (data, timestamp) => ecommerceFromPush(data, base(timestamp));
+const ga4 = (params, timestamp) => ecommerceFromGa4Hit(decodeGa4Params({ tid: 'G-ABC', ...params }), base(timestamp));
+const meta = (params, timestamp) => ecommerceFromMetaPixelHit(decodeMetaPixelParams({ id: '111', ...params }), base(timestamp));
+
+const issuesOf = (result) => result.issues.map((issue) => [issue.type, issue.step, Object.keys(issue.refs).join(', ')]);
+
+const purchasePush = (value = 50) => ({
+  event: 'purchase',
+  ecommerce: { transaction_id: 'T1', value, currency: 'EUR', items: [{ item_id: 'SKU1', price: 25, quantity: 2 }] }
+});
+const purchaseHit = (params = {}) => ({ en: 'purchase', 'ep.transaction_id': 'T1', 'epn.value': '50', cu: 'EUR', pr1: 'idSKU1~pr25~qt2', ...params });
+
+test('a purchase that agrees across the dataLayer, GA4 and Meta has no issues', () => {
+  const result = auditEcommerceRecords(
+    [push(purchasePush()), ga4(purchaseHit()), meta({ ev: 'Purchase', 'cd[value]': '50', 'cd[currency]': 'EUR', 'cd[order_id]': 'T1' })],
+    { sessionScope: false }
+  );
+
+  assert.deepEqual(result.issues, []);
+  assert.deepEqual(Object.keys(result.transactions[0].sources), ['dataLayer', 'ga4 G-ABC', 'metaPixel 111']);
+});
+
+test('reports values, currencies and quantities that differ between sources', () => {
+  const result = auditEcommerceRecords(
+    [push(purchasePush()), ga4(purchaseHit({ 'epn.value': '45', cu: 'USD', pr1: 'idSKU1~pr25~qt1' }))],
+    { sessionScope: false }
+  );
+
+  assert.deepEqual(issuesOf(result), [
+    ['value_items_mismatch', 'purchase', 'ga4 G-ABC'],
+    ['currency_mismatch', 'purchase', 'dataLayer, ga4 G-ABC'],
+    ['value_mismatch', 'purchase', 'dataLayer, ga4 G-ABC'],
+    ['quantity_mismatch', 'purchase', 'dataLayer, ga4 G-ABC']
+  ]);
+  assert.deepEqual(result.issues[2].values, { dataLayer: 50, 'ga4 G-ABC': 45 });
+});
+
+test('a purchase sent to two GA4 properties and two pixels is not a duplicate', () => {
+  const result = auditEcommerceRecords(
+    [
+      ga4(purchaseHit()),
+      ga4(purchaseHit({ tid: 'G-XYZ' })),
+      meta({ ev: 'Purchase', 'cd[value]': '50', 'cd[currency]': 'EUR' }),
+      meta({ ev: 'Purchase', id: '222', 'cd[value]': '50', 'cd[currency]': 'EUR' })
+    ],
+    { sessionScope: false }
+  );
+
+  assert.deepEqual(result.issues, []);
+  assert.deepEqual(Object.keys(result.transactions[0].sources), ['ga4 G-ABC', 'ga4 G-XYZ', 'metaPixel 111', 'metaPixel 222']);
+});
+
+test('reports a transaction_id sent twice to the same property', () => {
+  const result = auditEcommerceRecords([ga4(purchaseHit()), ga4(purchaseHit())], { sessionScope: false });
+
+  assert.deepEqual(issuesOf(result), [['duplicate_transaction_id', 'purchase', 'ga4 G-ABC']]);
+  assert.match(result.issues[0].message, /ga4 G-ABC has 2 purchases with transaction_id T1 on the same page/);
+});
+
+test('checks items, value and currency of each record', () => {
+  const result = auditEcommerceRecords(
+    [push({ event: 'purchase', ecommerce: { value: 'ten', items: [{ item_id: 'A', price: -1, quantity: 1.5 }] } })],
+    { sessionScope: false }
+  );
+
+  assert.deepEqual(issuesOf(result).map(([type]) => type), ['invalid_quantity', 'invalid_price', 'invalid_value', 'missing_transaction_id']);
+});
+
+test('reads Universal Analytics enhanced ecommerce pushes', () => {
+  const record = push({
+    event: 'transaction',
+    ecommerce: { currencyCode: 'EUR', purchase: { actionField: { id: 'T9', revenue: '12.5', tax: '2.5' }, products: [{ id: 'P1', price: '10', quantity: 1 }] } }
+  });
+
+  assert.equal(record.step, 'purchase');
+  assert.equal(record.transactionId, 'T9');
+  assert.deepEqual(auditEcommerceRecords([record], { sessionScope: false }).issues, []);
+  assert.equal(push({ ecommerce: { checkout: { actionField: { step: 2 } } } }), null);
+});
+
+test('reports steps out of order, and skipped steps only for a whole session', () => {
+  const records = [ga4(purchaseHit(), 1000), ga4({ en: 'add_to_cart', cu: 'EUR', 'epn.value': '50', pr1: 'idSKU1~pr25~qt2' }, 2000)];
+
+  assert.deepEqual(issuesOf(auditEcommerceRecords(records, { sessionScope: false })), [['funnel_out_of_order', 'add_to_cart', 'ga4 G-ABC']]);
+  assert.deepEqual(issuesOf(auditEcommerceRecords(records, { sessionScope: true })), [
+    ['funnel_step_skipped', 'purchase', 'ga4 G-ABC'],
+    ['funnel_out_of_order', 'add_to_cart', 'ga4 G-ABC']
+  ]);
+});
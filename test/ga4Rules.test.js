@@ -0,0 +1,59 @@
+// ga4Rules.test.js - Decoded GA4 hits checked against GA4's collection limits
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { decodeGa4Params } from '../server/src/decoders/ga4.ts';
+import { validateGa4Hit } from '../server/src/validation/ga4Rules.ts';
+
+const rulesOf = (params) => validateGa4Hit(decodeGa4Params(params)).map((finding) => [finding.rule, finding.severity, finding.field]);
+
+test('a well-formed purchase has no findings', () => {
+  assert.deepEqual(
+    rulesOf({ en: 'purchase', tid: 'G-ABC', cu: 'EUR', 'epn.value': '49.99', 'ep.transaction_id': 'T1', pr1: 'idSKU1~nmShoes~pr49.99' }),
+    []
+  );
+});
+
+test('flags event names GA4 drops', () => {
+  assert.deepEqual(rulesOf({}), [['missing_event_name', 'error', 'en']]);
+  assert.deepEqual(rulesOf({ en: 'a'.repeat(41) }), [['event_name_too_long', 'error', 'en']]);
+  assert.deepEqual(rulesOf({ en: 'add-to-cart' }), [['event_name_invalid_characters', 'error', 'en']]);
+  assert.deepEqual(rulesOf({ en: 'session_start' }), [['reserved_event_name', 'error', 'en']]);
+  assert.deepEqual(rulesOf({ en: 'google_click' }), [['reserved_event_prefix', 'error', 'en']]);
+  assert.deepEqual(rulesOf({ en: 'user_engagement' }), []);
+});
+
+test('flags event parameter and user property limits', () => {
+  const params = { en: 'search' };
+  for (let i = 0; i < 26; i++) params[`ep.p${i}`] = 'x';
+  params[`ep.${'n'.repeat(41)}`] = 'x';
+  params['ep.ga_source'] = 'x';
+  params['ep.search_term'] = 'q'.repeat(101);
+  params['up.first_visit_time'] = '1';
+  params['up.plan'] = 'p'.repeat(37);
+
+  assert.deepEqual(rulesOf(params), [
+    ['too_many_event_params', 'warning', 'eventParams'],
+    ['param_name_too_long', 'error', `eventParams.${'n'.repeat(41)}`],
+    ['reserved_param_prefix', 'error', 'eventParams.ga_source'],
+    ['param_value_too_long', 'warning', 'eventParams.search_term'],
+    ['reserved_user_property', 'error', 'userProperties.first_visit_time'],
+    ['user_property_value_too_long', 'warning', 'userProperties.plan']
+  ]);
+});
+
+test('page fields use their own, longer limits', () => {
+  assert.deepEqual(rulesOf({ en: 'page_view', dl: `https://shop.example/${'a'.repeat(500)}`, dt: 't'.repeat(301) }), [
+    ['page_value_too_long', 'warning', 'page.title']
+  ]);
+});
+
+test('checks currency codes, value without currency and unidentified items', () => {
+  assert.deepEqual(rulesOf({ en: 'add_to_cart', cu: 'EURO', 'epn.value': '5', pr1: 'idSKU1', pr2: 'pr5~qt1' }), [
+    ['item_missing_id_and_name', 'error', 'items[1]'],
+    ['invalid_currency', 'error', 'eventParams.currency']
+  ]);
+  assert.deepEqual(rulesOf({ en: 'purchase', 'epn.value': '5' }), [['value_without_currency', 'error', 'eventParams.currency']]);
+  assert.deepEqual(rulesOf({ en: 'level_up', 'epn.value': '5' }), []);
+});
@@ -0,0 +1,66 @@
+// jsonSchema.test.js - The JSON Schema subset tracking plans are checked with
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { validateSchema } from '../server/src/validation/jsonSchema.ts';
+
+const paths = (errors) => errors.map((error) => [error.path, error.keyword]);
+
+test('follows local $ref and reports each problem at its JSON path', () => {
+  const schema = {
+    $defs: {
+      item: {
+        type: 'object',
+        required: ['item_id'],
+        properties: { item_id: { type: 'string' }, price: { type: 'number', minimum: 0 } }
+      }
+    },
+    type: 'object',
+    properties: { items: { type: 'array', items: { $ref: '#/$defs/item' } } }
+  };
+
+  const errors = validateSchema({ items: [{ item_id: 'A', price: 1 }, { price: -1 }, { item_id: 5 }] }, schema);
+
+  assert.deepEqual(paths(errors), [
+    ['$.items[1].item_id', 'required'],
+    ['$.items[1].price', 'minimum'],
+    ['$.items[2].item_id', 'type']
+  ]);
+});
+
+test('rejects unresolved and remote $ref', () => {
+  assert.throws(() => validateSchema(1, { $ref: '#/definitions/missing' }), /Unresolved \$ref #\/definitions\/missing/);
+  assert.throws(() => validateSchema(1, { $ref: 'https://example.com/schema.json' }), /Only local \$ref/);
+});
+
+test('oneOf needs exactly one matching schema', () => {
+  const schema = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+
+  assert.deepEqual(validateSchema(1.5, schema), []);
+  assert.match(validateSchema(1, schema)[0].message, /matches 2 of the oneOf schemas/);
+  assert.match(validateSchema('1', schema)[0].message, /matches 0 of the oneOf schemas/);
+});
+
+test('additionalProperties rejects unlisted keys or checks them against a schema', () => {
+  const closed = { type: 'object', properties: { value: {} }, additionalProperties: false };
+  const typed = { type: 'object', properties: { value: {} }, additionalProperties: { type: 'number' } };
+
+  assert.deepEqual(paths(validateSchema({ value: 1, 'coupon-code': 'X' }, closed)), [['$["coupon-code"]', 'additionalProperties']]);
+  assert.deepEqual(paths(validateSchema({ value: 'x', tax: 1, shipping: 'free' }, typed)), [['$.shipping', 'type']]);
+});
+
+test('patternProperties keys are not additional properties', () => {
+  const schema = { type: 'object', patternProperties: { '^gtm\\.': { type: 'number' } }, additionalProperties: false };
+
+  assert.deepEqual(paths(validateSchema({ 'gtm.uniqueEventId': 'x', 'gtm.start': 1, extra: 1 }, schema)), [
+    ['$["gtm.uniqueEventId"]', 'type'],
+    ['$.extra', 'additionalProperties']
+  ]);
+});
+
+test('integer satisfies number but not the other way round', () => {
+  assert.deepEqual(validateSchema(3, { type: 'number' }), []);
+  assert.deepEqual(paths(validateSchema(3.5, { type: 'integer' })), [['$', 'type']]);
+  assert.deepEqual(validateSchema(null, { type: ['string', 'null'] }), []);
+});
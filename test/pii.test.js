@@ -0,0 +1,89 @@
+// pii.test.js - Personal data detection and masking in tracking values
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import {
+  PiiPatternError,
+  compileCustomPatterns,
+  detectPii,
+  fieldKey,
+  hashAlgorithm,
+  isPiiField,
+  maskValue
+} from '../server/src/validation/pii.ts';
+
+const found = (field, value, custom) => detectPii(field, value, custom).map((match) => [match.detector, match.value]);
+
+test('finds emails anywhere, also percent-encoded', () => {
+  assert.deepEqual(found('dl', 'https://shop.example/thanks?mail=jane.doe%40example.com&x=1'), [['email', 'jane.doe@example.com']]);
+  assert.deepEqual(found('ep.note', 'contact: a@b.co or c+d@mail.example.org'), [
+    ['email', 'a@b.co'],
+    ['email', 'c+d@mail.example.org']
+  ]);
+});
+
+test('reports card numbers only when they pass the Luhn check', () => {
+  assert.deepEqual(found('ep.note', 'card 4111 1111 1111 1111'), [['credit_card', '4111 1111 1111 1111']]);
+  assert.deepEqual(found('ep.note', 'card 4111 1111 1111 1112'), []);
+  assert.deepEqual(found('ep.card', '5500-0000-0000-0004'), [['credit_card', '5500-0000-0000-0004']]);
+  // Millisecond timestamps and repeated digits are not cards
+  assert.deepEqual(found('ep.ts', '1767261600000'), []);
+  assert.deepEqual(found('ep.id', '4444444444444444'), []);
+});
+
+test('finds international phone numbers anywhere, bare digit runs only in phone fields', () => {
+  assert.deepEqual(found('ep.note', 'call +44 20 7946 0958'), [['phone', '+44 20 7946 0958']]);
+  assert.deepEqual(found('ep.order_id', '0201234567'), []);
+  assert.deepEqual(found('ud[ph]', '0201234567'), [['phone', '0201234567']]);
+  assert.deepEqual(found('user.phone_number', '(020) 123-4567'), [['phone', '(020) 123-4567']]);
+});
+
+test('finds UK postcodes anywhere and other formats in postcode fields', () => {
+  assert.deepEqual(found('ep.address', 'SW1A 1AA London'), [['postcode', 'SW1A 1AA']]);
+  assert.deepEqual(found('ep.sku', '10115'), []);
+  assert.deepEqual(found('ecommerce.shipping.zip', '10115'), [['postcode', '10115']]);
+  assert.deepEqual(found('ud[zp]', '1012 AB'), [['postcode', '1012 AB']]);
+});
+
+test('finds names only in name fields', () => {
+  assert.deepEqual(found('ep.first_name', 'Zoë'), [['name', 'Zoë']]);
+  assert.deepEqual(found('ud[ln]', "O'Brien-Smith"), [['name', "O'Brien-Smith"]]);
+  assert.deepEqual(found('ep.item_name', 'Blue Shoes'), []);
+});
+
+test('never reports hashed values', () => {
+  const sha256 = 'a'.repeat(64);
+  assert.equal(hashAlgorithm(sha256), 'sha256');
+  assert.equal(hashAlgorithm('d41d8cd98f00b204e9800998ecf8427e'), 'md5');
+  assert.equal(hashAlgorithm('jane@example.com'), null);
+  assert.deepEqual(found('ud[em]', sha256), []);
+});
+
+test('applies custom patterns and rejects invalid ones', () => {
+  const custom = compileCustomPatterns([{ name: 'customer_id', pattern: 'CUST-\\d{6}', flags: 'i' }]);
+
+  assert.deepEqual(found('ep.ref', 'cust-123456 and CUST-654321', custom), [
+    ['custom:customer_id', 'cust-123456'],
+    ['custom:customer_id', 'CUST-654321']
+  ]);
+  assert.throws(() => compileCustomPatterns([{ name: 'broken', pattern: '(' }]), (error) => error instanceof PiiPatternError && /"broken"/.test(error.message));
+});
+
+test('reads the field key from parameter names, paths and brackets', () => {
+  assert.equal(fieldKey('ep.customer_email'), 'customer_email');
+  assert.equal(fieldKey('ud[em]'), 'em');
+  assert.equal(fieldKey('user.billing.zip'), 'zip');
+  assert.equal(fieldKey('dl ?phone'), 'phone');
+  assert.equal(isPiiField('ep.customer_email'), true);
+  assert.equal(isPiiField('udff[xyz]'), true);
+  assert.equal(isPiiField('ep.value'), false);
+});
+
+test('masks values without repeating the personal data', () => {
+  assert.equal(maskValue('email', 'jane.doe@example.com'), 'j***@example.com');
+  assert.equal(maskValue('credit_card', '4111 1111 1111 1111'), '************1111');
+  assert.equal(maskValue('phone', '+44 20 7946 0958'), '********0958');
+  assert.equal(maskValue('postcode', 'SW1A 1AA'), 'SW***A');
+  assert.equal(maskValue('name', 'Ann'), 'A***');
+});
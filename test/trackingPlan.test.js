@@ -0,0 +1,50 @@
+// trackingPlan.test.js - Simple-format tracking plans checked against dataLayer pushes and hits
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { checkTrackingPlan, loadTrackingPlan } from '../server/src/validation/trackingPlan.ts';
+
+const push = (data) => ({ source: 'dataLayer', eventName: data.event, data, occurrence: {} });
+const issuesOf = (result) => result.issues.map((issue) => [issue.type, issue.eventName, issue.path]);
+
+test('a closed dataLayer block still allows event and the gtm.* keys GTM adds', async () => {
+  const plan = await loadTrackingPlan({
+    plan: `
+events:
+  purchase:
+    additionalProperties: false
+    params:
+      ecommerce.value: { type: number, required: true }
+`
+  });
+
+  const result = checkTrackingPlan(plan, [
+    push({ event: 'purchase', 'gtm.uniqueEventId': 12, ecommerce: { value: 10 } }),
+    push({ event: 'purchase', 'gtm.uniqueEventId': 13, ecommerce: { value: '10' }, coupon: 'X' })
+  ], ['dataLayer']);
+
+  assert.deepEqual(issuesOf(result), [
+    ['type_mismatch', 'purchase', '$.ecommerce.value'],
+    ['unexpected_property', 'purchase', '$.coupon']
+  ]);
+});
+
+test('reports missing required events and events outside the plan', async () => {
+  const plan = await loadTrackingPlan({
+    plan: {
+      events: {
+        purchase: { required: true },
+        add_to_cart: { ga4: { params: { currency: 'string' } } }
+      }
+    }
+  });
+
+  const result = checkTrackingPlan(plan, [push({ event: 'gtm.js' }), push({ event: 'login' })], ['dataLayer', 'ga4']);
+
+  assert.deepEqual(issuesOf(result), [
+    ['unexpected_event', 'login', null],
+    ['missing_event', 'purchase', null]
+  ]);
+  assert.deepEqual(result.notObserved, [{ event: 'add_to_cart', source: 'ga4', name: 'add_to_cart' }]);
+});
@@ -0,0 +1,96 @@
+// yaml.test.js - The YAML subset tracking plan files are written in
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { YamlError, parseYaml } from '../server/src/utils/yaml.ts';
+
+test('parses "- key:" sequence items as mappings nested under their key', () => {
+  const plan = parseYaml(`
+events:
+  purchase:
+    required: true
+    params:
+      - name: value
+        type: number
+      - name: currency
+        enum: [EUR, USD]
+ignoreEvents:
+- gtm.js
+- gtm.dom
+`);
+
+  assert.deepEqual(plan, {
+    events: {
+      purchase: {
+        required: true,
+        params: [
+          { name: 'value', type: 'number' },
+          { name: 'currency', enum: ['EUR', 'USD'] }
+        ]
+      }
+    },
+    ignoreEvents: ['gtm.js', 'gtm.dom']
+  });
+});
+
+test('parses bare "-" items as their nested block or null', () => {
+  assert.deepEqual(parseYaml('-\n  x: 1\n-\n- [a]'), [{ x: 1 }, null, ['a']]);
+});
+
+test('parses flow collections with quoted, numeric and empty values', () => {
+  assert.deepEqual(parseYaml(`
+value: { type: number, minimum: 0 }
+currency: { enum: [EUR, "USD", 'GBP'] }
+nested: { a: [1, 2.5, -3], b: {}, c: [] }
+`), {
+    value: { type: 'number', minimum: 0 },
+    currency: { enum: ['EUR', 'USD', 'GBP'] },
+    nested: { a: [1, 2.5, -3], b: {}, c: [] }
+  });
+});
+
+test('keeps # and : inside quotes and words, and drops trailing comments', () => {
+  assert.deepEqual(parseYaml(`
+pattern: "^#[0-9]+$"
+url: 'https://shop.example/a#b'  # the page
+"key: with colon": 1
+note: plain text # comment
+hash: a#b
+time: "10:30"
+ratio: a:b
+`), {
+    pattern: '^#[0-9]+$',
+    url: 'https://shop.example/a#b',
+    'key: with colon': 1,
+    note: 'plain text',
+    hash: 'a#b',
+    time: '10:30',
+    ratio: 'a:b'
+  });
+});
+
+test('reads booleans, null and numbers as such', () => {
+  assert.deepEqual(parseYaml('a: true\nb: false\nc: null\nd: ~\ne:\nf: -1.5e2\ng: "1"'), {
+    a: true,
+    b: false,
+    c: null,
+    d: null,
+    e: null,
+    f: -150,
+    g: '1'
+  });
+});
+
+test('reports indentation and syntax errors with their line', () => {
+  const cases = [
+    ['a:\n  b: 1\n    c: 2', 'Unexpected indentation (line 3)'],
+    ['a:\n\tb: 1', 'Tabs are not allowed for indentation (line 2)'],
+    ['  a: 1', 'Document must not be indented (line 1)'],
+    ['a: [1, 2', 'Expected , or ] in [1, 2 (line 1)'],
+    ['a: 1\nb', 'Expected "key: value", got "b" (line 2)']
+  ];
+  for (const [source, message] of cases) {
+    assert.throws(() => parseYaml(source), (error) => error instanceof YamlError && error.message === message, source);
+  }
+});